@@ -0,0 +1,446 @@
+/**
+ * @fileoverview Validates requests and responses against an OpenAPI document.
+ * @author Nicholas C. Zakas
+ */
+
+/* globals URLPattern */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import "urlpattern-polyfill";
+import {
+	assertValidOpenAPIDocument,
+	getOperations,
+	isJsonMediaType,
+	resolveReference,
+	toParamName,
+} from "./openapi.js";
+import { coerceValue, validateSchema } from "./json-schema.js";
+import { stringifyRequest } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
+/** @typedef {import("./openapi.js").OpenAPIOperation} OpenAPIOperation */
+
+/**
+ * @typedef {Object} ContractOperation
+ * @property {OpenAPIOperation} operation The OpenAPI operation.
+ * @property {URLPattern} pattern The pattern that matches the operation's URLs.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * Header parameters that OpenAPI says must be ignored because they're
+ * described elsewhere in the document.
+ * @type {Set<string>}
+ */
+const ignoredHeaders = new Set(["accept", "content-type", "authorization"]);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Returns the media type of a Content-Type header without any parameters.
+ * @param {string|null} contentType The Content-Type header.
+ * @returns {string} The media type in lowercase or an empty string.
+ */
+function getMediaType(contentType) {
+	return (contentType ?? "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Finds the media type in an OpenAPI content object that describes a
+ * Content-Type. Ranges such as `application/*` and `*\/*` are supported.
+ * @param {Record<string, any>} content The content object.
+ * @param {string} mediaType The media type to find.
+ * @returns {string|undefined} The matching key in the content object.
+ */
+function findMediaType(content, mediaType) {
+	const [type] = mediaType.split("/");
+
+	return Object.keys(content).find(key => {
+		const expected = getMediaType(key);
+
+		return (
+			expected === mediaType ||
+			expected === `${type}/*` ||
+			expected === "*/*"
+		);
+	});
+}
+
+/**
+ * Returns the parameters for an operation. Operation parameters replace
+ * path item parameters that have the same name and location.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @param {OpenAPIOperation} operation The operation.
+ * @returns {Array<Record<string, any>>} The parameters.
+ */
+function getParameters(document, { operation, pathItem }) {
+	const parameters = new Map();
+
+	for (const value of [
+		...(pathItem.parameters ?? []),
+		...(operation.parameters ?? []),
+	]) {
+		const parameter = resolveReference(document, value);
+		parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+	}
+
+	return [...parameters.values()];
+}
+
+/**
+ * Finds the response object that describes a status code. An exact status
+ * is preferred, followed by a range such as `4XX`, then `default`.
+ * @param {Record<string, any>} responses The responses object.
+ * @param {number} status The status code.
+ * @returns {Record<string, any>|undefined} The response object.
+ */
+function findResponse(responses, status) {
+	const range = `${String(status)[0]}XX`;
+	const key =
+		Object.keys(responses).find(name => name === String(status)) ??
+		Object.keys(responses).find(name => name.toUpperCase() === range) ??
+		Object.keys(responses).find(name => name === "default");
+
+	return key === undefined ? undefined : responses[key];
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents an error that occurs when a request or a mock response
+ * doesn't follow the OpenAPI document for a server.
+ * @extends {Error}
+ */
+export class ContractViolationError extends Error {
+	/**
+	 * The recorded call for the request, set by the server that received it.
+	 * @type {RecordedCall|undefined}
+	 */
+	call;
+
+	/**
+	 * Creates a new ContractViolationError instance.
+	 * @param {Request} request The request that was received.
+	 * @param {string|any|FormData|null} body The body of the request.
+	 * @param {Array<string>} violations A description of each violation.
+	 */
+	constructor(request, body, violations) {
+		const message = `OpenAPI contract violated for ${request.method} ${request.url}.
+
+Full Request:
+
+${stringifyRequest(request, body)}
+
+Violations:
+${violations.map(violation => `\n  ❌ ${violation}`).join("")}`;
+
+		super(message);
+		this.name = "ContractViolationError";
+		this.request = request;
+		this.body = body;
+		this.violations = violations;
+	}
+}
+
+/**
+ * Checks requests and responses against the operations in an OpenAPI
+ * document.
+ */
+export class ContractValidator {
+	/**
+	 * The OpenAPI document.
+	 * @type {Record<string, any>}
+	 */
+	#document;
+
+	/**
+	 * The operations in the document along with the patterns for their URLs.
+	 * @type {Array<ContractOperation>}
+	 */
+	#operations;
+
+	/**
+	 * The URL that the document's paths are relative to.
+	 * @type {string}
+	 */
+	#baseUrl;
+
+	/**
+	 * Creates a new instance.
+	 * @param {object} document The OpenAPI document.
+	 * @param {string} baseUrl The URL that the document's paths are relative to.
+	 * @throws {TypeError} If the document is invalid.
+	 */
+	constructor(document, baseUrl) {
+		assertValidOpenAPIDocument(document);
+
+		// same approach as RequestMatcher so paths are relative to the base URL
+		const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+
+		this.#document = document;
+		this.#baseUrl = new URL(base).href;
+		this.#operations = getOperations(document).map(operation => ({
+			operation,
+			pattern: new URLPattern(operation.url.slice(1), base),
+		}));
+	}
+
+	/**
+	 * Finds the operation that describes a request.
+	 * @param {string} method The HTTP method of the request.
+	 * @param {string} url The URL of the request.
+	 * @returns {{operation:OpenAPIOperation,params:Record<string,string|undefined>}|undefined} The operation and path parameters.
+	 */
+	#findOperation(method, url) {
+		for (const { operation, pattern } of this.#operations) {
+			if (operation.method !== method) {
+				continue;
+			}
+
+			const match = pattern.exec(url);
+
+			if (match) {
+				return { operation, params: match.pathname.groups };
+			}
+		}
+
+		// HEAD is described by the GET operation unless it has its own
+		if (method === "HEAD") {
+			return this.#findOperation("GET", url);
+		}
+
+		return undefined;
+	}
+
+	/**
+	 * Determines if a URL is relative to the document's base URL. Requests
+	 * for other URLs aren't described by the document.
+	 * @param {string} url The URL to check.
+	 * @returns {boolean} `true` if the document describes the URL, `false` if not.
+	 */
+	describesUrl(url) {
+		return url.startsWith(this.#baseUrl) || `${url}/` === this.#baseUrl;
+	}
+
+	/**
+	 * Validates a request against its operation.
+	 * @param {Request} request The request to validate.
+	 * @param {string|any|FormData|null} body The parsed body of the request.
+	 * @returns {Array<string>} A description of each violation.
+	 */
+	validateRequest(request, body) {
+		const found = this.#findOperation(request.method, request.url);
+
+		if (!found) {
+			return [
+				`No OpenAPI operation matches ${request.method} ${new URL(request.url).pathname}.`,
+			];
+		}
+
+		const document = this.#document;
+		const { operation, params } = found;
+		const query = new URL(request.url).searchParams;
+
+		/** @type {Array<string>} */
+		const violations = [];
+
+		for (const parameter of getParameters(document, operation)) {
+			/** @type {string|Array<string>|undefined} */
+			let value;
+			let location;
+
+			switch (parameter.in) {
+				case "path":
+					location = "request.params";
+					value = params[toParamName(parameter.name)];
+					break;
+
+				case "query":
+					location = "request.query";
+					value = query.has(parameter.name)
+						? query.getAll(parameter.name)
+						: undefined;
+					break;
+
+				case "header":
+					if (ignoredHeaders.has(parameter.name.toLowerCase())) {
+						continue;
+					}
+
+					location = "request.headers";
+					value = request.headers.get(parameter.name) ?? undefined;
+					break;
+
+				default:
+					continue;
+			}
+
+			const path = `${location}.${parameter.name}`;
+
+			if (value === undefined) {
+				if (parameter.required) {
+					violations.push(`${path} is required.`);
+				}
+
+				continue;
+			}
+
+			violations.push(
+				...validateSchema(
+					document,
+					parameter.schema,
+					coerceValue(document, parameter.schema, value),
+					path,
+				),
+			);
+		}
+
+		if (!operation.operation.requestBody) {
+			return violations;
+		}
+
+		const requestBody = resolveReference(
+			document,
+			operation.operation.requestBody,
+		);
+
+		if (body === null || body === undefined) {
+			if (requestBody.required) {
+				violations.push("request.body is required.");
+			}
+
+			return violations;
+		}
+
+		const content = requestBody.content ?? {};
+		const mediaType = getMediaType(request.headers.get("content-type"));
+		const key = findMediaType(content, mediaType);
+
+		if (key === undefined) {
+			violations.push(
+				`request content type ${mediaType || "(none)"} must be one of: ${Object.keys(content).join(", ")}.`,
+			);
+		} else if (isJsonMediaType(mediaType)) {
+			violations.push(
+				...validateSchema(
+					document,
+					content[key].schema,
+					body,
+					"request.body",
+				),
+			);
+		}
+
+		return violations;
+	}
+
+	/**
+	 * Validates a response against the operation for the request it
+	 * responds to. JSON bodies are read from a clone of the response so the
+	 * response can still be read afterwards.
+	 * @param {Request} request The request that was responded to.
+	 * @param {Response} response The response to validate.
+	 * @returns {Promise<Array<string>>} A description of each violation.
+	 */
+	async validateResponse(request, response) {
+		const found = this.#findOperation(request.method, request.url);
+
+		// the missing operation is reported by validateRequest()
+		if (!found) {
+			return [];
+		}
+
+		const document = this.#document;
+		const responses = found.operation.operation.responses ?? {};
+		const definition = findResponse(responses, response.status);
+
+		if (!definition) {
+			return [
+				`response status ${response.status} must be one of: ${Object.keys(responses).join(", ")}.`,
+			];
+		}
+
+		const resolved = resolveReference(document, definition);
+
+		/** @type {Array<string>} */
+		const violations = [];
+
+		for (const [name, value] of Object.entries(resolved.headers ?? {})) {
+			const header = resolveReference(document, value);
+			const headerValue = response.headers.get(name);
+			const path = `response.headers.${name.toLowerCase()}`;
+
+			if (headerValue === null) {
+				if (header.required) {
+					violations.push(`${path} is required.`);
+				}
+
+				continue;
+			}
+
+			violations.push(
+				...validateSchema(
+					document,
+					header.schema,
+					coerceValue(document, header.schema, headerValue),
+					path,
+				),
+			);
+		}
+
+		const content = resolved.content;
+
+		if (!content || response.body === null) {
+			return violations;
+		}
+
+		const mediaType = getMediaType(response.headers.get("content-type"));
+		const key = findMediaType(content, mediaType);
+
+		if (key === undefined) {
+			violations.push(
+				`response content type ${mediaType || "(none)"} must be one of: ${Object.keys(content).join(", ")}.`,
+			);
+
+			return violations;
+		}
+
+		if (!isJsonMediaType(mediaType) || !content[key].schema) {
+			return violations;
+		}
+
+		let body;
+
+		try {
+			body = await response.clone().json();
+		} catch {
+			violations.push("response.body must be valid JSON.");
+			return violations;
+		}
+
+		violations.push(
+			...validateSchema(
+				document,
+				content[key].schema,
+				body,
+				"response.body",
+			),
+		);
+
+		return violations;
+	}
+}
@@ -9,7 +9,15 @@
 // Imports
 //-----------------------------------------------------------------------------
 
-import { NoRouteMatchedError } from "./util.js";
+import {
+	NoRouteMatchedError,
+	assertCallCount,
+	assertCallOrder,
+	describeRequestPattern,
+} from "./util.js";
+import { NetworkError, createFetchError } from "./network-errors.js";
+import { ContractViolationError } from "./contract.js";
+import { createHAR } from "./har.js";
 import {
 	isCorsSimpleRequest,
 	CorsPreflightData,
@@ -38,7 +46,9 @@ import {
 /** @typedef {import("./types.js").RequestPattern} RequestPattern */
 /** @typedef {import("./types.js").Credentials} Credentials */
 /** @typedef {import("./mock-server.js").MockServer} MockServer */
+/** @typedef {import("./recorder.js").Recorder} Recorder */
 /** @typedef {import("./mock-server.js").Trace} Trace */
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
 
 //-----------------------------------------------------------------------------
 // Helpers
@@ -109,6 +119,24 @@ function createOpaqueResponse(ResponseConstructor) {
 	return response;
 }
 
+/**
+ * Sets the URL and type of a response to match the request it responds to.
+ * The Response constructor doesn't allow setting these directly.
+ * @param {Response} response The response to update.
+ * @param {Request} request The request the response is for.
+ * @returns {Response} The updated response.
+ */
+function setResponseUrlAndType(response, request) {
+	Object.defineProperties(response, {
+		url: { value: request.url },
+		type: {
+			value: request.mode === "cors" ? "cors" : "default",
+		},
+	});
+
+	return response;
+}
+
 /**
  * Creates an opaque filtered redirect response.
  * @param {typeof Response} ResponseConstructor The Response constructor to use
@@ -180,12 +208,24 @@ export class FetchMocker {
 	 */
 	#credentials;
 
+	/**
+	 * The recorder for requests that no server responds to.
+	 * @type {Recorder|undefined}
+	 */
+	#recorder;
+
 	/**
 	 * The CORS preflight data for each URL.
 	 * @type {Map<string, CorsPreflightData>}
 	 */
 	#corsPreflightData = new Map();
 
+	/**
+	 * The requests that have been responded to by any server.
+	 * @type {Array<RecordedCall>}
+	 */
+	#requests = [];
+
 	/**
 	 * The Response constructor to use.
 	 * @type {typeof Response}
@@ -326,6 +366,7 @@ export class FetchMocker {
 	 * @param {Credentials[]} [options.credentials] The credentials to use.
 	 * @param {typeof Response} [options.CustomResponse] The Response constructor to use.
 	 * @param {typeof Request} [options.CustomRequest] The Request constructor to use.
+	 * @param {Recorder} [options.recorder] The recorder for requests that no server responds to.
 	 */
 	constructor({
 		servers,
@@ -333,9 +374,11 @@ export class FetchMocker {
 		credentials = [],
 		CustomRequest = globalThis.Request,
 		CustomResponse = globalThis.Response,
+		recorder,
 	}) {
 		this.#servers = servers;
 		this.#credentials = credentials;
+		this.#recorder = recorder;
 		this.#baseUrl = createBaseUrl(baseUrl);
 		this.#Response = CustomResponse;
 		this.#Request = createCustomRequest(CustomRequest);
@@ -390,25 +433,63 @@ export class FetchMocker {
 		 */
 		for (const server of this.#servers) {
 			const requestClone = request.clone();
-			const { response, traces } = await server.traceReceive(
-				requestClone,
-				this.#Response,
-			);
+			let result;
+
+			try {
+				result = await server.traceReceive(
+					requestClone,
+					this.#Response,
+				);
+			} catch (error) {
+				// contract violations still count as calls
+				if (error instanceof ContractViolationError && error.call) {
+					this.#requests.push(error.call);
+				}
+
+				/*
+				 * A simulated network error means fetch() rejects the same
+				 * way it would in the current runtime.
+				 */
+				if (error instanceof NetworkError) {
+					if (error.call) {
+						this.#requests.push(error.call);
+					}
+
+					throw createFetchError(error);
+				}
+
+				throw error;
+			}
+
+			const { response, traces, call } = result;
 
 			if (response) {
-				// Set response.url and type
-				Object.defineProperties(response, {
-					url: { value: request.url },
-					type: {
-						value: request.mode === "cors" ? "cors" : "default",
-					},
-				});
-				return response;
+				if (call) {
+					this.#requests.push(call);
+				}
+
+				return setResponseUrlAndType(response, request);
 			}
 
 			allTraces.push(...traces);
 		}
 
+		// the recorder handles anything the servers don't
+		if (this.#recorder) {
+			// the recorder must not send requests to the mocked global fetch()
+			const originalFetch = /** @type {typeof fetch|undefined} */ (
+				this.#originalFetchers.get(globalThis)?.get("fetch")
+			);
+			const { response, call } = await this.#recorder.receive(
+				request,
+				this.#Response,
+				originalFetch,
+			);
+
+			this.#requests.push(call);
+			return setResponseUrlAndType(response, request);
+		}
+
 		/*
 		 * To find possible traces, filter out all of the traces that only
 		 * have one message. This is because a single message means that
@@ -690,6 +771,40 @@ export class FetchMocker {
 		return this.#servers.flatMap(server => server.uncalledRoutes);
 	}
 
+	/**
+	 * Gets the requests that were responded to by any server, in the order
+	 * they were received. This includes CORS preflight and redirect requests.
+	 * @returns {Array<RecordedCall>} The recorded requests.
+	 */
+	get requests() {
+		return [...this.#requests];
+	}
+
+	/**
+	 * Creates a HAR 1.2 document containing every request that was
+	 * responded to and its response, in the order they were received.
+	 * This includes CORS preflight and redirect requests, each as its own
+	 * entry.
+	 * @returns {Promise<Record<string, any>>} The HAR document.
+	 */
+	toHAR() {
+		return createHAR(this.#requests);
+	}
+
+	/**
+	 * Gets the recorded calls from all servers that match a request pattern,
+	 * in the order they were received.
+	 * @param {string|RequestPattern} request The request pattern to match.
+	 * @returns {Array<RecordedCall>} The matching calls.
+	 */
+	#callsFor(request) {
+		const matches = new Set(
+			this.#servers.flatMap(server => server.callsFor(request)),
+		);
+
+		return this.#requests.filter(call => matches.has(call));
+	}
+
 	/**
 	 * Asserts that all routes were called.
 	 * @returns {void}
@@ -707,6 +822,47 @@ export class FetchMocker {
 		}
 	}
 
+	/**
+	 * Asserts that a request pattern was called a specific number of times.
+	 * @param {string|RequestPattern} request The request pattern to check.
+	 * @param {number} times The expected number of calls.
+	 * @returns {void}
+	 * @throws {Error} When the number of calls is different.
+	 */
+	assertCalledTimes(request, times) {
+		assertCallCount(
+			describeRequestPattern(request),
+			this.#callsFor(request),
+			this.#requests,
+			times,
+		);
+	}
+
+	/**
+	 * Asserts that a request pattern was never called.
+	 * @param {string|RequestPattern} request The request pattern to check.
+	 * @returns {void}
+	 * @throws {Error} When the request pattern was called.
+	 */
+	assertNotCalled(request) {
+		this.assertCalledTimes(request, 0);
+	}
+
+	/**
+	 * Asserts that request patterns were called in the given order. Other
+	 * requests may have been made in between.
+	 * @param {Array<string|RequestPattern>} requests The request patterns in the expected order.
+	 * @returns {void}
+	 * @throws {Error} When the requests weren't called in order.
+	 */
+	assertCalledInOrder(requests) {
+		assertCallOrder(
+			requests.map(request => describeRequestPattern(request)),
+			requests.map(request => this.#callsFor(request)),
+			this.#requests,
+		);
+	}
+
 	// #endregion: Testing Helpers
 
 	/**
@@ -785,13 +941,14 @@ export class FetchMocker {
 
 	/**
 	 * Clears all data from the fetch mocker. This include the CORS preflight
-	 * cache as well as the routes on the servers. The servers themselves
-	 * remain intact.
+	 * cache, the request history, and the routes on the servers. The servers
+	 * themselves remain intact.
 	 * @returns {void}
 	 */
 	clearAll() {
 		this.#servers.forEach(server => server.clear());
 		this.#credentials.forEach(credentials => credentials.clear());
+		this.#requests = [];
 		this.clearPreflightCache();
 	}
 }
@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Utilities for working with GraphQL-over-HTTP requests.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { Matcher } from "./matchers.js";
+import { getBody, isPlainObject, searchParamsToObject } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").RequestPattern} RequestPattern */
+/** @typedef {import("./types.js").ResponsePattern} ResponsePattern */
+/** @typedef {import("./types.js").NetworkErrorPattern} NetworkErrorPattern */
+/** @typedef {import("./types.js").ResponseCreator} ResponseCreator */
+/** @typedef {import("./types.js").GraphQLPattern} GraphQLPattern */
+/** @typedef {import("./types.js").GraphQLOperation} GraphQLOperation */
+/** @typedef {import("./types.js").GraphQLResult} GraphQLResult */
+/** @typedef {import("./types.js").GraphQLResponseCreator} GraphQLResponseCreator */
+
+/**
+ * @typedef {ResponsePattern|NetworkErrorPattern|GraphQLResult|number} GraphQLResponse
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The types of GraphQL operations.
+ * @type {Set<string>}
+ */
+const operationTypes = new Set(["query", "mutation", "subscription"]);
+
+/**
+ * Matches the tokens of a GraphQL document. Comments are matched so they
+ * can be skipped and commas are ignored because they're insignificant.
+ */
+const tokenPattern =
+	/"""[\s\S]*?"""|"(?:[^"\\\n\r]|\\.)*"|#[^\n\r]*|\.\.\.|[!$&()[\]{}:=@|]|[^\s,!$&()[\]{}:=@|"#]+/gu;
+
+/**
+ * The tokens that open and close nested parts of a document.
+ */
+const openers = new Set(["{", "(", "["]);
+const closers = new Set(["}", ")", "]"]);
+
+/**
+ * The keys of a GraphQL result.
+ */
+const resultKeys = ["data", "errors", "extensions"];
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Splits a GraphQL document into tokens, leaving out comments.
+ * @param {string} document The GraphQL document.
+ * @returns {Array<string>} The tokens.
+ */
+function tokenize(document) {
+	return (document.match(tokenPattern) ?? []).filter(
+		token => !token.startsWith("#"),
+	);
+}
+
+/**
+ * Finds the operations defined in a GraphQL document. Only the top level of
+ * the document is read, so the document doesn't need to be valid GraphQL.
+ * A selection set without a keyword is an anonymous query.
+ * @param {string} document The GraphQL document.
+ * @returns {Array<{operationType:string,operationName:string|undefined}>} The operations.
+ */
+function findOperations(document) {
+	const operations = [];
+	let depth = 0;
+
+	/**
+	 * The definition whose selection set hasn't started yet. Fragments have
+	 * no operation.
+	 * @type {{operation?:{operationType:string,operationName:string|undefined},expectsName:boolean}|undefined}
+	 */
+	let definition;
+
+	for (const token of tokenize(document)) {
+		if (openers.has(token)) {
+			if (depth === 0 && token === "{") {
+				if (!definition) {
+					operations.push({
+						operationType: "query",
+						operationName: undefined,
+					});
+				}
+
+				definition = undefined;
+			} else if (definition) {
+				definition.expectsName = false;
+			}
+
+			depth++;
+			continue;
+		}
+
+		if (closers.has(token)) {
+			depth = Math.max(depth - 1, 0);
+			continue;
+		}
+
+		if (depth > 0) {
+			continue;
+		}
+
+		if (definition) {
+			if (token === "@") {
+				definition.expectsName = false;
+			} else if (definition.expectsName && definition.operation) {
+				definition.operation.operationName = token;
+				definition.expectsName = false;
+			}
+
+			continue;
+		}
+
+		if (operationTypes.has(token)) {
+			const operation = {
+				operationType: token,
+				operationName: undefined,
+			};
+
+			operations.push(operation);
+			definition = { operation, expectsName: true };
+		} else if (token === "fragment") {
+			definition = { expectsName: false };
+		}
+	}
+
+	return operations;
+}
+
+/**
+ * Finds the operation that a GraphQL document will execute. When the
+ * document contains more than one operation, the operation name must be
+ * provided.
+ * @param {string} document The GraphQL document.
+ * @param {string} [operationName] The name of the operation to execute.
+ * @returns {{operationType:string,operationName:string|undefined}|undefined} The operation or `undefined` if it can't be found.
+ */
+function findOperation(document, operationName) {
+	const operations = findOperations(document);
+
+	if (operationName) {
+		return operations.find(
+			operation => operation.operationName === operationName,
+		);
+	}
+
+	return operations.length === 1 ? operations[0] : undefined;
+}
+
+/**
+ * Converts a GraphQL result into a response pattern. Errors that are
+ * strings are converted into error objects with a message.
+ * @param {GraphQLResult} result The GraphQL result.
+ * @returns {ResponsePattern} The response pattern.
+ */
+function createResultResponse(result) {
+	/** @type {Record<string, unknown>} */
+	const body = {};
+
+	for (const key of resultKeys) {
+		if (key in result) {
+			body[key] = /** @type {Record<string, unknown>} */ (result)[key];
+		}
+	}
+
+	if (Array.isArray(result.errors)) {
+		body.errors = result.errors.map(error =>
+			typeof error === "string" ? { message: error } : error,
+		);
+	}
+
+	return { status: 200, body };
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Normalizes a GraphQL document so that documents that only differ in
+ * whitespace, commas, and comments are equal.
+ * @param {string} document The GraphQL document.
+ * @returns {string} The normalized document.
+ */
+export function normalizeDocument(document) {
+	return tokenize(document).join(" ");
+}
+
+/**
+ * Parses a GraphQL-over-HTTP request. POST requests send the query,
+ * operation name, and variables in a JSON body while GET requests send
+ * them in the query string with the variables encoded as JSON.
+ * @param {Pick<RequestPattern, "method"|"query"|"body">} request The request to parse.
+ * @returns {GraphQLOperation|undefined} The operation or `undefined` if the request isn't a GraphQL request.
+ */
+export function parseGraphQLRequest({ method, query, body }) {
+	/** @type {Record<string, unknown>} */
+	let params;
+
+	if (method.toUpperCase() === "GET") {
+		if (!isPlainObject(query)) {
+			return undefined;
+		}
+
+		params = { ...query };
+
+		if (typeof params.variables === "string") {
+			try {
+				params.variables = JSON.parse(params.variables);
+			} catch {
+				return undefined;
+			}
+		}
+	} else if (isPlainObject(body)) {
+		params = /** @type {Record<string, unknown>} */ (body);
+	} else {
+		return undefined;
+	}
+
+	const { query: document, operationName, variables = {} } = params;
+
+	if (
+		typeof document !== "string" ||
+		(operationName !== undefined &&
+			operationName !== null &&
+			typeof operationName !== "string") ||
+		(variables !== null && !isPlainObject(variables))
+	) {
+		return undefined;
+	}
+
+	const operation = findOperation(document, operationName || undefined);
+
+	if (!operation) {
+		return undefined;
+	}
+
+	return {
+		...operation,
+		query: document,
+		variables: variables ?? {},
+	};
+}
+
+/**
+ * Asserts that a GraphQL pattern is valid.
+ * @param {GraphQLPattern} pattern The GraphQL pattern to check.
+ * @returns {void}
+ * @throws {TypeError} If the GraphQL pattern is invalid.
+ */
+export function assertValidGraphQLPattern(pattern) {
+	if (!isPlainObject(pattern)) {
+		throw new TypeError("GraphQL pattern must be an object.");
+	}
+
+	if (
+		pattern.operationType !== undefined &&
+		!operationTypes.has(pattern.operationType)
+	) {
+		throw new TypeError(
+			`GraphQL pattern operationType must be one of: ${[...operationTypes].join(", ")}.`,
+		);
+	}
+
+	for (const key of /** @type {const} */ (["operationName", "query"])) {
+		if (
+			pattern[key] !== undefined &&
+			typeof pattern[key] !== "string" &&
+			!(pattern[key] instanceof Matcher)
+		) {
+			throw new TypeError(
+				`GraphQL pattern ${key} must be a string or matcher.`,
+			);
+		}
+	}
+
+	if (
+		pattern.variables !== undefined &&
+		!isPlainObject(pattern.variables) &&
+		typeof pattern.variables !== "function"
+	) {
+		throw new TypeError(
+			"GraphQL pattern variables must be an object or function.",
+		);
+	}
+}
+
+/**
+ * Describes the operation that a GraphQL pattern matches for display.
+ * @param {{operationType?:string,operationName?:unknown}} pattern The GraphQL pattern or operation to describe.
+ * @returns {string} The description, such as "query GetUser".
+ */
+export function describeGraphQLPattern({ operationType, operationName }) {
+	return (
+		[operationType, operationName].filter(Boolean).join(" ") ||
+		"any operation"
+	);
+}
+
+/**
+ * Converts a GraphQL response into a response that a route can return.
+ * GraphQL results containing `data`, `errors`, or `extensions` respond with
+ * a 200 status and a JSON body. Response patterns, network errors, and
+ * status codes are returned unchanged. Functions are wrapped so they
+ * receive the parsed operation and can also return GraphQL results.
+ * @param {GraphQLResponse|GraphQLResponseCreator} response The response to convert.
+ * @returns {ResponsePattern|NetworkErrorPattern|ResponseCreator|number} The converted response.
+ * @throws {TypeError} If the response isn't a GraphQL result or response pattern.
+ */
+export function toGraphQLResponse(response) {
+	if (typeof response === "function") {
+		return async (request, info) => {
+			const graphql = /** @type {GraphQLOperation} */ (
+				parseGraphQLRequest({
+					method: request.method,
+					query: searchParamsToObject(info.query),
+					body: await getBody(request.clone()),
+				})
+			);
+
+			return /** @type {ResponsePattern|NetworkErrorPattern|number} */ (
+				toGraphQLResponse(await response(request, { ...info, graphql }))
+			);
+		};
+	}
+
+	if (
+		typeof response !== "object" ||
+		response === null ||
+		"status" in response ||
+		"error" in response
+	) {
+		return /** @type {ResponsePattern|NetworkErrorPattern|number} */ (
+			response
+		);
+	}
+
+	if (!resultKeys.some(key => key in response)) {
+		throw new TypeError(
+			"GraphQL response must include data, errors, extensions, or a status.",
+		);
+	}
+
+	return createResultResponse(/** @type {GraphQLResult} */ (response));
+}
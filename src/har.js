@@ -0,0 +1,518 @@
+/**
+ * @fileoverview Utilities for working with HAR (HTTP Archive) files.
+ * @author Nicholas C. Zakas
+ */
+
+/* global atob, btoa, FormData, TextDecoder, TextEncoder, URLSearchParams */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { statusTexts } from "./http.js";
+import { isJsonMediaType } from "./openapi.js";
+import { RECORD_SEPARATOR, searchParamsToObject } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").RequestPattern} RequestPattern */
+/** @typedef {import("./types.js").ResponsePattern} ResponsePattern */
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
+
+/**
+ * @typedef {Object} HARHeader
+ * @property {string} name The header name.
+ * @property {string} value The header value.
+ */
+
+/**
+ * @typedef {Object} HARRoute
+ * @property {RequestPattern} request The request pattern for the entry.
+ * @property {ResponsePattern} response The response pattern for the entry.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The version of this package, used to identify the creator of HAR files.
+ */
+const version = "0.13.0"; // x-release-please-version
+
+/**
+ * Headers that describe how a message was sent over the network rather
+ * than its content. HAR files contain decoded bodies, so these headers are
+ * never included in routes.
+ * @type {Set<string>}
+ */
+const transportHeaders = new Set([
+	"connection",
+	"content-encoding",
+	"content-length",
+	"keep-alive",
+	"transfer-encoding",
+]);
+
+/**
+ * Headers whose values usually change between requests and so are ignored
+ * unless the caller says otherwise.
+ * @type {Array<string>}
+ */
+export const volatileHeaders = [
+	"age",
+	"cookie",
+	"date",
+	"expires",
+	"host",
+	"referer",
+	"user-agent",
+];
+
+/**
+ * Statuses whose responses can't have a body.
+ * @type {Set<number>}
+ */
+const nullBodyStatuses = new Set([101, 103, 204, 205, 304]);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Escapes characters that have a special meaning in URL patterns.
+ * @param {string} path The path to escape.
+ * @returns {string} The escaped path.
+ */
+function escapeURLPattern(path) {
+	return path.replace(/[:*+?(){}\\]/gu, "\\$&");
+}
+
+/**
+ * Returns the media type of a MIME type without any parameters.
+ * @param {string|undefined} mimeType The MIME type.
+ * @returns {string} The media type in lowercase or an empty string.
+ */
+function getMediaType(mimeType) {
+	return (mimeType ?? "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Converts a HAR headers array into an object, leaving out ignored
+ * headers and HTTP/2 pseudo-headers such as `:authority`. Repeated headers
+ * are joined with commas.
+ * @param {Array<{name:string,value:string}>|undefined} headers The HAR headers.
+ * @param {Set<string>} ignoreHeaders The lowercase names of headers to leave out.
+ * @returns {Record<string, string>} The headers object.
+ */
+function toHeadersObject(headers, ignoreHeaders) {
+	/** @type {Record<string, string>} */
+	const result = {};
+
+	for (const { name, value } of headers ?? []) {
+		const key = name.toLowerCase();
+
+		if (
+			key.startsWith(":") ||
+			transportHeaders.has(key) ||
+			ignoreHeaders.has(key)
+		) {
+			continue;
+		}
+
+		result[key] = key in result ? `${result[key]}, ${value}` : value;
+	}
+
+	return result;
+}
+
+/**
+ * Converts a Headers object into a HAR headers array.
+ * @param {Headers} headers The headers to convert.
+ * @returns {Array<HARHeader>} The HAR headers.
+ */
+function toHARHeaders(headers) {
+	return [...headers.entries()].map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Determines if a media type contains text that can be stored in a HAR
+ * file without encoding.
+ * @param {string} mediaType The media type to check.
+ * @returns {boolean} `true` if the media type is text, `false` if not.
+ */
+function isTextMediaType(mediaType) {
+	return (
+		mediaType === "" ||
+		mediaType.startsWith("text/") ||
+		/^application\/(?:[\w.-]+\+)?(?:json|xml)$/u.test(mediaType) ||
+		[
+			"application/javascript",
+			"application/x-www-form-urlencoded",
+			"application/x-ndjson",
+			"application/json-seq",
+		].includes(mediaType)
+	);
+}
+
+/**
+ * Encodes bytes as a base64 string.
+ * @param {ArrayBuffer} buffer The bytes to encode.
+ * @returns {string} The base64 text.
+ */
+function encodeBase64(buffer) {
+	const bytes = new Uint8Array(buffer);
+	let binary = "";
+
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+
+	return btoa(binary);
+}
+
+/**
+ * Converts a parsed request body back into text for a HAR file.
+ * @param {any} body The parsed body of the request.
+ * @param {string} mimeType The content type of the request.
+ * @returns {string} The body text.
+ */
+function stringifyBody(body, mimeType) {
+	if (typeof body === "string") {
+		return body;
+	}
+
+	if (body instanceof ArrayBuffer) {
+		return new TextDecoder().decode(body);
+	}
+
+	const mediaType = getMediaType(mimeType);
+
+	// streaming JSON formats are parsed into an array of values
+	if (Array.isArray(body) && !isJsonMediaType(mediaType)) {
+		return mediaType === "application/json-seq"
+			? body
+					.map(
+						value =>
+							`${RECORD_SEPARATOR}${JSON.stringify(value)}\n`,
+					)
+					.join("")
+			: body.map(value => `${JSON.stringify(value)}\n`).join("");
+	}
+
+	return JSON.stringify(body);
+}
+
+/**
+ * Creates the HAR post data for a recorded call from its parsed body, so
+ * the request body doesn't need to be read again. Form data is recorded as
+ * parameters and other bodies as text.
+ * @param {RecordedCall} call The recorded call.
+ * @returns {Record<string, any>|undefined} The post data or `undefined` if there's no body.
+ */
+function createPostData(call) {
+	if (call.body === null || call.body === undefined) {
+		return undefined;
+	}
+
+	const mimeType = call.request.headers.get("content-type") ?? "";
+
+	if (call.body instanceof FormData) {
+		return {
+			mimeType,
+			params: [...call.body.entries()].map(([name, value]) =>
+				typeof value === "string"
+					? { name, value }
+					: { name, fileName: value.name, contentType: value.type },
+			),
+		};
+	}
+
+	if (call.body instanceof URLSearchParams) {
+		return {
+			mimeType,
+			params: [...call.body].map(([name, value]) => ({ name, value })),
+			text: call.body.toString(),
+		};
+	}
+
+	return { mimeType, text: stringifyBody(call.body, mimeType) };
+}
+
+/**
+ * Returns the size of HAR post data in bytes.
+ * @param {Record<string, any>|undefined} postData The post data.
+ * @returns {number} The size in bytes, `0` if there's no body, or `-1` if the size isn't known.
+ */
+function getPostDataSize(postData) {
+	if (!postData) {
+		return 0;
+	}
+
+	return typeof postData.text === "string"
+		? new TextEncoder().encode(postData.text).byteLength
+		: -1;
+}
+
+/**
+ * Creates the HAR content for a recorded response. Binary bodies are
+ * encoded as base64.
+ * @param {Response|undefined} response The recorded response.
+ * @returns {Promise<Record<string, any>>} The HAR content.
+ */
+async function createContent(response) {
+	const mimeType = response?.headers.get("content-type") ?? "";
+
+	if (!response?.body) {
+		return { size: 0, mimeType };
+	}
+
+	const buffer = await response.clone().arrayBuffer();
+
+	if (isTextMediaType(getMediaType(mimeType))) {
+		return {
+			size: buffer.byteLength,
+			mimeType,
+			text: new TextDecoder().decode(buffer),
+		};
+	}
+
+	return {
+		size: buffer.byteLength,
+		mimeType,
+		text: encodeBase64(buffer),
+		encoding: "base64",
+	};
+}
+
+/**
+ * Creates a HAR entry for a recorded call.
+ * @param {RecordedCall} call The recorded call.
+ * @returns {Promise<Record<string, any>>} The HAR entry.
+ */
+async function createEntry(call) {
+	const { request, response } = call;
+	const url = new URL(request.url);
+	const postData = createPostData(call);
+	const content = await createContent(response);
+
+	/** @type {Record<string, any>} */
+	const entry = {
+		startedDateTime: new Date(call.timestamp).toISOString(),
+		time: call.duration,
+		request: {
+			method: request.method,
+			url: request.url,
+			httpVersion: "HTTP/1.1",
+			cookies: [],
+			headers: toHARHeaders(request.headers),
+			queryString: [...url.searchParams].map(([name, value]) => ({
+				name,
+				value,
+			})),
+			...(postData && { postData }),
+			headersSize: -1,
+			bodySize: getPostDataSize(postData),
+		},
+		response: {
+			status: call.status,
+			statusText: response?.statusText ?? "",
+			httpVersion: "HTTP/1.1",
+			cookies: [],
+			headers: response ? toHARHeaders(response.headers) : [],
+			content,
+			redirectURL: response?.headers.get("location") ?? "",
+			headersSize: -1,
+			bodySize: content.size,
+		},
+		cache: {},
+		timings: { send: 0, wait: call.duration, receive: 0 },
+		comment: call.route,
+	};
+
+	// HAR has no field for network errors so use a custom one like browsers do
+	if (call.error) {
+		entry.response._error = call.error;
+	}
+
+	return entry;
+}
+
+/**
+ * Decodes a base64 string into an ArrayBuffer.
+ * @param {string} text The base64 text.
+ * @returns {ArrayBuffer} The decoded bytes.
+ */
+function decodeBase64(text) {
+	return Uint8Array.from(atob(text), char => char.charCodeAt(0)).buffer;
+}
+
+/**
+ * Creates the body to match from a HAR request's post data. JSON bodies
+ * are matched as objects, URL-encoded forms as URLSearchParams, and text
+ * bodies as strings. Other bodies, such as multipart forms, aren't matched.
+ * @param {Record<string, any>|undefined} postData The HAR post data.
+ * @returns {string|Record<string, any>|URLSearchParams|undefined} The body to match.
+ */
+function getRequestBody(postData) {
+	const mediaType = getMediaType(postData?.mimeType);
+
+	// browsers may record URL-encoded forms as params instead of text
+	if (mediaType === "application/x-www-form-urlencoded") {
+		if (postData?.text) {
+			return new URLSearchParams(postData.text);
+		}
+
+		if (Array.isArray(postData?.params)) {
+			return new URLSearchParams(
+				postData.params.map(({ name, value }) => [name, value]),
+			);
+		}
+	}
+
+	if (!postData?.text) {
+		return undefined;
+	}
+
+	if (isJsonMediaType(mediaType)) {
+		try {
+			return JSON.parse(postData.text);
+		} catch {
+			return undefined;
+		}
+	}
+
+	return mediaType.startsWith("text/") ? postData.text : undefined;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Asserts that a value is a HAR file.
+ * @param {unknown} har The value to check.
+ * @returns {asserts har is {log:{entries:Array<Record<string, any>>}}}
+ * @throws {TypeError} If the value isn't a HAR file.
+ */
+export function assertValidHAR(har) {
+	if (!har || typeof har !== "object") {
+		throw new TypeError("HAR must be an object.");
+	}
+
+	const { log } = /** @type {Record<string, any>} */ (har);
+
+	if (!log || typeof log !== "object" || !Array.isArray(log.entries)) {
+		throw new TypeError("HAR must include a log.entries array.");
+	}
+}
+
+/**
+ * Creates a HAR 1.2 document from recorded calls. Each call becomes an
+ * entry containing the request, the response, and the route that responded.
+ * @param {Array<RecordedCall>} calls The recorded calls in the order they were received.
+ * @returns {Promise<Record<string, any>>} The HAR document.
+ */
+export async function createHAR(calls) {
+	const entries = [];
+
+	// read one body at a time to keep the entries in order
+	for (const call of calls) {
+		entries.push(await createEntry(call));
+	}
+
+	return {
+		log: {
+			version: "1.2",
+			creator: { name: "mentoss", version },
+			entries,
+		},
+	};
+}
+
+/**
+ * Converts a HAR entry into a route. The route matches the entry's method,
+ * URL, query string, and body, and responds with the recorded response.
+ * Request headers are only matched when `matchHeaders` is `true`.
+ * @param {Record<string, any>} entry The HAR entry.
+ * @param {Object} options The options for the route.
+ * @param {string} options.baseUrl The base URL of the server the route is for.
+ * @param {Set<string>} options.ignoreHeaders The lowercase names of headers to leave out.
+ * @param {boolean} options.matchHeaders Whether to match the request headers.
+ * @returns {HARRoute|undefined} The route or `undefined` if the entry isn't for the base URL or has no response.
+ */
+export function createHARRoute(
+	entry,
+	{ baseUrl, ignoreHeaders, matchHeaders },
+) {
+	const { request, response } = entry;
+	const url = new URL(request.url);
+	const base = new URL(baseUrl);
+	const basePath = base.pathname.replace(/\/+$/u, "");
+
+	if (
+		url.origin !== base.origin ||
+		(url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`))
+	) {
+		return undefined;
+	}
+
+	// browsers record blocked and failed requests with a status of 0
+	if (!statusTexts.has(response.status)) {
+		return undefined;
+	}
+
+	/** @type {RequestPattern} */
+	const requestPattern = {
+		method: request.method.toUpperCase(),
+		url: escapeURLPattern(url.pathname.slice(basePath.length) || "/"),
+	};
+
+	if (url.search) {
+		requestPattern.query = searchParamsToObject(url.searchParams);
+	}
+
+	if (matchHeaders) {
+		requestPattern.headers = toHeadersObject(
+			request.headers,
+			ignoreHeaders,
+		);
+	}
+
+	const body = getRequestBody(request.postData);
+
+	if (body !== undefined) {
+		requestPattern.body = body;
+	}
+
+	/** @type {ResponsePattern} */
+	const responsePattern = {
+		status: response.status,
+		headers: toHeadersObject(response.headers, ignoreHeaders),
+	};
+
+	const { content = {} } = response;
+	const headers = /** @type {Record<string, string>} */ (
+		responsePattern.headers
+	);
+
+	// Chrome records responses without a content type as x-unknown
+	if (
+		!headers["content-type"] &&
+		content.mimeType &&
+		content.mimeType !== "x-unknown"
+	) {
+		headers["content-type"] = content.mimeType;
+	}
+
+	if (content.text && !nullBodyStatuses.has(response.status)) {
+		responsePattern.body =
+			content.encoding === "base64"
+				? decodeBase64(content.text)
+				: content.text;
+	}
+
+	return { request: requestPattern, response: responsePattern };
+}
@@ -142,3 +142,73 @@ export function isBodylessMethod(method) {
 export function isRequestBodyHeader(header) {
 	return requestBodyHeaders.has(header);
 }
+
+/**
+ * Parses an Accept header into media ranges and their quality values
+ * @param {string} accept The Accept header value
+ * @returns {Array<{type:string,subtype:string,q:number}>} The media ranges
+ */
+function parseAccept(accept) {
+	return accept
+		.split(",")
+		.map(range => {
+			const [mediaType, ...params] = range.split(";");
+			const [type = "", subtype = ""] = mediaType
+				.trim()
+				.toLowerCase()
+				.split("/");
+			const qParam = params
+				.map(param => param.trim().toLowerCase())
+				.find(param => param.startsWith("q="));
+			const q = qParam ? Number(qParam.slice(2)) : 1;
+
+			return { type, subtype, q: Number.isNaN(q) ? 0 : q };
+		})
+		.filter(range => range.type && range.subtype);
+}
+
+/**
+ * Chooses the media type that best matches an Accept header. Each media type
+ * gets the quality of the most specific range that matches it and ties go
+ * to the media type that comes first.
+ * @param {string|null} accept The Accept header value
+ * @param {Array<string>} mediaTypes The media types that are available
+ * @returns {string|undefined} The best media type or undefined if none are acceptable
+ */
+export function negotiateMediaType(accept, mediaTypes) {
+	// no Accept header means any media type is acceptable
+	const ranges = parseAccept(accept || "*/*");
+	let bestMediaType;
+	let bestQ = 0;
+
+	for (const mediaType of mediaTypes) {
+		const [type, subtype] = mediaType
+			.split(";")[0]
+			.trim()
+			.toLowerCase()
+			.split("/");
+		let specificity = -1;
+		let q = 0;
+
+		for (const range of ranges) {
+			const rangeSpecificity =
+				range.type === "*" ? 0 : range.subtype === "*" ? 1 : 2;
+			const matches =
+				rangeSpecificity === 0 ||
+				(range.type === type &&
+					(rangeSpecificity === 1 || range.subtype === subtype));
+
+			if (matches && rangeSpecificity > specificity) {
+				specificity = rangeSpecificity;
+				q = range.q;
+			}
+		}
+
+		if (q > bestQ) {
+			bestMediaType = mediaType;
+			bestQ = q;
+		}
+	}
+
+	return bestMediaType;
+}
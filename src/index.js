@@ -8,4 +8,7 @@ export { MockServer } from "./mock-server.js";
 export { FetchMocker } from "./fetch-mocker.js";
 export { MockAgent } from "./mock-agent.js";
 export { CookieCredentials } from "./cookie-credentials.js";
+export { Recorder, MissingRecordingError } from "./recorder.js";
+export { ContractViolationError } from "./contract.js";
+export { match } from "./matchers.js";
 export * from "./types.js";
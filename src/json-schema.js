@@ -0,0 +1,372 @@
+/**
+ * @fileoverview A small JSON Schema validator for the subset of JSON Schema
+ * used by OpenAPI documents.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { resolveReference } from "./openapi.js";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Returns the JSON Schema type of a value.
+ * @param {unknown} value The value to check.
+ * @returns {string} The type of the value.
+ */
+function getType(value) {
+	if (value === null) {
+		return "null";
+	}
+
+	if (Array.isArray(value)) {
+		return "array";
+	}
+
+	return typeof value;
+}
+
+/**
+ * Determines if a value matches a JSON Schema type.
+ * @param {unknown} value The value to check.
+ * @param {string} type The type to check against.
+ * @returns {boolean} `true` if the value matches the type.
+ */
+function matchesType(value, type) {
+	if (type === "integer") {
+		return Number.isInteger(value);
+	}
+
+	if (type === "number") {
+		return typeof value === "number" && Number.isFinite(value);
+	}
+
+	return getType(value) === type;
+}
+
+/**
+ * Deeply compares two JSON values for equality.
+ * @param {unknown} a The first value.
+ * @param {unknown} b The second value.
+ * @returns {boolean} `true` if the values are equal.
+ */
+function isEqual(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Formats a list of allowed values for a message.
+ * @param {Array<unknown>} values The values to format.
+ * @returns {string} The formatted values.
+ */
+function formatValues(values) {
+	return values.map(value => JSON.stringify(value)).join(", ");
+}
+
+/**
+ * Compiles a JSON Schema pattern. Patterns are compiled with the `u` flag
+ * when possible so Unicode escapes work, but ECMA-262 also allows escapes
+ * such as `\-` that are only valid without it.
+ * @param {string} pattern The pattern to compile.
+ * @returns {RegExp|undefined} The regular expression or `undefined` if the pattern is invalid.
+ */
+function compilePattern(pattern) {
+	for (const flags of ["u", ""]) {
+		try {
+			return new RegExp(pattern, flags);
+		} catch {
+			// try the next set of flags
+		}
+	}
+
+	return undefined;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Validates a value against a schema and returns a message for each
+ * violation. Supports the keywords commonly used in OpenAPI documents,
+ * including `nullable` from OpenAPI 3.0 and type arrays from OpenAPI 3.1.
+ * Formats are not checked.
+ * @param {Record<string, any>} document The OpenAPI document used to resolve references.
+ * @param {Record<string, any>|boolean|undefined} schema The schema to validate against.
+ * @param {unknown} value The value to validate.
+ * @param {string} path A description of where the value is located (e.g., "body.name").
+ * @returns {Array<string>} The violations, or an empty array if the value is valid.
+ */
+export function validateSchema(document, schema, value, path) {
+	if (schema === undefined || schema === true) {
+		return [];
+	}
+
+	if (schema === false) {
+		return [`${path} is not allowed.`];
+	}
+
+	const resolved = resolveReference(document, schema);
+
+	/** @type {Array<string>} */
+	const violations = [];
+
+	// combinators are checked before anything else
+	if (Array.isArray(resolved.allOf)) {
+		for (const subschema of resolved.allOf) {
+			violations.push(
+				...validateSchema(document, subschema, value, path),
+			);
+		}
+	}
+
+	if (Array.isArray(resolved.anyOf)) {
+		const matches = resolved.anyOf.some(
+			(/** @type {any} */ subschema) =>
+				validateSchema(document, subschema, value, path).length === 0,
+		);
+
+		if (!matches) {
+			violations.push(`${path} must match at least one schema in anyOf.`);
+		}
+	}
+
+	if (Array.isArray(resolved.oneOf)) {
+		const count = resolved.oneOf.filter(
+			(/** @type {any} */ subschema) =>
+				validateSchema(document, subschema, value, path).length === 0,
+		).length;
+
+		if (count !== 1) {
+			violations.push(
+				`${path} must match exactly one schema in oneOf but matched ${count}.`,
+			);
+		}
+	}
+
+	if (value === null && resolved.nullable === true) {
+		return violations;
+	}
+
+	if (resolved.type !== undefined) {
+		const types = Array.isArray(resolved.type)
+			? resolved.type
+			: [resolved.type];
+
+		if (
+			!types.some((/** @type {string} */ type) =>
+				matchesType(value, type),
+			)
+		) {
+			violations.push(
+				`${path} must be of type ${types.join(" or ")} but was ${getType(value)}.`,
+			);
+
+			// no point checking the other keywords when the type is wrong
+			return violations;
+		}
+	}
+
+	if ("const" in resolved && !isEqual(value, resolved.const)) {
+		violations.push(`${path} must be ${JSON.stringify(resolved.const)}.`);
+	}
+
+	if (
+		Array.isArray(resolved.enum) &&
+		!resolved.enum.some((/** @type {unknown} */ option) =>
+			isEqual(value, option),
+		)
+	) {
+		violations.push(
+			`${path} must be one of: ${formatValues(resolved.enum)}.`,
+		);
+	}
+
+	if (typeof value === "string") {
+		if (
+			resolved.minLength !== undefined &&
+			value.length < resolved.minLength
+		) {
+			violations.push(
+				`${path} must have at least ${resolved.minLength} characters.`,
+			);
+		}
+
+		if (
+			resolved.maxLength !== undefined &&
+			value.length > resolved.maxLength
+		) {
+			violations.push(
+				`${path} must have at most ${resolved.maxLength} characters.`,
+			);
+		}
+
+		if (resolved.pattern !== undefined) {
+			const pattern = compilePattern(resolved.pattern);
+
+			if (!pattern) {
+				violations.push(
+					`${path} has an invalid pattern ${resolved.pattern}.`,
+				);
+			} else if (!pattern.test(value)) {
+				violations.push(
+					`${path} must match the pattern ${resolved.pattern}.`,
+				);
+			}
+		}
+	}
+
+	if (typeof value === "number") {
+		if (resolved.minimum !== undefined) {
+			const exclusive = resolved.exclusiveMinimum === true;
+
+			if (
+				exclusive ? value <= resolved.minimum : value < resolved.minimum
+			) {
+				violations.push(
+					`${path} must be ${exclusive ? "greater than" : "at least"} ${resolved.minimum}.`,
+				);
+			}
+		}
+
+		if (resolved.maximum !== undefined) {
+			const exclusive = resolved.exclusiveMaximum === true;
+
+			if (
+				exclusive ? value >= resolved.maximum : value > resolved.maximum
+			) {
+				violations.push(
+					`${path} must be ${exclusive ? "less than" : "at most"} ${resolved.maximum}.`,
+				);
+			}
+		}
+
+		// OpenAPI 3.1 uses numeric exclusive bounds
+		if (
+			typeof resolved.exclusiveMinimum === "number" &&
+			value <= resolved.exclusiveMinimum
+		) {
+			violations.push(
+				`${path} must be greater than ${resolved.exclusiveMinimum}.`,
+			);
+		}
+
+		if (
+			typeof resolved.exclusiveMaximum === "number" &&
+			value >= resolved.exclusiveMaximum
+		) {
+			violations.push(
+				`${path} must be less than ${resolved.exclusiveMaximum}.`,
+			);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (
+			resolved.minItems !== undefined &&
+			value.length < resolved.minItems
+		) {
+			violations.push(
+				`${path} must have at least ${resolved.minItems} items.`,
+			);
+		}
+
+		if (
+			resolved.maxItems !== undefined &&
+			value.length > resolved.maxItems
+		) {
+			violations.push(
+				`${path} must have at most ${resolved.maxItems} items.`,
+			);
+		}
+
+		if (resolved.items !== undefined) {
+			value.forEach((item, index) => {
+				violations.push(
+					...validateSchema(
+						document,
+						resolved.items,
+						item,
+						`${path}[${index}]`,
+					),
+				);
+			});
+		}
+	}
+
+	if (getType(value) === "object") {
+		const object = /** @type {Record<string, unknown>} */ (value);
+		const properties = resolved.properties ?? {};
+
+		for (const name of resolved.required ?? []) {
+			if (!(name in object)) {
+				violations.push(`${path}.${name} is required.`);
+			}
+		}
+
+		for (const [name, propertyValue] of Object.entries(object)) {
+			if (name in properties) {
+				violations.push(
+					...validateSchema(
+						document,
+						properties[name],
+						propertyValue,
+						`${path}.${name}`,
+					),
+				);
+			} else if (resolved.additionalProperties !== undefined) {
+				violations.push(
+					...validateSchema(
+						document,
+						resolved.additionalProperties,
+						propertyValue,
+						`${path}.${name}`,
+					),
+				);
+			}
+		}
+	}
+
+	return violations;
+}
+
+/**
+ * Converts a string from a URL or header into the type its schema expects
+ * so it can be validated. Values that can't be converted are returned as-is
+ * so that validation reports the mismatch.
+ * @param {Record<string, any>} document The OpenAPI document used to resolve references.
+ * @param {Record<string, any>|undefined} schema The schema for the value.
+ * @param {string|Array<string>} value The value to convert.
+ * @returns {unknown} The converted value.
+ */
+export function coerceValue(document, schema, value) {
+	const resolved = schema ? resolveReference(document, schema) : {};
+	const types = Array.isArray(resolved.type)
+		? resolved.type
+		: [resolved.type];
+
+	if (types.includes("array")) {
+		const items = Array.isArray(value) ? value : value.split(",");
+		return items.map(item => coerceValue(document, resolved.items, item));
+	}
+
+	const text = Array.isArray(value) ? value[0] : value;
+
+	if (
+		(types.includes("integer") || types.includes("number")) &&
+		/^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/iu.test(text)
+	) {
+		return Number(text);
+	}
+
+	if (types.includes("boolean") && (text === "true" || text === "false")) {
+		return text === "true";
+	}
+
+	return text;
+}
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Utilities for working with JSON-RPC 2.0 requests.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { Matcher } from "./matchers.js";
+import { getBody, isPlainObject } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").ResponsePattern} ResponsePattern */
+/** @typedef {import("./types.js").ResponseCreator} ResponseCreator */
+/** @typedef {import("./types.js").JsonRpcPattern} JsonRpcPattern */
+/** @typedef {import("./types.js").JsonRpcRequest} JsonRpcRequest */
+/** @typedef {import("./types.js").JsonRpcOutcome} JsonRpcOutcome */
+/** @typedef {import("./types.js").JsonRpcHandler} JsonRpcHandler */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The version of JSON-RPC that's supported.
+ */
+const JSONRPC_VERSION = "2.0";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Asserts that a JSON-RPC outcome or response pattern is valid.
+ * @param {unknown} outcome The outcome to check.
+ * @returns {asserts outcome is JsonRpcOutcome|ResponsePattern}
+ * @throws {TypeError} If the outcome is invalid.
+ */
+function assertValidOutcome(outcome) {
+	if (!isPlainObject(outcome)) {
+		throw new TypeError("JSON-RPC response must be an object.");
+	}
+
+	if ("status" in outcome) {
+		return;
+	}
+
+	if ("result" in outcome === "error" in outcome) {
+		throw new TypeError(
+			"JSON-RPC response must include either result or error.",
+		);
+	}
+
+	if (
+		"error" in outcome &&
+		(!isPlainObject(outcome.error) ||
+			!Number.isInteger(outcome.error.code) ||
+			typeof outcome.error.message !== "string")
+	) {
+		throw new TypeError(
+			"JSON-RPC response error must include an integer code and a string message.",
+		);
+	}
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a value is a JSON-RPC 2.0 request object.
+ * @param {unknown} value The value to check.
+ * @returns {value is JsonRpcRequest} `true` if the value is a JSON-RPC request.
+ */
+export function isJsonRpcRequest(value) {
+	return (
+		isPlainObject(value) &&
+		value.jsonrpc === JSONRPC_VERSION &&
+		typeof value.method === "string" &&
+		(value.params === undefined ||
+			Array.isArray(value.params) ||
+			isPlainObject(value.params))
+	);
+}
+
+/**
+ * Determines if a value is a JSON-RPC batch, which is a non-empty array of
+ * requests. Only the version and method of each item are checked so that
+ * items with invalid params can still be traced, while other arrays, such
+ * as those sent to REST routes, aren't treated as batches.
+ * @param {unknown} value The value to check.
+ * @returns {value is Array<Record<string, any>>} `true` if the value is a batch.
+ */
+export function isJsonRpcBatch(value) {
+	return (
+		Array.isArray(value) &&
+		value.length > 0 &&
+		value.every(
+			item =>
+				isPlainObject(item) &&
+				item.jsonrpc === JSONRPC_VERSION &&
+				typeof item.method === "string",
+		)
+	);
+}
+
+/**
+ * Asserts that a JSON-RPC pattern is valid.
+ * @param {JsonRpcPattern} pattern The JSON-RPC pattern to check.
+ * @returns {void}
+ * @throws {TypeError} If the JSON-RPC pattern is invalid.
+ */
+export function assertValidJsonRpcPattern(pattern) {
+	if (!isPlainObject(pattern)) {
+		throw new TypeError("JSON-RPC pattern must be an object.");
+	}
+
+	if (
+		typeof pattern.method !== "string" &&
+		!(pattern.method instanceof Matcher)
+	) {
+		throw new TypeError(
+			"JSON-RPC pattern method must be a string or matcher.",
+		);
+	}
+
+	if (
+		pattern.params !== undefined &&
+		!Array.isArray(pattern.params) &&
+		!isPlainObject(pattern.params) &&
+		typeof pattern.params !== "function"
+	) {
+		throw new TypeError(
+			"JSON-RPC pattern params must be an object, array, or function.",
+		);
+	}
+}
+
+/**
+ * Creates a response creator for a JSON-RPC route. The handler's result or
+ * error is wrapped in a JSON-RPC response object with the request's ID.
+ * Notifications, which have no ID, respond with 204. Response patterns with
+ * a status are returned unchanged.
+ * @param {JsonRpcHandler} handler The outcome or the function that creates it.
+ * @returns {ResponseCreator} The response creator.
+ * @throws {TypeError} If the handler is invalid.
+ */
+export function createJsonRpcResponseCreator(handler) {
+	if (typeof handler !== "function") {
+		assertValidOutcome(handler);
+	}
+
+	return async request => {
+		const { id, method, params } = /** @type {JsonRpcRequest} */ (
+			await getBody(request.clone())
+		);
+		const outcome =
+			typeof handler === "function"
+				? await handler(params, { id, method, request })
+				: handler;
+
+		assertValidOutcome(outcome);
+
+		if ("status" in outcome) {
+			return outcome;
+		}
+
+		if (id === undefined) {
+			return { status: 204 };
+		}
+
+		// a result of undefined would be left out of the JSON
+		return {
+			status: 200,
+			body:
+				"error" in outcome
+					? { jsonrpc: JSONRPC_VERSION, id, error: outcome.error }
+					: {
+							jsonrpc: JSONRPC_VERSION,
+							id,
+							result: outcome.result ?? null,
+						},
+		};
+	};
+}
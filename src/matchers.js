@@ -0,0 +1,538 @@
+/**
+ * @fileoverview Asymmetric matchers for request patterns.
+ * @author Nicholas C. Zakas
+ */
+
+/* global Blob, TextDecoder */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { describeBlob, getBlobContents } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/**
+ * A difference between an actual value and an expected value.
+ * @typedef {Object} ValueDifference
+ * @property {string} path The JSON path of the value, such as `$.items[0]`.
+ * @property {string} message The explanation of the difference.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The primitive types that `match.any()` checks with `typeof`.
+ * @type {Map<Function, string>}
+ */
+const primitiveTypes = new Map(
+	/** @type {Array<[Function, string]>} */ ([
+		[String, "string"],
+		[Number, "number"],
+		[Boolean, "boolean"],
+		[BigInt, "bigint"],
+		[Symbol, "symbol"],
+		[Function, "function"],
+	]),
+);
+
+/**
+ * Matches ISO 8601 dates with an optional time and time zone.
+ */
+const isoDatePattern =
+	/^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?$/u;
+
+/**
+ * Matches property names that can be used in a JSON path without quotes.
+ */
+const identifierPattern = /^[A-Za-z_$][\w$]*$/u;
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Formats a value for a matcher description.
+ * @param {unknown} value The value to format.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value) {
+	if (value instanceof Matcher || value instanceof RegExp) {
+		return String(value);
+	}
+
+	if (typeof value === "function") {
+		return value.name || "anonymous";
+	}
+
+	if (value instanceof Blob) {
+		return describeBlob(value);
+	}
+
+	return JSON.stringify(value) ?? String(value);
+}
+
+/**
+ * Determines if the contents of a file match the expected contents. Strings
+ * and matchers are compared with the contents as text, and everything else
+ * is compared byte by byte.
+ * @param {Uint8Array} actual The contents of the file.
+ * @param {string|ArrayBuffer|ArrayBufferView|Matcher} expected The expected contents.
+ * @returns {boolean} `true` if the contents match, `false` if not.
+ */
+function contentsMatch(actual, expected) {
+	if (typeof expected === "string" || expected instanceof Matcher) {
+		return valuesMatch(new TextDecoder().decode(actual), expected);
+	}
+
+	const expectedBytes = ArrayBuffer.isView(expected)
+		? new Uint8Array(
+				expected.buffer,
+				expected.byteOffset,
+				expected.byteLength,
+			)
+		: new Uint8Array(expected);
+
+	return (
+		actual.length === expectedBytes.length &&
+		actual.every((byte, i) => byte === expectedBytes[i])
+	);
+}
+
+/**
+ * Adds a property name or array index to a JSON path.
+ * @param {string} path The JSON path.
+ * @param {string|number} key The property name or array index.
+ * @returns {string} The new JSON path.
+ */
+function appendPath(path, key) {
+	if (typeof key === "number") {
+		return `${path}[${key}]`;
+	}
+
+	return identifierPattern.test(key)
+		? `${path}.${key}`
+		: `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Determines if every expected item matches a different actual item,
+ * regardless of order.
+ * @param {Array<unknown>} actual The actual items.
+ * @param {Array<unknown>} expected The expected items.
+ * @param {Set<number>} [used] The indices of actual items already matched.
+ * @returns {boolean} `true` if every expected item was matched, `false` if not.
+ */
+function matchesInAnyOrder(actual, expected, used = new Set()) {
+	if (used.size === expected.length) {
+		return true;
+	}
+
+	const item = expected[used.size];
+
+	// try each unused actual item in case an earlier choice was wrong
+	for (let i = 0; i < actual.length; i++) {
+		if (!used.has(i) && valuesMatch(actual[i], item)) {
+			used.add(i);
+
+			if (matchesInAnyOrder(actual, expected, used)) {
+				return true;
+			}
+
+			used.delete(i);
+		}
+	}
+
+	return false;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * A value in a request pattern that matches other values according to its
+ * own rules instead of by equality.
+ */
+export class Matcher {
+	/**
+	 * The description of the matcher, used in trace messages.
+	 * @type {string}
+	 */
+	#description;
+
+	/**
+	 * The function that checks a value.
+	 * @type {(value: unknown) => boolean}
+	 */
+	#test;
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} description The description of the matcher.
+	 * @param {(value: unknown) => boolean} test The function that checks a value.
+	 */
+	constructor(description, test) {
+		this.#description = description;
+		this.#test = test;
+	}
+
+	/**
+	 * Checks if a value matches.
+	 * @param {unknown} value The value to check.
+	 * @returns {boolean} `true` if the value matches, `false` if not.
+	 */
+	matches(value) {
+		return this.#test(value);
+	}
+
+	/**
+	 * Returns the description of the matcher.
+	 * @returns {string} The description.
+	 */
+	toString() {
+		return this.#description;
+	}
+
+	/**
+	 * Returns the description of the matcher so that `JSON.stringify()`
+	 * shows it in messages.
+	 * @returns {string} The description.
+	 */
+	toJSON() {
+		return this.#description;
+	}
+}
+
+/**
+ * Finds every difference between an actual value and an expected value from
+ * a request pattern. Matchers are checked using their own rules, arrays must
+ * have the same items in the same order, and everything else that isn't an
+ * object is compared with `===`. Objects only need the expected properties
+ * unless `exact` is `true`, in which case extra properties are differences.
+ * @param {unknown} actual The actual value.
+ * @param {unknown} expected The expected value.
+ * @param {Object} [options] Options for the comparison.
+ * @param {boolean} [options.exact=false] `true` to disallow extra properties.
+ * @param {string} [options.path="$"] The JSON path of the values.
+ * @returns {Array<ValueDifference>} The differences, which is empty if the values match.
+ */
+export function findDifferences(
+	actual,
+	expected,
+	{ exact = false, path = "$" } = {},
+) {
+	if (expected instanceof Matcher) {
+		return expected.matches(actual)
+			? []
+			: [
+					{
+						path,
+						message: `Expected ${expected} but received ${formatValue(actual)}.`,
+					},
+				];
+	}
+
+	if (Array.isArray(expected)) {
+		if (!Array.isArray(actual)) {
+			return [
+				{
+					path,
+					message: `Expected an array but received ${formatValue(actual)}.`,
+				},
+			];
+		}
+
+		/** @type {Array<ValueDifference>} */
+		const differences = [];
+
+		if (actual.length !== expected.length) {
+			differences.push({
+				path,
+				message: `Expected ${expected.length} ${expected.length === 1 ? "item" : "items"} but received ${actual.length}.`,
+			});
+		}
+
+		const length = Math.min(actual.length, expected.length);
+
+		for (let i = 0; i < length; i++) {
+			differences.push(
+				...findDifferences(actual[i], expected[i], {
+					exact,
+					path: appendPath(path, i),
+				}),
+			);
+		}
+
+		return differences;
+	}
+
+	if (expected && typeof expected === "object") {
+		if (!actual || typeof actual !== "object" || Array.isArray(actual)) {
+			return [
+				{
+					path,
+					message: `Expected an object but received ${formatValue(actual)}.`,
+				},
+			];
+		}
+
+		const actualObject = /** @type {Record<string, unknown>} */ (actual);
+
+		/** @type {Array<ValueDifference>} */
+		const differences = [];
+
+		for (const [key, value] of Object.entries(expected)) {
+			differences.push(
+				...findDifferences(actualObject[key], value, {
+					exact,
+					path: appendPath(path, key),
+				}),
+			);
+		}
+
+		if (exact) {
+			for (const [key, value] of Object.entries(actualObject)) {
+				if (!Object.hasOwn(expected, key)) {
+					differences.push({
+						path: appendPath(path, key),
+						message: `Expected no value but received ${formatValue(value)}.`,
+					});
+				}
+			}
+		}
+
+		return differences;
+	}
+
+	return actual === expected
+		? []
+		: [
+				{
+					path,
+					message: `Expected ${formatValue(expected)} but received ${formatValue(actual)}.`,
+				},
+			];
+}
+
+/**
+ * Determines if an actual value matches an expected value from a request
+ * pattern using the same rules as `findDifferences()`.
+ * @param {unknown} actual The actual value.
+ * @param {unknown} expected The expected value.
+ * @param {boolean} [exact=false] `true` to disallow extra properties.
+ * @returns {boolean} `true` if the values match, `false` if not.
+ */
+export function valuesMatch(actual, expected, exact = false) {
+	return findDifferences(actual, expected, { exact }).length === 0;
+}
+
+/**
+ * Creates matchers for use in request patterns.
+ */
+export const match = Object.freeze({
+	/**
+	 * Matches any value created by a constructor. Primitive constructors
+	 * such as `String` and `Number` match primitive values of that type.
+	 * @param {Function} Type The constructor to check.
+	 * @returns {Matcher} The matcher.
+	 * @throws {TypeError} If the type isn't a function.
+	 */
+	any(Type) {
+		if (typeof Type !== "function") {
+			throw new TypeError("match.any() requires a constructor.");
+		}
+
+		const primitive = primitiveTypes.get(Type);
+
+		return new Matcher(`match.any(${Type.name})`, value => {
+			if (primitive) {
+				return typeof value === primitive || value instanceof Type;
+			}
+
+			if (Type === Array) {
+				return Array.isArray(value);
+			}
+
+			if (Type === Object) {
+				return value !== null && typeof value === "object";
+			}
+
+			return value instanceof Type;
+		});
+	},
+
+	/**
+	 * Matches any value other than `null` and `undefined`.
+	 * @returns {Matcher} The matcher.
+	 */
+	anything() {
+		return new Matcher(
+			"match.anything()",
+			value => value !== null && value !== undefined,
+		);
+	},
+
+	/**
+	 * Matches values that are missing, such as query string parameters and
+	 * headers that weren't sent.
+	 * @returns {Matcher} The matcher.
+	 */
+	absent() {
+		return new Matcher("match.absent()", value => value === undefined);
+	},
+
+	/**
+	 * Matches strings that match a regular expression.
+	 * @param {RegExp|string} pattern The regular expression.
+	 * @returns {Matcher} The matcher.
+	 */
+	regex(pattern) {
+		const regex =
+			pattern instanceof RegExp ? pattern : new RegExp(pattern, "u");
+
+		return new Matcher(`match.regex(${regex})`, value => {
+			// avoid state from global and sticky regular expressions
+			regex.lastIndex = 0;
+			return typeof value === "string" && regex.test(value);
+		});
+	},
+
+	/**
+	 * Matches any of the given values. Values can also be matchers.
+	 * @param {...unknown} values The values to match.
+	 * @returns {Matcher} The matcher.
+	 */
+	oneOf(...values) {
+		return new Matcher(
+			`match.oneOf(${values.map(formatValue).join(", ")})`,
+			value => values.some(expected => valuesMatch(value, expected)),
+		);
+	},
+
+	/**
+	 * Matches strings that contain a substring.
+	 * @param {string} substring The substring to find.
+	 * @returns {Matcher} The matcher.
+	 */
+	stringContaining(substring) {
+		return new Matcher(
+			`match.stringContaining(${formatValue(substring)})`,
+			value => typeof value === "string" && value.includes(substring),
+		);
+	},
+
+	/**
+	 * Matches arrays that contain each of the given items, in any order.
+	 * Items can also be matchers.
+	 * @param {Array<unknown>} items The items to find.
+	 * @returns {Matcher} The matcher.
+	 */
+	arrayContaining(items) {
+		return new Matcher(
+			`match.arrayContaining(${formatValue(items)})`,
+			value =>
+				Array.isArray(value) &&
+				items.every(expected =>
+					value.some(actual => valuesMatch(actual, expected)),
+				),
+		);
+	},
+
+	/**
+	 * Matches arrays that contain exactly the given items, in any order.
+	 * Items can also be matchers.
+	 * @param {Array<unknown>} items The items to find.
+	 * @returns {Matcher} The matcher.
+	 */
+	arrayInAnyOrder(items) {
+		return new Matcher(
+			`match.arrayInAnyOrder(${formatValue(items)})`,
+			value =>
+				Array.isArray(value) &&
+				value.length === items.length &&
+				matchesInAnyOrder(value, items),
+		);
+	},
+
+	/**
+	 * Matches files and blobs, such as the files in a multipart request
+	 * body. Only the given options are checked. The `content` option only
+	 * matches files that were uploaded in a request body.
+	 * @param {Object} [options] The details of the file to match.
+	 * @param {string|Matcher} [options.name] The name of the file.
+	 * @param {string|Matcher} [options.type] The content type of the file.
+	 * @param {number|Matcher} [options.size] The size of the file in bytes.
+	 * @param {string|ArrayBuffer|ArrayBufferView|Matcher} [options.content] The contents of the file. Strings and matchers are compared with the contents as text.
+	 * @returns {Matcher} The matcher.
+	 */
+	file({ name, type, size, content } = {}) {
+		/** @type {Record<string, unknown>} */
+		const description = { name, type, size };
+
+		if (content !== undefined) {
+			description.content =
+				typeof content === "string" || content instanceof Matcher
+					? content
+					: `${content.byteLength} bytes`;
+		}
+
+		return new Matcher(`match.file(${formatValue(description)})`, value => {
+			if (!(value instanceof Blob)) {
+				return false;
+			}
+
+			// blobs don't have names but files do
+			const file = /** @type {Blob & {name?:string}} */ (value);
+
+			if (
+				(name !== undefined && !valuesMatch(file.name, name)) ||
+				(type !== undefined && !valuesMatch(file.type, type)) ||
+				(size !== undefined && !valuesMatch(file.size, size))
+			) {
+				return false;
+			}
+
+			if (content === undefined) {
+				return true;
+			}
+
+			const contents = getBlobContents(value);
+
+			return contents !== undefined && contentsMatch(contents, content);
+		});
+	},
+
+	/**
+	 * Matches objects that contain the given properties. This is helpful
+	 * for matching objects inside of arrays.
+	 * @param {Record<string, unknown>} properties The properties to find.
+	 * @returns {Matcher} The matcher.
+	 */
+	objectContaining(properties) {
+		return new Matcher(
+			`match.objectContaining(${formatValue(properties)})`,
+			value => valuesMatch(value, properties),
+		);
+	},
+
+	/**
+	 * Matches ISO 8601 date strings, such as "2024-01-31" and
+	 * "2024-01-31T12:00:00.000Z".
+	 * @returns {Matcher} The matcher.
+	 */
+	isoDate() {
+		return new Matcher(
+			"match.isoDate()",
+			value =>
+				typeof value === "string" &&
+				isoDatePattern.test(value) &&
+				!Number.isNaN(Date.parse(value)),
+		);
+	},
+});
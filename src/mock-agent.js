@@ -11,7 +11,15 @@
 // Imports
 //-----------------------------------------------------------------------------
 
-import { NoRouteMatchedError } from "./util.js";
+import {
+	NoRouteMatchedError,
+	assertCallCount,
+	assertCallOrder,
+	describeRequestPattern,
+} from "./util.js";
+import { NetworkError, createUndiciError } from "./network-errors.js";
+import { ContractViolationError } from "./contract.js";
+import { createHAR } from "./har.js";
 
 //-----------------------------------------------------------------------------
 // Type Definitions
@@ -19,6 +27,7 @@ import { NoRouteMatchedError } from "./util.js";
 
 /** @typedef {import("./mock-server.js").MockServer} MockServer */
 /** @typedef {import("./types.js").RequestPattern} RequestPattern */
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
 
 /**
  * @typedef {Object} DispatchOptions
@@ -31,7 +40,7 @@ import { NoRouteMatchedError } from "./util.js";
 
 /**
  * @typedef {Object} DispatchHandler
- * @property {(abort: () => void) => void} [onConnect] Callback when connection is established.
+ * @property {(abort: (reason?: Error) => void) => void} [onConnect] Callback when connection is established.
  * @property {(statusCode: number, headers: string[], resume: () => void) => void} [onHeaders] Callback when headers are received.
  * @property {(chunk: any) => void} [onData] Callback when data is received.
  * @property {(trailers: string[]) => void} [onComplete] Callback when request is complete.
@@ -142,6 +151,12 @@ export class MockAgent {
 	 */
 	#closed = false;
 
+	/**
+	 * The requests that have been responded to by any server.
+	 * @type {Array<RecordedCall>}
+	 */
+	#requests = [];
+
 	/**
 	 * The Response constructor to use.
 	 * @type {typeof Response}
@@ -222,17 +237,33 @@ export class MockAgent {
 				body: body ? await convertBodyToBuffer(body) : null,
 			});
 
+			/** @type {Error|undefined} */
+			let abortReason;
+
+			/** @type {ReadableStreamDefaultReader<Uint8Array>|undefined} */
+			let reader;
+
 			// Notify that connection is established
-			// Note: Abort functionality is not currently implemented for mock scenarios
 			if (handler.onConnect) {
-				handler.onConnect(() => {
-					// abort function - not implemented as mocks complete immediately
+				handler.onConnect(reason => {
+					abortReason =
+						reason instanceof Error
+							? reason
+							: new Error("The request was aborted.");
+
+					// stops streams that never end, such as with keepOpen
+					reader?.cancel(abortReason).catch(() => {});
 				});
 			}
 
 			// Try to get a response from the servers
 			const response = await this.#internalFetch(request, body);
 
+			if (abortReason) {
+				await response.body?.cancel();
+				throw abortReason;
+			}
+
 			// Send headers to handler
 			// Note: Pause/resume functionality is not needed for mock scenarios
 			if (handler.onHeaders) {
@@ -250,15 +281,27 @@ export class MockAgent {
 				);
 			}
 
-			// Send body data to handler
-			if (handler.onData) {
-				const bodyText = await response.text();
-				if (bodyText) {
-					const bodyBuffer = Buffer.from(bodyText);
-					handler.onData(bodyBuffer);
+			// Send body data to handler one chunk at a time until aborted
+			if (handler.onData && response.body && !abortReason) {
+				reader = response.body.getReader();
+
+				while (!abortReason) {
+					const { done, value } = await reader.read();
+
+					if (done) {
+						break;
+					}
+
+					if (value.byteLength) {
+						handler.onData(Buffer.from(value));
+					}
 				}
 			}
 
+			if (abortReason) {
+				throw abortReason;
+			}
+
 			// Notify completion
 			if (handler.onComplete) {
 				handler.onComplete([]);
@@ -286,12 +329,38 @@ export class MockAgent {
 		 */
 		for (const server of this.#servers) {
 			const requestClone = request.clone();
-			const { response, traces } = await server.traceReceive(
-				requestClone,
-				this.#Response,
-			);
+			let result;
+
+			try {
+				result = await server.traceReceive(
+					requestClone,
+					this.#Response,
+				);
+			} catch (error) {
+				// contract violations still count as calls
+				if (error instanceof ContractViolationError && error.call) {
+					this.#requests.push(error.call);
+				}
+
+				// undici reports network errors with its own error codes
+				if (error instanceof NetworkError) {
+					if (error.call) {
+						this.#requests.push(error.call);
+					}
+
+					throw createUndiciError(error);
+				}
+
+				throw error;
+			}
+
+			const { response, traces, call } = result;
 
 			if (response) {
+				if (call) {
+					this.#requests.push(call);
+				}
+
 				// Set response.url and type
 				Object.defineProperties(response, {
 					url: { value: request.url },
@@ -371,6 +440,38 @@ export class MockAgent {
 		return this.#servers.flatMap(server => server.uncalledRoutes);
 	}
 
+	/**
+	 * Gets the requests that were responded to by any server, in the order
+	 * they were received.
+	 * @returns {Array<RecordedCall>} The recorded requests.
+	 */
+	get requests() {
+		return [...this.#requests];
+	}
+
+	/**
+	 * Creates a HAR 1.2 document containing every request that was
+	 * responded to and its response, in the order they were received.
+	 * @returns {Promise<Record<string, any>>} The HAR document.
+	 */
+	toHAR() {
+		return createHAR(this.#requests);
+	}
+
+	/**
+	 * Gets the recorded calls from all servers that match a request pattern,
+	 * in the order they were received.
+	 * @param {string|RequestPattern} request The request pattern to match.
+	 * @returns {Array<RecordedCall>} The matching calls.
+	 */
+	#callsFor(request) {
+		const matches = new Set(
+			this.#servers.flatMap(server => server.callsFor(request)),
+		);
+
+		return this.#requests.filter(call => matches.has(call));
+	}
+
 	/**
 	 * Asserts that all routes were called.
 	 * @returns {void}
@@ -389,11 +490,53 @@ export class MockAgent {
 	}
 
 	/**
-	 * Clears all data from the servers.
+	 * Asserts that a request pattern was called a specific number of times.
+	 * @param {string|RequestPattern} request The request pattern to check.
+	 * @param {number} times The expected number of calls.
+	 * @returns {void}
+	 * @throws {Error} When the number of calls is different.
+	 */
+	assertCalledTimes(request, times) {
+		assertCallCount(
+			describeRequestPattern(request),
+			this.#callsFor(request),
+			this.#requests,
+			times,
+		);
+	}
+
+	/**
+	 * Asserts that a request pattern was never called.
+	 * @param {string|RequestPattern} request The request pattern to check.
+	 * @returns {void}
+	 * @throws {Error} When the request pattern was called.
+	 */
+	assertNotCalled(request) {
+		this.assertCalledTimes(request, 0);
+	}
+
+	/**
+	 * Asserts that request patterns were called in the given order. Other
+	 * requests may have been made in between.
+	 * @param {Array<string|RequestPattern>} requests The request patterns in the expected order.
+	 * @returns {void}
+	 * @throws {Error} When the requests weren't called in order.
+	 */
+	assertCalledInOrder(requests) {
+		assertCallOrder(
+			requests.map(request => describeRequestPattern(request)),
+			requests.map(request => this.#callsFor(request)),
+			this.#requests,
+		);
+	}
+
+	/**
+	 * Clears all data from the servers and the request history.
 	 * @returns {void}
 	 */
 	clearAll() {
 		this.#servers.forEach(server => server.clear());
+		this.#requests = [];
 	}
 
 	// #endregion: Testing Helpers
@@ -3,15 +3,53 @@
  * @author Nicholas C. Zakas
  */
 
-/* global Request, Response, Headers, FormData, setTimeout */
+/* global Request, Response, Headers, FormData, URLSearchParams, setTimeout */
 
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
 import { RequestMatcher } from "./request-matcher.js";
-import { statusTexts } from "./http.js";
-import { getBody, NoRouteMatchedError } from "./util.js";
+import { negotiateMediaType, statusTexts, verbs } from "./http.js";
+import { NetworkError, networkErrorTypes } from "./network-errors.js";
+import { Resource } from "./resource.js";
+import { ContractValidator, ContractViolationError } from "./contract.js";
+import { assertValidHAR, createHARRoute, volatileHeaders } from "./har.js";
+import {
+	assertValidGraphQLPattern,
+	describeGraphQLPattern,
+	toGraphQLResponse,
+} from "./graphql.js";
+import {
+	assertValidJsonRpcPattern,
+	createJsonRpcResponseCreator,
+	isJsonRpcBatch,
+} from "./jsonrpc.js";
+import { Matcher } from "./matchers.js";
+import {
+	assertValidOpenAPIDocument,
+	createExampleResponse,
+	getOperations,
+	getServerUrl,
+} from "./openapi.js";
+import {
+	assertValidChunk,
+	assertValidJsonValue,
+	assertValidServerSentEvent,
+	createChunkStream,
+	formatJsonLine,
+	formatJsonSequenceRecord,
+	formatServerSentEvent,
+	isChunkIterable,
+} from "./streams.js";
+import {
+	getBody,
+	NoRouteMatchedError,
+	assertCallCount,
+	assertCallOrder,
+	describeRequestPattern,
+	searchParamsToObject,
+} from "./util.js";
 
 //-----------------------------------------------------------------------------
 // Type Definitions
@@ -21,6 +59,37 @@ import { getBody, NoRouteMatchedError } from "./util.js";
 /** @typedef {import("./types.js").MethodlessRequestPattern} MethodlessRequestPattern */
 /** @typedef {import("./types.js").ResponsePattern} ResponsePattern */
 /** @typedef {import("./types.js").ResponseCreator} ResponseCreator */
+/** @typedef {import("./types.js").NetworkErrorPattern} NetworkErrorPattern */
+/** @typedef {import("./types.js").RouteOptions} RouteOptions */
+/** @typedef {import("./types.js").MockServerOptions} MockServerOptions */
+/** @typedef {import("./types.js").ResponseSequence} ResponseSequence */
+/** @typedef {import("./types.js").ResponseChunk} ResponseChunk */
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
+/** @typedef {import("./types.js").ResourceOptions} ResourceOptions */
+/** @typedef {import("./types.js").OpenAPIServerOptions} OpenAPIServerOptions */
+/** @typedef {import("./types.js").HARServerOptions} HARServerOptions */
+/** @typedef {import("./types.js").GraphQLRequestPattern} GraphQLRequestPattern */
+/** @typedef {import("./types.js").GraphQLResult} GraphQLResult */
+/** @typedef {import("./types.js").GraphQLResponseCreator} GraphQLResponseCreator */
+/** @typedef {import("./types.js").GraphQLResponseSequence} GraphQLResponseSequence */
+/** @typedef {import("./types.js").JsonRpcPattern} JsonRpcPattern */
+/** @typedef {import("./types.js").JsonRpcHandler} JsonRpcHandler */
+/** @typedef {import("./types.js").StringPattern} StringPattern */
+/** @typedef {import("./openapi.js").OpenAPIOperation} OpenAPIOperation */
+/** @typedef {import("./util.js").CallAssertionError} CallAssertionError */
+
+/**
+ * @typedef {Object} NormalizedResponse
+ * @property {ResponsePattern|NetworkErrorPattern|undefined} responsePattern The response pattern, if the response isn't a function.
+ * @property {ResponseCreator} createResponse The response creator to call.
+ */
+
+/**
+ * @typedef {Object} StreamingBody
+ * @property {(item: unknown) => void} assertValidItem Asserts that an item is valid.
+ * @property {((item: any) => ResponseChunk)|undefined} encode Converts an item into a chunk.
+ * @property {Record<string, string>} headers The default headers for the response.
+ */
 
 /**
  * @typedef {Object} Trace
@@ -29,6 +98,74 @@ import { getBody, NoRouteMatchedError } from "./util.js";
  * @property {string[]} messages The messages explaining why the route doesn't match.
  */
 
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The response pattern keys that produce a streaming body, along with how
+ * to validate and encode each item and the default headers to send.
+ * @type {Map<string, StreamingBody>}
+ */
+const streamingBodies = new Map(
+	/** @type {Array<[string, StreamingBody]>} */ ([
+		[
+			"stream",
+			{
+				assertValidItem: assertValidChunk,
+				encode: undefined,
+				headers: { "content-type": "application/octet-stream" },
+			},
+		],
+		[
+			"events",
+			{
+				assertValidItem: assertValidServerSentEvent,
+				encode: formatServerSentEvent,
+				headers: {
+					"content-type": "text/event-stream",
+					"cache-control": "no-cache",
+				},
+			},
+		],
+		[
+			"ndjson",
+			{
+				assertValidItem: assertValidJsonValue,
+				encode: formatJsonLine,
+				headers: { "content-type": "application/x-ndjson" },
+			},
+		],
+		[
+			"jsonSeq",
+			{
+				assertValidItem: assertValidJsonValue,
+				encode: formatJsonSequenceRecord,
+				headers: { "content-type": "application/json-seq" },
+			},
+		],
+	]),
+);
+
+/**
+ * Responses with streaming bodies, which can't be copied into the call
+ * history without waiting for the stream to finish.
+ * @type {WeakSet<Response>}
+ */
+const streamingResponses = new WeakSet();
+
+/**
+ * The ways a request pattern body or query string can be matched.
+ * @type {Set<string>}
+ */
+const matchModes = new Set(["partial", "exact"]);
+
+/**
+ * The supported behaviors once a response sequence is exhausted.
+ * @type {Set<string>}
+ */
+const sequenceExhaustionModes = new Set(["fallthrough", "repeat", "error"]);
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
@@ -56,18 +193,48 @@ function assertValidRequestPattern(requestPattern) {
 		throw new TypeError("Request pattern URL must be a string.");
 	}
 
-	if (requestPattern.headers && typeof requestPattern.headers !== "object") {
-		throw new TypeError("Request pattern headers must be an object.");
+	if (
+		requestPattern.headers &&
+		typeof requestPattern.headers !== "object" &&
+		typeof requestPattern.headers !== "function"
+	) {
+		throw new TypeError(
+			"Request pattern headers must be an object or function.",
+		);
 	}
 
 	if (requestPattern.body) {
 		const isString = typeof requestPattern.body === "string";
 		const isObject = typeof requestPattern.body === "object";
 		const isFormData = requestPattern.body instanceof FormData;
+		const isFunction = typeof requestPattern.body === "function";
 
-		if (!isString && !isObject && !isFormData) {
+		if (!isString && !isObject && !isFormData && !isFunction) {
 			throw new TypeError(
-				"Request pattern body must be a string, object, or FormData.",
+				"Request pattern body must be a string, object, FormData, or function.",
+			);
+		}
+	}
+
+	if (requestPattern.where && typeof requestPattern.where !== "function") {
+		throw new TypeError("Request pattern where must be a function.");
+	}
+
+	if (requestPattern.graphql !== undefined) {
+		assertValidGraphQLPattern(requestPattern.graphql);
+	}
+
+	if (requestPattern.jsonrpc !== undefined) {
+		assertValidJsonRpcPattern(requestPattern.jsonrpc);
+	}
+
+	for (const key of /** @type {const} */ (["bodyMatch", "queryMatch"])) {
+		if (
+			requestPattern[key] !== undefined &&
+			!matchModes.has(requestPattern[key])
+		) {
+			throw new TypeError(
+				`Request pattern ${key} must be one of: ${[...matchModes].join(", ")}.`,
 			);
 		}
 	}
@@ -87,7 +254,7 @@ function assertNoMethod(request) {
 
 /**
  * Asserts that a response pattern is valid.
- * @param {ResponsePattern} responsePattern The response pattern to check.
+ * @param {ResponsePattern|NetworkErrorPattern} responsePattern The response pattern to check.
  * @returns {void}
  * @throws {TypeError} If the response pattern is invalid.
  */
@@ -96,6 +263,22 @@ function assertValidResponsePattern(responsePattern) {
 		throw new TypeError("Response pattern is required.");
 	}
 
+	if ("error" in responsePattern) {
+		if (!networkErrorTypes.has(responsePattern.error)) {
+			throw new TypeError(
+				`Response pattern error must be one of: ${[...networkErrorTypes].join(", ")}.`,
+			);
+		}
+
+		if ("status" in responsePattern) {
+			throw new TypeError(
+				"Response pattern cannot include both error and status.",
+			);
+		}
+
+		return;
+	}
+
 	if (!("status" in responsePattern)) {
 		throw new TypeError("Response pattern must include a status.");
 	}
@@ -117,6 +300,69 @@ function assertValidResponsePattern(responsePattern) {
 		throw new TypeError("Response pattern headers must be an object.");
 	}
 
+	const bodyKeys = ["body", ...streamingBodies.keys(), "content"].filter(
+		key => key in responsePattern,
+	);
+
+	if (bodyKeys.length > 1) {
+		throw new TypeError(
+			`Response pattern can only include one of: body, ${[...streamingBodies.keys()].join(", ")}, content.`,
+		);
+	}
+
+	if ("content" in responsePattern) {
+		const { content } = responsePattern;
+
+		if (
+			!content ||
+			typeof content !== "object" ||
+			Object.keys(content).length === 0
+		) {
+			throw new TypeError(
+				"Response pattern content must be an object with at least one media type.",
+			);
+		}
+
+		for (const mediaType of Object.keys(content)) {
+			if (!/^[^\s/;,*]+\/[^\s/;,*]+(?:\s*;.*)?$/u.test(mediaType)) {
+				throw new TypeError(
+					`Response pattern content key ${mediaType} is not a valid media type.`,
+				);
+			}
+		}
+	}
+
+	for (const [key, { assertValidItem }] of streamingBodies) {
+		if (!(key in responsePattern)) {
+			continue;
+		}
+
+		const items = /** @type {any} */ (responsePattern)[key];
+
+		if (!isChunkIterable(items)) {
+			throw new TypeError(
+				`Response pattern ${key} must be an iterable or async iterable.`,
+			);
+		}
+
+		// arrays can be checked now; other iterables are checked as they're read
+		if (Array.isArray(items)) {
+			items.forEach(item => assertValidItem(item));
+		}
+	}
+
+	if ("keepOpen" in responsePattern) {
+		if (typeof responsePattern.keepOpen !== "boolean") {
+			throw new TypeError("Response pattern keepOpen must be a boolean.");
+		}
+
+		if (!bodyKeys.some(key => streamingBodies.has(key))) {
+			throw new TypeError(
+				`Response pattern keepOpen can only be used with one of: ${[...streamingBodies.keys()].join(", ")}.`,
+			);
+		}
+	}
+
 	if (responsePattern.body) {
 		const isString = typeof responsePattern.body === "string";
 		const isObject = typeof responsePattern.body === "object";
@@ -131,6 +377,125 @@ function assertValidResponsePattern(responsePattern) {
 	}
 }
 
+/**
+ * Describes the outcome of a response pattern for display.
+ * @param {ResponsePattern|NetworkErrorPattern|undefined} responsePattern The response pattern to describe.
+ * @returns {number|string} The status code, network error, or "function".
+ */
+function describeResponseStatus(responsePattern) {
+	if (responsePattern && "error" in responsePattern) {
+		return `network error (${responsePattern.error})`;
+	}
+
+	return responsePattern?.status ?? "function";
+}
+
+/**
+ * Asserts that route options are valid.
+ * @param {RouteOptions} options The route options to check.
+ * @returns {void}
+ * @throws {TypeError} If the route options are invalid.
+ */
+function assertValidRouteOptions(options) {
+	if (!options || typeof options !== "object") {
+		throw new TypeError("Route options must be an object.");
+	}
+
+	if (
+		options.times !== undefined &&
+		(!Number.isInteger(options.times) || options.times < 1)
+	) {
+		throw new TypeError("Route option times must be a positive integer.");
+	}
+
+	if (options.persist !== undefined && typeof options.persist !== "boolean") {
+		throw new TypeError("Route option persist must be a boolean.");
+	}
+
+	if (options.persist && options.times !== undefined) {
+		throw new TypeError(
+			"Route options cannot include both times and persist.",
+		);
+	}
+
+	if (
+		options.whenExhausted !== undefined &&
+		!sequenceExhaustionModes.has(options.whenExhausted)
+	) {
+		throw new TypeError(
+			`Route option whenExhausted must be one of: ${[...sequenceExhaustionModes].join(", ")}.`,
+		);
+	}
+}
+
+/**
+ * Determines if a response argument is a sequence of responses. Arrays,
+ * iterable objects, and generator functions are all considered sequences.
+ * @param {any} response The response to check.
+ * @returns {boolean} `true` if the response is a sequence, `false` if not.
+ */
+function isResponseSequence(response) {
+	if (typeof response === "function") {
+		return (
+			Object.prototype.toString.call(response) ===
+			"[object GeneratorFunction]"
+		);
+	}
+
+	return (
+		Boolean(response) &&
+		typeof response === "object" &&
+		typeof response[Symbol.iterator] === "function"
+	);
+}
+
+/**
+ * Converts a response argument into a response pattern (when available) and
+ * a response creator. We always want to create a response function so that
+ * the route can more easily deal with generating responses.
+ * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|number} response The response to normalize.
+ * @returns {NormalizedResponse} The normalized response.
+ * @throws {TypeError} If the response pattern is invalid.
+ */
+function normalizeResponse(response) {
+	if (typeof response === "function") {
+		return {
+			responsePattern: undefined,
+			createResponse: response,
+		};
+	}
+
+	const responsePattern =
+		typeof response === "number" ? { status: response } : response;
+
+	assertValidResponsePattern(responsePattern);
+
+	return {
+		responsePattern,
+		createResponse: () => responsePattern,
+	};
+}
+
+/**
+ * Lazily normalizes each response in a sequence.
+ * @param {Iterable<ResponsePattern|NetworkErrorPattern|ResponseCreator|number>} responses The responses to normalize.
+ * @returns {Generator<NormalizedResponse>} The normalized responses.
+ */
+function* normalizeResponseSequence(responses) {
+	for (const response of responses) {
+		yield normalizeResponse(response);
+	}
+}
+
+/**
+ * Calculates the number of times a route can be matched.
+ * @param {RouteOptions} options The route options.
+ * @returns {number} The number of times the route can be matched.
+ */
+function getRouteLimit({ times, persist }) {
+	return persist ? Infinity : (times ?? 1);
+}
+
 /**
  * Parses cookies from a Cookie header value
  * @param {string|null} cookieHeader The Cookie header value
@@ -151,6 +516,24 @@ function parseCookies(cookieHeader) {
 	return cookies;
 }
 
+/**
+ * Throws an error if a request or its response violates the contract.
+ * @param {Request} request The request that was received.
+ * @param {string|any|FormData|null} body The body of the request.
+ * @param {Array<string>} violations A description of each violation.
+ * @param {RecordedCall} [call] The recorded call, if the server responded.
+ * @returns {void}
+ * @throws {ContractViolationError} If there are any violations.
+ */
+function assertNoContractViolations(request, body, violations, call) {
+	if (violations.length > 0) {
+		const error = new ContractViolationError(request, body, violations);
+
+		error.call = call;
+		throw error;
+	}
+}
+
 /**
  * Represents a route that the server can respond to.
  */
@@ -163,16 +546,47 @@ export class Route {
 
 	/**
 	 * The response to return for the route.
-	 * @type {ResponsePattern|undefined}
+	 * @type {ResponsePattern|NetworkErrorPattern|undefined}
 	 */
 	#response;
 
 	/**
 	 * The response pattern for the route.
-	 * @type {ResponseCreator}
+	 * @type {ResponseCreator|undefined}
 	 */
 	#createResponse;
 
+	/**
+	 * The remaining responses for a sequenced route.
+	 * @type {Iterator<NormalizedResponse>|undefined}
+	 */
+	#sequence;
+
+	/**
+	 * The next result from the sequence. This is only read when a call needs
+	 * it so generators don't run before the route is called.
+	 * @type {IteratorResult<NormalizedResponse>|undefined}
+	 */
+	#nextInSequence;
+
+	/**
+	 * The number of responses served from the sequence.
+	 * @type {number}
+	 */
+	#step = 0;
+
+	/**
+	 * What to do once the response sequence is exhausted.
+	 * @type {string}
+	 */
+	#whenExhausted;
+
+	/**
+	 * The status codes for a sequence of known length. Used for display.
+	 * @type {Array<number|string>|undefined}
+	 */
+	#sequenceStatuses;
+
 	/**
 	 * The matcher for the route.
 	 * @type {RequestMatcher}
@@ -185,20 +599,134 @@ export class Route {
 	 */
 	#url;
 
+	/**
+	 * The number of times the route can be matched.
+	 * @type {number}
+	 * @readonly
+	 */
+	times;
+
+	/**
+	 * The number of responses in the sequence, if known.
+	 * @type {number|undefined}
+	 * @readonly
+	 */
+	sequenceLength;
+
 	/**
 	 * Creates a new instance.
 	 * @param {Object} options The route options.
 	 * @param {RequestPattern} options.request The request to match.
-	 * @param {ResponsePattern|undefined} options.response The response to return.
-	 * @param {ResponseCreator} options.createResponse The response creator to call.
+	 * @param {ResponsePattern|NetworkErrorPattern|undefined} [options.response] The response to return.
+	 * @param {ResponseCreator} [options.createResponse] The response creator to call.
+	 * @param {Iterable<NormalizedResponse>} [options.sequence] The responses to return in order.
+	 * @param {string} [options.whenExhausted="fallthrough"] What to do once the sequence is exhausted.
 	 * @param {string} options.baseUrl The base URL for the server.
+	 * @param {number} [options.times=1] The number of times the route can be matched.
 	 */
-	constructor({ request, response, createResponse, baseUrl }) {
+	constructor({
+		request,
+		response,
+		createResponse,
+		sequence,
+		whenExhausted = "fallthrough",
+		baseUrl,
+		times = 1,
+	}) {
 		this.#request = request;
 		this.#response = response;
 		this.#createResponse = createResponse;
 		this.#matcher = new RequestMatcher({ baseUrl, ...request });
 		this.#url = new URL(request.url, baseUrl).href;
+		this.#whenExhausted = whenExhausted;
+		this.times = times;
+
+		if (sequence) {
+			if (Array.isArray(sequence)) {
+				this.sequenceLength = sequence.length;
+				this.#sequenceStatuses = sequence.map(({ responsePattern }) =>
+					describeResponseStatus(responsePattern),
+				);
+			}
+
+			this.#sequence = sequence[Symbol.iterator]();
+		}
+	}
+
+	/**
+	 * Determines if the route responds with a sequence of responses.
+	 * @returns {boolean} `true` if the route is sequenced, `false` if not.
+	 */
+	get sequenced() {
+		return this.#sequence !== undefined;
+	}
+
+	/**
+	 * The number of responses served from the sequence.
+	 * @returns {number} The number of responses served.
+	 */
+	get step() {
+		return this.#step;
+	}
+
+	/**
+	 * Determines if every response in the sequence has been served. When
+	 * the length of the sequence isn't known, this is only `true` once a
+	 * call has tried to read past the end.
+	 * @returns {boolean} `true` if the sequence is done, `false` if not.
+	 */
+	get sequenceDone() {
+		if (this.sequenceLength !== undefined) {
+			return this.#step >= this.sequenceLength;
+		}
+
+		return Boolean(this.#nextInSequence?.done);
+	}
+
+	/**
+	 * Determines if the route has no more responses to serve and should
+	 * no longer be matched.
+	 * @returns {boolean} `true` if the route is out of responses, `false` if not.
+	 */
+	get outOfResponses() {
+		return this.sequenceDone && this.#whenExhausted === "fallthrough";
+	}
+
+	/**
+	 * The methods that the route responds to.
+	 * @returns {Array<string>} The uppercase method names.
+	 */
+	get methods() {
+		return this.#matcher.methods;
+	}
+
+	/**
+	 * Determines if the route matches JSON-RPC requests.
+	 * @returns {boolean} `true` if the route is a JSON-RPC route, `false` if not.
+	 */
+	get jsonrpc() {
+		return this.#request.jsonrpc !== undefined;
+	}
+
+	/**
+	 * Determines if the route can be matched an unlimited number of times.
+	 * @returns {boolean} `true` if the route is persistent, `false` if not.
+	 */
+	get persistent() {
+		return this.times === Infinity;
+	}
+
+	/**
+	 * Reads the next response in the sequence for a call that matches the
+	 * route. Routes without a sequence can always respond.
+	 * @returns {boolean} `true` if the route can respond, `false` if the sequence is exhausted and the route should no longer be matched.
+	 */
+	prepareResponse() {
+		if (this.#sequence && !this.sequenceDone && !this.#nextInSequence) {
+			this.#nextInSequence = this.#sequence.next();
+		}
+
+		return !this.outOfResponses;
 	}
 
 	/**
@@ -210,39 +738,123 @@ export class Route {
 		return this.#matcher.matches(request);
 	}
 
+	/**
+	 * Checks if the route matches a URL, ignoring the rest of the request.
+	 * @param {string} url The URL to check.
+	 * @returns {boolean} `true` if the URL matches, `false` if not.
+	 */
+	matchesUrl(url) {
+		return this.#matcher.matchUrl(url) !== undefined;
+	}
+
 	/**
 	 * Traces the details of the request to see why it doesn't match.
 	 * @param {RequestPattern} request The request to check.
-	 * @returns {{matches:boolean, messages:string[]}} The trace match result.
+	 * @returns {{matches:boolean, messages:string[], params:Record<string, string|undefined>, query:URLSearchParams}} The trace match result.
 	 */
 	traceMatches(request) {
 		return this.#matcher.traceMatches(request);
 	}
 
+	/**
+	 * Finds the response creator for the next call without moving through
+	 * the sequence. When the sequence is exhausted, the last response is
+	 * used again unless the route is set to throw an error.
+	 * @returns {ResponseCreator} The response creator for the next call.
+	 * @throws {Error} If the sequence is exhausted and the route is set to error.
+	 */
+	#peekSequence() {
+		if (this.#sequence) {
+			this.prepareResponse();
+
+			if (!this.sequenceDone) {
+				const next =
+					/** @type {IteratorYieldResult<NormalizedResponse>} */ (
+						this.#nextInSequence
+					);
+
+				return next.value.createResponse;
+			}
+
+			if (this.#whenExhausted === "error" || this.#step === 0) {
+				throw new Error(
+					`Response sequence for ${this} was exhausted after ${this.#step} responses.`,
+				);
+			}
+		}
+
+		return /** @type {ResponseCreator} */ (this.#createResponse);
+	}
+
+	/**
+	 * Moves to the next response in the sequence.
+	 * @returns {ResponseCreator} The response creator for the call.
+	 * @throws {Error} If the sequence is exhausted and the route is set to error.
+	 */
+	#advanceSequence() {
+		const createResponse = this.#peekSequence();
+
+		if (this.#sequence && !this.sequenceDone) {
+			this.#createResponse = createResponse;
+			this.#step++;
+			this.#nextInSequence = undefined;
+		}
+
+		return createResponse;
+	}
+
 	/**
 	 * Creates a Response object from a route's response pattern. If the body
 	 * is an object then the response will be JSON; if the body is a string
 	 * then the response will be text; otherwise the response will be bytes.
 	 * @param {Request} request The request that was received.
 	 * @param {typeof Response} PreferredResponse The Response constructor to use.
+	 * @param {Object} [options] The options for creating the response.
+	 * @param {boolean} [options.peek=false] Whether to leave the sequence where it is.
 	 * @returns {Promise<Response>} The response to return.
+	 * @throws {NetworkError} If the response pattern simulates a network error.
 	 */
-	async createResponse(request, PreferredResponse) {
-		const requestMatch = this.#matcher.traceMatches({
-			method: request.method,
-			url: request.url,
-			headers: Object.fromEntries([...request.headers.entries()]),
-		});
+	async createResponse(request, PreferredResponse, { peek = false } = {}) {
+		const createResponse = peek
+			? this.#peekSequence()
+			: this.#advanceSequence();
+
+		const requestMatch = this.#matcher.matchUrl(request.url) ?? {
+			params: {},
+			query: new URLSearchParams(),
+		};
 
 		const cookies = parseCookies(request.headers.get("cookie"));
-		const response = await this.#createResponse(request, {
+		const response = await createResponse(request, {
 			cookies,
 			params: requestMatch.params,
 			query: requestMatch.query,
 		});
 
-		const { body, delay, ...init } =
-			typeof response === "number" ? { status: response } : response;
+		// network errors reject after the delay instead of responding
+		if (typeof response === "object" && "error" in response) {
+			if (response.delay) {
+				await new Promise(resolve =>
+					setTimeout(resolve, response.delay),
+				);
+			}
+
+			throw new NetworkError(response.error, request.url);
+		}
+
+		const {
+			body,
+			stream,
+			events,
+			ndjson,
+			jsonSeq,
+			keepOpen,
+			delay,
+			content,
+			...init
+		} = typeof response === "number" ? { status: response } : response;
+		/** @type {Record<string, Iterable<any>|AsyncIterable<any>|undefined>} */
+		const streamingBodyPatterns = { stream, events, ndjson, jsonSeq };
 
 		if (!init.status) {
 			init.status = 200;
@@ -255,6 +867,71 @@ export class Route {
 			await new Promise(resolve => setTimeout(resolve, delay));
 		}
 
+		// choose the body for the media type that the request accepts
+		if (content) {
+			const mediaType = negotiateMediaType(
+				request.headers.get("accept"),
+				Object.keys(content),
+			);
+			const headers = new Headers(init.headers);
+			const varies = (headers.get("vary") ?? "")
+				.split(",")
+				.some(value => value.trim().toLowerCase() === "accept");
+
+			if (!varies) {
+				headers.append("vary", "Accept");
+			}
+
+			if (!mediaType) {
+				return new PreferredResponse(null, {
+					status: 406,
+					statusText: statusTexts.get(406),
+					headers,
+				});
+			}
+
+			const selectedBody = content[mediaType];
+
+			headers.set("content-type", mediaType);
+
+			return new PreferredResponse(
+				typeof selectedBody === "string" ||
+				selectedBody instanceof ArrayBuffer
+					? selectedBody
+					: JSON.stringify(selectedBody),
+				{
+					...init,
+					statusText,
+					headers,
+				},
+			);
+		}
+
+		// streaming bodies send each item as it's read
+		for (const [key, { encode, headers }] of streamingBodies) {
+			const items = streamingBodyPatterns[key];
+
+			if (items) {
+				const response = new PreferredResponse(
+					createChunkStream(items, {
+						encode,
+						keepOpen,
+					}),
+					{
+						...init,
+						statusText,
+						headers: {
+							...headers,
+							...init.headers,
+						},
+					},
+				);
+
+				streamingResponses.add(response);
+				return response;
+			}
+		}
+
 		// if the body is an object, return JSON
 		if (
 			(body && typeof body === "object" && body.constructor === Object) ||
@@ -298,7 +975,22 @@ export class Route {
 	 * @returns {string} The string representation of the route.
 	 */
 	toString() {
-		const status = this.#response?.status ?? "function";
+		let status = describeResponseStatus(this.#response);
+
+		if (this.#sequence) {
+			status = this.#sequenceStatuses
+				? `[${this.#sequenceStatuses.join(", ")}]`
+				: "[sequence]";
+		}
+
+		if (this.#request.jsonrpc) {
+			return `🚧 [JSON-RPC: ${this.#request.jsonrpc.method} ${this.#url}]`;
+		}
+
+		if (this.#request.graphql) {
+			return `🚧 [GraphQL: ${describeGraphQLPattern(this.#request.graphql)} ${this.#url} -> ${status}]`;
+		}
+
 		return `🚧 [Route: ${this.#request.method.toUpperCase()} ${this.#url} -> ${status}]`;
 	}
 }
@@ -318,10 +1010,47 @@ export class MockServer {
 	#routes = [];
 
 	/**
-	 * The routes that have been matched.
-	 * @type {WeakSet<Route>}
+	 * The number of times each route has been matched.
+	 * @type {WeakMap<Route, number>}
+	 */
+	#callCounts = new WeakMap();
+
+	/**
+	 * The requests that have been responded to, in the order received.
+	 * @type {Array<RecordedCall>}
 	 */
-	#matched = new WeakSet();
+	#calls = [];
+
+	/**
+	 * The default route options for the server.
+	 * @type {RouteOptions}
+	 */
+	#routeDefaults;
+
+	/**
+	 * The keys of the OpenAPI operations the server responds to.
+	 * @type {Set<string>}
+	 */
+	#operations = new Set();
+
+	/**
+	 * The responses that replace the examples for OpenAPI operations.
+	 * @type {Map<string, NormalizedResponse>}
+	 */
+	#operationOverrides = new Map();
+
+	/**
+	 * Validates requests and responses against an OpenAPI document.
+	 * @type {ContractValidator|undefined}
+	 */
+	#contract;
+
+	/**
+	 * Determines if the server responds with 405 when no route uses the
+	 * request's method, serves HEAD from GET routes, and answers OPTIONS.
+	 * @type {boolean}
+	 */
+	#autoMethods;
 
 	/**
 	 * The base URL for the server.
@@ -333,25 +1062,198 @@ export class MockServer {
 	/**
 	 * Creates a new instance.
 	 * @param {string} baseUrl The base URL for the server.
+	 * @param {MockServerOptions} [options] The options for the server.
 	 */
-	constructor(baseUrl) {
+	constructor(
+		baseUrl,
+		{ times, persist, whenExhausted, contract, autoMethods = false } = {},
+	) {
 		this.baseUrl = baseUrl;
+
+		assertValidRouteOptions({ times, persist, whenExhausted });
+		this.#routeDefaults = { times, persist, whenExhausted };
+
+		if (typeof autoMethods !== "boolean") {
+			throw new TypeError(
+				"MockServer option autoMethods must be a boolean.",
+			);
+		}
+
+		this.#autoMethods = autoMethods;
+
+		if (contract !== undefined) {
+			this.#contract = new ContractValidator(contract, baseUrl);
+		}
+	}
+
+	/**
+	 * Creates a server with a persistent route for each operation in an
+	 * OpenAPI 3.x document. Path templates such as `/users/{id}` are matched
+	 * as `/users/:id` and each route responds with the example for the
+	 * operation's first successful response. When `validate` is `true`, every
+	 * request and response is also checked against the document.
+	 * @param {object} document The OpenAPI document.
+	 * @param {OpenAPIServerOptions} [options] The options for the server.
+	 * @returns {MockServer} The new server.
+	 * @throws {TypeError} If the document is invalid or there's no base URL.
+	 */
+	static fromOpenAPI(
+		document,
+		{ baseUrl, overrides = {}, validate = false, ...options } = {},
+	) {
+		assertValidOpenAPIDocument(document);
+
+		const serverUrl = baseUrl ?? getServerUrl(document);
+
+		if (!serverUrl) {
+			throw new TypeError(
+				"A baseUrl is required when the OpenAPI document doesn't include an absolute server URL.",
+			);
+		}
+
+		const server = new MockServer(
+			serverUrl,
+			validate ? { ...options, contract: document } : options,
+		);
+
+		for (const operation of getOperations(document)) {
+			server.#addOperationRoute(
+				operation,
+				createExampleResponse(document, operation.operation),
+			);
+		}
+
+		for (const [key, response] of Object.entries(overrides)) {
+			server.overrideOperation(key, response);
+		}
+
+		return server;
+	}
+
+	/**
+	 * Creates a server with a route for each entry in a HAR file. Each route
+	 * matches the recorded method, URL, query string, and body, and responds
+	 * with the recorded response. Entries for other origins or paths outside
+	 * the base URL are skipped, as are entries without a valid status.
+	 * @param {object} har The HAR file.
+	 * @param {HARServerOptions} [options] The options for the server.
+	 * @returns {MockServer} The new server.
+	 * @throws {TypeError} If the HAR file is invalid or empty.
+	 */
+	static fromHAR(
+		har,
+		{ baseUrl, ignoreHeaders = [], matchHeaders = false, ...options } = {},
+	) {
+		assertValidHAR(har);
+
+		const { entries } = har.log;
+
+		if (!baseUrl && entries.length === 0) {
+			throw new TypeError(
+				"A baseUrl is required when the HAR file doesn't contain any entries.",
+			);
+		}
+
+		const serverUrl = baseUrl ?? new URL(entries[0].request.url).origin;
+		const server = new MockServer(serverUrl, options);
+		const routeOptions = {
+			baseUrl: serverUrl,
+			ignoreHeaders: new Set(
+				[...volatileHeaders, ...ignoreHeaders].map(name =>
+					name.toLowerCase(),
+				),
+			),
+			matchHeaders,
+		};
+
+		for (const entry of entries) {
+			const route = createHARRoute(entry, routeOptions);
+
+			if (route) {
+				server.route(route.request, route.response);
+			}
+		}
+
+		return server;
+	}
+
+	/**
+	 * Returns the number of times a route has been matched.
+	 * @param {Route} route The route to check.
+	 * @returns {number} The number of times the route has been matched.
+	 */
+	#getCallCount(route) {
+		return this.#callCounts.get(route) ?? 0;
+	}
+
+	/**
+	 * Determines if a route has been matched as many times as expected.
+	 * Persistent routes are expected to be matched at least once and
+	 * sequenced routes are expected to serve every response. Sequences of
+	 * unknown length, such as generators, may never end, so they're expected
+	 * to be matched at least once.
+	 * @param {Route} route The route to check.
+	 * @returns {boolean} `true` if the route has been fully called, `false` if not.
+	 */
+	#isFullyCalled(route) {
+		if (route.sequenced) {
+			return route.sequenceLength === undefined
+				? this.#getCallCount(route) > 0
+				: route.sequenceDone;
+		}
+
+		return (
+			this.#getCallCount(route) >= (route.persistent ? 1 : route.times)
+		);
+	}
+
+	/**
+	 * Determines if a route can no longer be matched.
+	 * @param {Route} route The route to check.
+	 * @returns {boolean} `true` if the route is exhausted, `false` if not.
+	 */
+	#isExhausted(route) {
+		return this.#getCallCount(route) >= route.times || route.outOfResponses;
 	}
 
 	/**
 	 * Returns the routes that have not been matched.
 	 * @returns {Array<Route>} The unmatched routes.
 	 */
-	get #unmatchedRoutes() {
-		return this.#routes.filter(route => !this.#matched.has(route));
+	get #unmatchedRoutes() {
+		return this.#routes.filter(route => this.#getCallCount(route) === 0);
+	}
+
+	/**
+	 * Returns the routes that have been matched.
+	 * @returns {Array<Route>} The matched routes.
+	 */
+	get #matchedRoutes() {
+		return this.#routes.filter(route => this.#getCallCount(route) > 0);
+	}
+
+	/**
+	 * Returns the routes that can still be matched.
+	 * @returns {Array<Route>} The available routes.
+	 */
+	get #availableRoutes() {
+		return this.#routes.filter(route => !this.#isExhausted(route));
+	}
+
+	/**
+	 * Returns the routes that have been matched the maximum number of times.
+	 * @returns {Array<Route>} The exhausted routes.
+	 */
+	get #exhaustedRoutes() {
+		return this.#routes.filter(route => this.#isExhausted(route));
 	}
 
 	/**
-	 * Returns the routes that have been matched.
-	 * @returns {Array<Route>} The matched routes.
+	 * Returns the routes that haven't been matched as many times as expected.
+	 * @returns {Array<Route>} The routes that haven't been fully called.
 	 */
-	get #matchedRoutes() {
-		return this.#routes.filter(route => this.#matched.has(route));
+	get #partiallyCalledRoutes() {
+		return this.#routes.filter(route => !this.#isFullyCalled(route));
 	}
 
 	// #region: Adding Routes
@@ -361,12 +1263,11 @@ export class MockServer {
 	 * @param {string} method The HTTP method for the route (e.g., 'GET', 'POST').
 	 * @param {string|object} request The request URL as a string or an object containing request details.
 	 * @param {number|object} response The response status code as a number or an object containing response details.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	#addRoute(method, request, response) {
+	#addRoute(method, request, response, options) {
 		const routeRequest =
 			typeof request === "string" ? { url: request } : request;
-		const routeResponse =
-			typeof response === "number" ? { status: response } : response;
 
 		const requestPattern = /** @type {RequestPattern} */ ({
 			method,
@@ -375,32 +1276,74 @@ export class MockServer {
 
 		assertValidRequestPattern(requestPattern);
 
-		/** @type {ResponseCreator} */
-		let createResponse;
+		if (options !== undefined) {
+			assertValidRouteOptions(options);
+		}
 
-		/** @type {ResponsePattern|undefined} */
-		let responsePattern = undefined;
+		if (isResponseSequence(response)) {
+			if (options?.times !== undefined || options?.persist) {
+				throw new TypeError(
+					"Route options times and persist cannot be used with a response sequence.",
+				);
+			}
 
-		/*
-		 * We always want to create a new response function so that the
-		 * route can more easily deal with generating responses. We
-		 * don't always have a responsePattern if this is a function.
-		 */
-		if (typeof routeResponse === "function") {
-			createResponse = /** @type {ResponseCreator} */ (routeResponse);
-		} else {
-			responsePattern = /** @type {ResponsePattern} */ (routeResponse);
-			assertValidResponsePattern(responsePattern);
-			createResponse = () =>
-				/** @type {ResponsePattern} */ (responsePattern);
+			if (Array.isArray(response) && response.length === 0) {
+				throw new TypeError(
+					"Response sequence must include at least one response.",
+				);
+			}
+
+			/*
+			 * Arrays are validated up front so mistakes are caught when the
+			 * route is registered. Other iterables may be infinite, so their
+			 * responses are validated as they are served.
+			 */
+			const sequence = Array.isArray(response)
+				? response.map(normalizeResponse)
+				: normalizeResponseSequence(
+						typeof response === "function" ? response() : response,
+					);
+
+			this.#routes.push(
+				new Route({
+					request: requestPattern,
+					sequence,
+					whenExhausted:
+						options?.whenExhausted ??
+						this.#routeDefaults.whenExhausted,
+					baseUrl: this.baseUrl,
+					times: Infinity,
+				}),
+			);
+
+			return;
+		}
+
+		if (options?.whenExhausted !== undefined) {
+			throw new TypeError(
+				"Route option whenExhausted can only be used with a response sequence.",
+			);
 		}
 
+		// route options take precedence over the server defaults
+		const routeOptions =
+			options?.times !== undefined || options?.persist !== undefined
+				? options
+				: this.#routeDefaults;
+
+		const { responsePattern, createResponse } = normalizeResponse(
+			/** @type {ResponsePattern|NetworkErrorPattern|ResponseCreator|number} */ (
+				response
+			),
+		);
+
 		this.#routes.push(
 			new Route({
 				request: requestPattern,
 				response: responsePattern,
 				createResponse,
 				baseUrl: this.baseUrl,
+				times: getRouteLimit(routeOptions),
 			}),
 		);
 	}
@@ -408,85 +1351,261 @@ export class MockServer {
 	/**
 	 * Adds a new route to the server.
 	 * @param {RequestPattern} request
-	 * @param {ResponsePattern|ResponseCreator|number} response
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	route(request, response) {
+	route(request, response, options) {
 		// assert that method is provided
 		if (!request.method) {
 			throw new Error("Request pattern must include a method.");
 		}
 
-		this.#addRoute(request.method, request, response);
+		this.#addRoute(request.method, request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to a POST request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	post(request, response) {
+	post(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("POST", request, response);
+		this.#addRoute("POST", request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to a GET request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	get(request, response) {
+	get(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("GET", request, response);
+		this.#addRoute("GET", request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to a PUT request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	put(request, response) {
+	put(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("PUT", request, response);
+		this.#addRoute("PUT", request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to a DELETE request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	delete(request, response) {
+	delete(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("DELETE", request, response);
+		this.#addRoute("DELETE", request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to a PATCH request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	patch(request, response) {
+	patch(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("PATCH", request, response);
+		this.#addRoute("PATCH", request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to a HEAD request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
 	 */
-	head(request, response) {
+	head(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("HEAD", request, response);
+		this.#addRoute("HEAD", request, response, options);
 	}
 
 	/**
 	 * Adds a new route that responds to an OPTIONS request.
 	 * @param {MethodlessRequestPattern|string} request The request to match.
-	 * @param {ResponsePattern|ResponseCreator|number} response The response to return.
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|ResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
+	 */
+	options(request, response, options) {
+		assertNoMethod(request);
+		this.#addRoute("OPTIONS", request, response, options);
+	}
+
+	/**
+	 * Adds a route that responds to GraphQL-over-HTTP requests. The route
+	 * matches POST requests with a JSON body and GET requests with the
+	 * operation in the query string. Responses can be GraphQL results, such
+	 * as `{ data }` or `{ errors }`, which are sent as JSON with a 200 status.
+	 * @param {GraphQLRequestPattern} request The GraphQL operation to match.
+	 * @param {GraphQLResult|ResponsePattern|NetworkErrorPattern|GraphQLResponseCreator|GraphQLResponseSequence|number} response The response to return.
+	 * @param {RouteOptions} [options] The options for the route.
+	 * @throws {TypeError} If the request pattern or response is invalid.
 	 */
-	options(request, response) {
+	graphql(request, response, options) {
 		assertNoMethod(request);
-		this.#addRoute("OPTIONS", request, response);
+
+		const {
+			url = "/graphql",
+			operationName,
+			operationType,
+			query,
+			variables,
+			...rest
+		} = request;
+		const graphql = Object.fromEntries(
+			Object.entries({
+				operationName,
+				operationType,
+				query,
+				variables,
+			}).filter(([, value]) => value !== undefined),
+		);
+
+		/*
+		 * Arrays stay arrays so their length is known, while other sequences
+		 * are converted as each response is served.
+		 */
+		let routeResponse;
+
+		if (Array.isArray(response)) {
+			routeResponse = response.map(toGraphQLResponse);
+		} else if (isResponseSequence(response)) {
+			const responses = /** @type {GraphQLResponseSequence} */ (response);
+
+			routeResponse = function* () {
+				for (const item of typeof responses === "function"
+					? responses()
+					: responses) {
+					yield toGraphQLResponse(item);
+				}
+			};
+		} else {
+			routeResponse = toGraphQLResponse(
+				/** @type {GraphQLResult|ResponsePattern|NetworkErrorPattern|GraphQLResponseCreator|number} */ (
+					response
+				),
+			);
+		}
+
+		this.#addRoute(
+			"POST",
+			{ ...rest, url, graphql },
+			routeResponse,
+			options,
+		);
+	}
+
+	/**
+	 * Adds a route that responds to a JSON-RPC 2.0 method. The route matches
+	 * POST requests whose body calls the method and responds with the
+	 * handler's `result` or `error` using the request's ID. Requests in a
+	 * batch are each sent to the matching route.
+	 * @param {string} url The URL of the JSON-RPC endpoint.
+	 * @param {StringPattern|JsonRpcPattern} method The method name or the method and params to match.
+	 * @param {JsonRpcHandler} handler The outcome to respond with or a function that creates it.
+	 * @param {RouteOptions} [options] The options for the route.
+	 * @throws {TypeError} If the method or handler is invalid.
+	 */
+	jsonrpc(url, method, handler, options) {
+		const jsonrpc =
+			typeof method === "string" || method instanceof Matcher
+				? { method }
+				: method;
+
+		this.#addRoute(
+			"POST",
+			{ url, jsonrpc },
+			createJsonRpcResponseCreator(handler),
+			options,
+		);
+	}
+
+	/**
+	 * Adds a family of persistent routes that create, read, update, and
+	 * delete items in an in-memory store:
+	 *
+	 * - `GET path` responds with every item.
+	 * - `POST path` creates an item and responds with 201.
+	 * - `GET path/:id` responds with the item or 404.
+	 * - `PUT path/:id` replaces the item or responds with 404.
+	 * - `PATCH path/:id` merges changes into the item or responds with 404.
+	 * - `DELETE path/:id` removes the item and responds with 204 or 404.
+	 * @param {string} path The URL path for the collection.
+	 * @param {ResourceOptions} [options] The options for the resource.
+	 * @returns {Resource} The resource, which can be used to inspect the store.
+	 * @throws {TypeError} If the path or options are invalid.
+	 */
+	resource(path, options) {
+		const resource = new Resource(path, options);
+
+		for (const { method, url, createResponse } of resource.routes) {
+			this.#addRoute(method, url, createResponse, { persist: true });
+		}
+
+		return resource;
+	}
+
+	/**
+	 * Adds a persistent route for an OpenAPI operation that responds with
+	 * the operation's override if there is one or the example otherwise.
+	 * @param {OpenAPIOperation} operation The operation to add.
+	 * @param {ResponsePattern} example The example response for the operation.
+	 * @returns {void}
+	 */
+	#addOperationRoute({ key, method, url }, example) {
+		// OpenAPI paths are relative to the server URL, including its path
+		const routeUrl = `${this.baseUrl.replace(/\/+$/u, "")}${url}`;
+
+		this.#operations.add(key);
+		this.#routes.push(
+			new Route({
+				request: { method, url: routeUrl },
+				response: example,
+				createResponse: (request, info) => {
+					const override = this.#operationOverrides.get(key);
+
+					return override
+						? override.createResponse(request, info)
+						: example;
+				},
+				baseUrl: this.baseUrl,
+				times: Infinity,
+			}),
+		);
+	}
+
+	/**
+	 * Replaces the example response for an OpenAPI operation until the
+	 * override is cleared.
+	 * @param {string} operation The operation ID or the method and path (e.g., "GET /users/{id}").
+	 * @param {ResponsePattern|NetworkErrorPattern|ResponseCreator|number} response The response to return.
+	 * @returns {void}
+	 * @throws {TypeError} If the operation doesn't exist or the response is invalid.
+	 */
+	overrideOperation(operation, response) {
+		if (!this.#operations.has(operation)) {
+			throw new TypeError(`Unknown OpenAPI operation: ${operation}.`);
+		}
+
+		this.#operationOverrides.set(operation, normalizeResponse(response));
+	}
+
+	/**
+	 * Removes all OpenAPI operation overrides so each operation responds
+	 * with its example again.
+	 * @returns {void}
+	 */
+	clearOperationOverrides() {
+		this.#operationOverrides.clear();
 	}
 
 	// #endregion: Adding Routes
@@ -501,13 +1620,436 @@ export class MockServer {
 		return (await this.traceReceive(request, PreferredResponse)).response;
 	}
 
+	/**
+	 * Responds to a JSON-RPC batch by sending each request in the batch to
+	 * the matching JSON-RPC route and combining the responses into an array.
+	 * Every request must match a route that can still be called before any
+	 * route is called, so a batch that doesn't match has no effect. The
+	 * batch is recorded as a single call. A route that responds with a
+	 * status other than 200 or 204 responds for the whole batch.
+	 * @param {Request} request The request containing the batch.
+	 * @param {RequestPattern} requestPattern The request pattern for the batch.
+	 * @param {typeof Response} PreferredResponse The Response constructor to use.
+	 * @param {Array<string>} requestViolations The ways the batch request violates the contract.
+	 * @returns {Promise<{response:Response|undefined,traces: Array<Trace>,call?:RecordedCall}|undefined>} The trace match result or `undefined` if there are no JSON-RPC routes for the URL.
+	 * @throws {NetworkError} If a route simulates a network error.
+	 * @throws {ContractViolationError} If a request or response violates the contract.
+	 */
+	async #traceReceiveBatch(
+		request,
+		requestPattern,
+		PreferredResponse,
+		requestViolations,
+	) {
+		const timestamp = Date.now();
+		const batch = /** @type {Array<any>} */ (requestPattern.body);
+		const routes = this.#availableRoutes.filter(
+			route => route.jsonrpc && route.matchesUrl(request.url),
+		);
+
+		if (routes.length === 0) {
+			return undefined;
+		}
+
+		/** @type {Array<Trace>} */
+		const traces = [];
+
+		/*
+		 * Assign each request to a route up front, counting the calls the
+		 * batch needs so a route isn't matched more times than allowed.
+		 */
+		/** @type {Map<Route, number>} */
+		const batchCallCounts = new Map();
+
+		/** @type {Array<{route:Route,requestPattern:RequestPattern}>} */
+		const assignments = [];
+
+		const hasCallsLeft = (/** @type {Route} */ route) =>
+			this.#getCallCount(route) + (batchCallCounts.get(route) ?? 0) <
+			route.times;
+
+		for (const item of batch) {
+			const itemPattern = { ...requestPattern, body: item };
+			const route = routes.find(
+				route => hasCallsLeft(route) && route.matches(itemPattern),
+			);
+
+			if (route) {
+				batchCallCounts.set(
+					route,
+					(batchCallCounts.get(route) ?? 0) + 1,
+				);
+				assignments.push({ route, requestPattern: itemPattern });
+				continue;
+			}
+
+			for (const route of routes) {
+				const trace = route.traceMatches(itemPattern);
+
+				if (trace.matches) {
+					trace.matches = false;
+					trace.messages.push(
+						"❌ Route has already been matched by other requests in the batch.",
+					);
+				}
+
+				traces.push({ ...trace, title: route.toString() });
+			}
+		}
+
+		if (traces.length > 0) {
+			return { response: undefined, traces };
+		}
+
+		const bodies = [];
+
+		/** @type {Response|undefined} */
+		let response;
+
+		for (const { route, requestPattern: itemPattern } of assignments) {
+			const itemRequest = new Request(request.url, {
+				method: request.method,
+				headers: request.headers,
+				body: JSON.stringify(itemPattern.body),
+			});
+
+			/** @type {Response} */
+			let itemResponse;
+
+			// the batch is recorded as one call, so items aren't recorded
+			try {
+				({ response: itemResponse } = await this.#respond(
+					route,
+					route.traceMatches(itemPattern),
+					{
+						clonedRequest: itemRequest,
+						requestPattern: itemPattern,
+						PreferredResponse,
+						timestamp,
+						traces: [],
+						record: false,
+					},
+				));
+			} catch (error) {
+				if (
+					(error instanceof NetworkError ||
+						error instanceof ContractViolationError) &&
+					error.call
+				) {
+					this.#calls.push(error.call);
+				}
+
+				throw error;
+			}
+
+			if (itemResponse.status === 200) {
+				bodies.push(await itemResponse.json());
+			} else if (itemResponse.status !== 204) {
+				response = itemResponse;
+				break;
+			}
+		}
+
+		// notifications don't have responses so there may be nothing to send
+		if (!response) {
+			response =
+				bodies.length > 0
+					? new PreferredResponse(JSON.stringify(bodies), {
+							status: 200,
+							statusText: statusTexts.get(200),
+							headers: { "content-type": "application/json" },
+						})
+					: new PreferredResponse(null, {
+							status: 204,
+							statusText: statusTexts.get(204),
+						});
+		}
+
+		/** @type {RecordedCall} */
+		const call = {
+			request: request.clone(),
+			body: batch,
+			route: `📦 [JSON-RPC Batch: ${request.url} -> ${response.status}]`,
+			params: {},
+			query: new URL(request.url).searchParams,
+			status: response.status,
+			timestamp,
+			duration: Date.now() - timestamp,
+			response: response.clone(),
+		};
+
+		this.#calls.push(call);
+
+		assertNoContractViolations(request, batch, requestViolations, call);
+
+		return { response, traces: [], call };
+	}
+
+	/**
+	 * Responds to a request using a route that matches it. The route's call
+	 * count is incremented so it can't be matched more times than allowed
+	 * and the call is recorded.
+	 * @param {Route} route The route that matches the request.
+	 * @param {{matches:boolean, messages:string[], params:Record<string, string|undefined>, query:URLSearchParams}} trace The trace from matching the route.
+	 * @param {Object} context The request being responded to.
+	 * @param {Request} context.clonedRequest A copy of the request with an unread body.
+	 * @param {RequestPattern} context.requestPattern The request with its parsed body.
+	 * @param {typeof Response} context.PreferredResponse The Response constructor to use.
+	 * @param {number} context.timestamp The time the request was received.
+	 * @param {Array<Trace>} context.traces The traces from routes that didn't match.
+	 * @param {Array<string>} [context.requestViolations=[]] The ways the request violates the contract.
+	 * @param {boolean} [context.record=true] Whether to add the call to the history.
+	 * @param {boolean} [context.countCall=true] Whether the call counts toward the route's limit and sequence.
+	 * @returns {Promise<{response:Response,traces: Array<Trace>,call:RecordedCall}>} The response and recorded call.
+	 * @throws {NetworkError} If the route simulates a network error.
+	 * @throws {ContractViolationError} If the request or response violates the contract.
+	 */
+	async #respond(
+		route,
+		trace,
+		{
+			clonedRequest,
+			requestPattern,
+			PreferredResponse,
+			timestamp,
+			traces,
+			requestViolations = [],
+			record = true,
+			countCall = true,
+		},
+	) {
+		if (countCall) {
+			this.#callCounts.set(route, this.#getCallCount(route) + 1);
+		}
+
+		// the response creator may read the body so keep a copy for the history
+		const recordedRequest = clonedRequest.clone();
+
+		/** @type {RecordedCall} */
+		const call = {
+			request: recordedRequest,
+			body: requestPattern.body,
+			route: route.toString(),
+			params: trace.params,
+			query: trace.query,
+			status: 0,
+			timestamp,
+			duration: 0,
+		};
+
+		/** @type {Response} */
+		let response;
+
+		/*
+		 * Response constructor doesn't allow setting the URL so we
+		 * need to set it after creating the response.
+		 */
+		try {
+			response = await route.createResponse(
+				clonedRequest,
+				PreferredResponse,
+				{ peek: !countCall },
+			);
+		} catch (error) {
+			/*
+			 * Network errors still count as calls, so record the
+			 * call and attach it to the error for the caller.
+			 */
+			if (error instanceof NetworkError) {
+				call.error = error.type;
+				call.duration = Date.now() - timestamp;
+				error.call = call;
+
+				if (record) {
+					this.#calls.push(call);
+				}
+			}
+
+			throw error;
+		}
+
+		// let the caller know which step of a sequence was served
+		if (route.sequenced && countCall) {
+			const total =
+				route.sequenceLength === undefined
+					? ""
+					: ` of ${route.sequenceLength}`;
+
+			trace.messages.push(
+				`✅ Served response ${route.step}${total} in sequence.`,
+			);
+			traces.push({ ...trace, title: route.toString() });
+		}
+
+		call.status = response.status;
+		call.duration = Date.now() - timestamp;
+
+		// streams may never finish, so only their headers are kept
+		call.response = streamingResponses.has(response)
+			? new PreferredResponse(null, {
+					status: response.status,
+					statusText: response.statusText,
+					headers: response.headers,
+				})
+			: response.clone();
+
+		if (record) {
+			this.#calls.push(call);
+		}
+
+		if (this.#contract) {
+			assertNoContractViolations(
+				recordedRequest,
+				requestPattern.body,
+				[
+					...requestViolations,
+					...(await this.#contract.validateResponse(
+						recordedRequest,
+						response,
+					)),
+				],
+				call,
+			);
+		}
+
+		return { response, traces, call };
+	}
+
+	/**
+	 * Responds to a request that no route matched the way common server
+	 * frameworks do. HEAD requests are served by a matching GET route
+	 * without the body and without counting as a call to the route. When no route for the URL uses the request's
+	 * method, OPTIONS requests receive 204 and other requests receive 405,
+	 * both with an Allow header listing the methods for the URL. CORS
+	 * preflight requests are left for routes to answer.
+	 * @param {Array<Route>} routes The routes that can still be matched.
+	 * @param {Object} context The request being responded to.
+	 * @param {Request} context.clonedRequest A copy of the request with an unread body.
+	 * @param {RequestPattern} context.requestPattern The request with its parsed body.
+	 * @param {typeof Response} context.PreferredResponse The Response constructor to use.
+	 * @param {number} context.timestamp The time the request was received.
+	 * @param {Array<Trace>} context.traces The traces from routes that didn't match.
+	 * @param {Array<string>} [context.requestViolations] The ways the request violates the contract.
+	 * @returns {Promise<{response:Response,traces: Array<Trace>,call:RecordedCall}|undefined>} The response or `undefined` if the server shouldn't respond.
+	 * @throws {ContractViolationError} If the request violates the contract.
+	 */
+	async #respondAutomatically(routes, context) {
+		const { clonedRequest, requestPattern, PreferredResponse, timestamp } =
+			context;
+		const method = clonedRequest.method.toUpperCase();
+
+		if (method === "HEAD") {
+			const getPattern = { ...requestPattern, method: "GET" };
+			const route = routes.find(route => route.matches(getPattern));
+
+			// the GET route's calls are left for GET requests
+			if (route) {
+				const result = await this.#respond(
+					route,
+					route.traceMatches(getPattern),
+					{ ...context, countCall: false },
+				);
+
+				/*
+				 * HEAD responses have the same headers as GET but no body.
+				 * Streams may never finish, so they're cancelled instead of
+				 * being read.
+				 */
+				if (streamingResponses.has(result.response)) {
+					await result.response.body?.cancel();
+				} else {
+					await result.response.arrayBuffer();
+				}
+
+				const response = new PreferredResponse(null, {
+					status: result.response.status,
+					statusText: result.response.statusText,
+					headers: result.response.headers,
+				});
+
+				result.call.response = response.clone();
+
+				return { ...result, response };
+			}
+		}
+
+		const methods = new Set(
+			this.#routes
+				.filter(route => route.matchesUrl(clonedRequest.url))
+				.flatMap(route => route.methods),
+		);
+
+		if (methods.size === 0 || methods.has(method)) {
+			return undefined;
+		}
+
+		if (method === "HEAD" && methods.has("GET")) {
+			return undefined;
+		}
+
+		const isPreflight =
+			method === "OPTIONS" &&
+			clonedRequest.headers.has("access-control-request-method");
+
+		if (isPreflight) {
+			return undefined;
+		}
+
+		if (methods.has("GET")) {
+			methods.add("HEAD");
+		}
+
+		methods.add("OPTIONS");
+
+		// list the standard methods in the usual order and any others after
+		const allow = [...methods]
+			.sort(
+				(a, b) =>
+					(verbs.indexOf(a) + 1 || Infinity) -
+					(verbs.indexOf(b) + 1 || Infinity),
+			)
+			.join(", ");
+		const status = method === "OPTIONS" ? 204 : 405;
+		const response = new PreferredResponse(null, {
+			status,
+			statusText: statusTexts.get(status),
+			headers: { allow },
+		});
+
+		/** @type {RecordedCall} */
+		const call = {
+			request: clonedRequest.clone(),
+			body: requestPattern.body,
+			route: `🚧 [Automatic: ${method} ${clonedRequest.url} -> ${status}]`,
+			params: {},
+			query: new URL(clonedRequest.url).searchParams,
+			status,
+			timestamp,
+			duration: Date.now() - timestamp,
+			response: response.clone(),
+		};
+
+		this.#calls.push(call);
+
+		assertNoContractViolations(
+			clonedRequest,
+			requestPattern.body,
+			context.requestViolations ?? [],
+			call,
+		);
+
+		return { response, traces: context.traces, call };
+	}
+
 	/**
 	 * Traces the details of the request to see why it doesn't match.
 	 * @param {Request} request The request to check.
 	 * @param {typeof Response} [PreferredResponse] The Response constructor to use.
-	 * @returns {Promise<{response:Response|undefined,traces: Array<Trace>}>} The trace match result.
+	 * @returns {Promise<{response:Response|undefined,traces: Array<Trace>,call?:RecordedCall}>} The trace match result.
 	 */
 	async traceReceive(request, PreferredResponse = Response) {
+		const timestamp = Date.now();
+
 		// we need to clone the request before reading from it so we can use it again later
 		const clonedRequest = request.clone();
 
@@ -516,60 +2058,128 @@ export class MockServer {
 			method: request.method,
 			url: request.url,
 			headers: Object.fromEntries([...request.headers.entries()]),
-			query: Object.fromEntries(
-				new URL(request.url).searchParams.entries(),
-			),
+			query: searchParamsToObject(new URL(request.url).searchParams),
 			body: await getBody(request),
 		};
 
+		/*
+		 * Every request for the server's URLs is checked against the contract
+		 * before matching, except CORS preflights, which aren't API calls.
+		 */
+		const isPreflight =
+			request.method.toUpperCase() === "OPTIONS" &&
+			request.headers.has("access-control-request-method");
+		const requestViolations =
+			this.#contract?.describesUrl(request.url) && !isPreflight
+				? this.#contract.validateRequest(
+						clonedRequest,
+						requestPattern.body,
+					)
+				: [];
+
+		// each request in a JSON-RPC batch is matched on its own
+		if (isJsonRpcBatch(requestPattern.body)) {
+			const result = await this.#traceReceiveBatch(
+				clonedRequest,
+				requestPattern,
+				PreferredResponse,
+				requestViolations,
+			);
+
+			if (result) {
+				if (!result.response) {
+					assertNoContractViolations(
+						clonedRequest,
+						requestPattern.body,
+						requestViolations,
+					);
+				}
+
+				return result;
+			}
+		}
+
 		// save to avoid multiple calculations
-		const routes = this.#unmatchedRoutes;
+		const routes = this.#availableRoutes;
 		const traces = [];
 
 		/*
 		 * Search for the first route that matches the request and return
-		 * the response. When there's a match, remove the route from the
-		 * list of routes so it can't be matched again.
+		 * the response. When there's a match, increment the route's call
+		 * count so it can't be matched more times than allowed.
 		 */
 
 		for (let i = 0; i < routes.length; i++) {
 			const route = routes[i];
 			const trace = route.traceMatches(requestPattern);
 
-			if (trace.matches) {
-				this.#matched.add(route);
+			// an exhausted sequence is traced with the exhausted routes
+			if (trace.matches && !route.prepareResponse()) {
+				continue;
+			}
 
-				/*
-				 * Response constructor doesn't allow setting the URL so we
-				 * need to set it after creating the response.
-				 */
-				const response = await route.createResponse(
+			if (trace.matches) {
+				return this.#respond(route, trace, {
 					clonedRequest,
+					requestPattern,
 					PreferredResponse,
-				);
-
-				return { response, traces };
+					timestamp,
+					traces,
+					requestViolations,
+				});
 			}
 
 			traces.push({ ...trace, title: route.toString() });
 		}
 
+		if (this.#autoMethods) {
+			const result = await this.#respondAutomatically(routes, {
+				clonedRequest,
+				requestPattern,
+				PreferredResponse,
+				timestamp,
+				traces,
+				requestViolations,
+			});
+
+			if (result) {
+				return result;
+			}
+		}
+
 		/*
 		 * If we made it here, then no route matched the request. We need to
-		 * now check if any called routes match the request and produce a trace
-		 * for each of them.
+		 * now check if any exhausted routes match the request and produce a
+		 * trace for each of them.
 		 */
-		const matchedRoutes = this.#matchedRoutes;
+		const exhaustedRoutes = this.#exhaustedRoutes;
 
-		for (let i = 0; i < matchedRoutes.length; i++) {
-			const route = matchedRoutes[i];
+		for (let i = 0; i < exhaustedRoutes.length; i++) {
+			const route = exhaustedRoutes[i];
 			const trace = route.traceMatches(requestPattern);
 
-			trace.messages.push("❌ Route was already called.");
+			if (route.outOfResponses) {
+				trace.messages.push(
+					`❌ Response sequence exhausted after ${route.step} responses.`,
+				);
+			} else {
+				trace.messages.push(
+					route.times === 1
+						? "❌ Route was already called."
+						: `❌ Route exhausted after ${route.times} calls.`,
+				);
+			}
 
 			traces.push({ ...trace, title: route.toString() });
 		}
 
+		// requests that violate the contract fail even when no route matches
+		assertNoContractViolations(
+			clonedRequest,
+			requestPattern.body,
+			requestViolations,
+		);
+
 		return { response: undefined, traces };
 	}
 
@@ -665,21 +2275,84 @@ export class MockServer {
 			requestPattern.url = new URL(requestPattern.url, this.baseUrl).href;
 		}
 
-		// Create a minimal Request-like object for the error
+		/*
+		 * Create a minimal Request-like object for the error. Any matchers
+		 * in the headers are converted into their descriptions and header
+		 * predicates are left out.
+		 */
 		const mockRequest = new Request(requestPattern.url, {
 			method: requestPattern.method,
-			headers: new Headers(requestPattern.headers || {}),
+			headers: new Headers(
+				typeof requestPattern.headers === "function"
+					? {}
+					: /** @type {Record<string, string>} */ (
+							requestPattern.headers || {}
+						),
+			),
 		});
 
 		throw new NoRouteMatchedError(mockRequest, null, traces);
 	}
 
 	/**
-	 * Returns the routes that have not been called.
+	 * Returns the requests that have been responded to, in the order received.
+	 * @returns {Array<RecordedCall>} The recorded calls.
+	 */
+	get calls() {
+		return [...this.#calls];
+	}
+
+	/**
+	 * Returns the recorded calls whose requests match a request pattern.
+	 * @param {RequestPattern|string} request The request pattern to check.
+	 * @returns {Array<RecordedCall>} The matching calls.
+	 */
+	callsFor(request) {
+		const requestPattern =
+			typeof request === "string"
+				? { method: "GET", url: request }
+				: request;
+
+		assertValidRequestPattern(requestPattern);
+
+		const matcher = new RequestMatcher({
+			...requestPattern,
+			baseUrl: this.baseUrl,
+		});
+
+		return this.#calls.filter(call =>
+			matcher.matches({
+				method: call.request.method,
+				url: call.request.url,
+				headers: Object.fromEntries([
+					...call.request.headers.entries(),
+				]),
+				query: searchParamsToObject(call.query),
+				body: call.body,
+			}),
+		);
+	}
+
+	/**
+	 * Returns the routes that have not been called as many times as expected.
+	 * Routes that have been called fewer times than their limit include the
+	 * number of calls received.
 	 * @returns {string[]} The unmatched routes.
 	 */
 	get uncalledRoutes() {
-		return this.#unmatchedRoutes.map(route => route.toString());
+		return this.#partiallyCalledRoutes.map(route => {
+			const callCount = this.#getCallCount(route);
+
+			if (route.sequenced) {
+				return route.sequenceLength === undefined
+					? `${route} (served ${route.step} responses)`
+					: `${route} (served ${route.step} of ${route.sequenceLength} responses)`;
+			}
+
+			return route.times > 1 && !route.persistent
+				? `${route} (called ${callCount} of ${route.times} times)`
+				: route.toString();
+		});
 	}
 
 	/**
@@ -687,7 +2360,7 @@ export class MockServer {
 	 * @returns {boolean} `true` if all routes have been called, `false` if not.
 	 */
 	allRoutesCalled() {
-		return this.#unmatchedRoutes.length === 0;
+		return this.#partiallyCalledRoutes.length === 0;
 	}
 
 	/**
@@ -696,6 +2369,9 @@ export class MockServer {
 	 */
 	clear() {
 		this.#routes = [];
+		this.#calls = [];
+		this.#operations.clear();
+		this.#operationOverrides.clear();
 	}
 
 	/**
@@ -704,13 +2380,56 @@ export class MockServer {
 	 * @throws {Error} If any routes have not been called.
 	 */
 	assertAllRoutesCalled() {
-		if (this.#unmatchedRoutes.length > 0) {
-			const urls = this.#unmatchedRoutes.map(route => route.toString());
+		if (this.#partiallyCalledRoutes.length > 0) {
+			const urls = this.uncalledRoutes;
 			throw new Error(
 				`Not all routes were called. Uncalled routes::\n\n${urls.join("\n")}`,
 			);
 		}
 	}
 
+	/**
+	 * Asserts that a request pattern was called a specific number of times.
+	 * @param {RequestPattern|string} request The request pattern to check.
+	 * @param {number} times The expected number of calls.
+	 * @returns {void}
+	 * @throws {CallAssertionError} If the number of calls is different.
+	 */
+	assertCalledTimes(request, times) {
+		assertCallCount(
+			describeRequestPattern(request, this.baseUrl),
+			this.callsFor(request),
+			this.#calls,
+			times,
+		);
+	}
+
+	/**
+	 * Asserts that a request pattern was never called.
+	 * @param {RequestPattern|string} request The request pattern to check.
+	 * @returns {void}
+	 * @throws {CallAssertionError} If the request pattern was called.
+	 */
+	assertNotCalled(request) {
+		this.assertCalledTimes(request, 0);
+	}
+
+	/**
+	 * Asserts that request patterns were called in the given order. Other
+	 * requests may have been received in between.
+	 * @param {Array<RequestPattern|string>} requests The request patterns in the expected order.
+	 * @returns {void}
+	 * @throws {CallAssertionError} If the requests weren't called in order.
+	 */
+	assertCalledInOrder(requests) {
+		assertCallOrder(
+			requests.map(request =>
+				describeRequestPattern(request, this.baseUrl),
+			),
+			requests.map(request => this.callsFor(request)),
+			this.#calls,
+		);
+	}
+
 	// #endregion: Testing Helpers
 }
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Utilities for simulating network failures.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").NetworkErrorType} NetworkErrorType */
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
+
+/**
+ * @typedef {Object} UndiciErrorInfo
+ * @property {string} name The name of the error.
+ * @property {string} code The error code.
+ * @property {(hostname:string) => string} message Creates the error message.
+ * @property {string} [syscall] The system call that failed.
+ * @property {number} [errno] The system error number.
+ */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The details of the errors that undici produces for each network failure.
+ * @type {Map<string, UndiciErrorInfo>}
+ */
+const undiciErrors = new Map(
+	/** @type {Array<[string, UndiciErrorInfo]>} */ ([
+		[
+			"connection-reset",
+			{
+				name: "SocketError",
+				code: "UND_ERR_SOCKET",
+				message: () => "other side closed",
+			},
+		],
+		[
+			"dns",
+			{
+				name: "Error",
+				code: "ENOTFOUND",
+				message: hostname => `getaddrinfo ENOTFOUND ${hostname}`,
+				syscall: "getaddrinfo",
+				errno: -3008,
+			},
+		],
+		[
+			"timeout",
+			{
+				name: "ConnectTimeoutError",
+				code: "UND_ERR_CONNECT_TIMEOUT",
+				message: () => "Connect Timeout Error",
+			},
+		],
+		[
+			"offline",
+			{
+				name: "Error",
+				code: "ENETUNREACH",
+				message: () => "connect ENETUNREACH",
+				syscall: "connect",
+				errno: -101,
+			},
+		],
+	]),
+);
+
+// the network errors that can be simulated
+export const networkErrorTypes = new Set(undiciErrors.keys());
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if the code is running in Node.js (or a runtime that emulates
+ * Node.js) as opposed to a browser.
+ * @returns {boolean} `true` if running in Node.js, `false` otherwise.
+ */
+function isNodeRuntime() {
+	const { process } = /** @type {any} */ (globalThis);
+	return Boolean(process?.versions?.node);
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents a simulated network failure for a request. This is thrown by
+ * a server and converted into a runtime-specific error by the caller.
+ * @extends {Error}
+ */
+export class NetworkError extends Error {
+	/**
+	 * The recorded call for the request, set by the server that received it.
+	 * @type {RecordedCall|undefined}
+	 */
+	call;
+
+	/**
+	 * Creates a new NetworkError instance.
+	 * @param {NetworkErrorType} type The type of network failure.
+	 * @param {string} url The URL of the request that failed.
+	 * @throws {TypeError} If the type isn't a known network error.
+	 */
+	constructor(type, url) {
+		if (!networkErrorTypes.has(type)) {
+			throw new TypeError(
+				`Network error must be one of: ${[...networkErrorTypes].join(", ")}.`,
+			);
+		}
+
+		super(`Simulated ${type} network error for ${url}.`);
+		this.name = "NetworkError";
+		this.type = type;
+		this.url = url;
+	}
+}
+
+/**
+ * Creates an error in the same shape as undici uses for network failures.
+ * @param {NetworkError} networkError The network error to convert.
+ * @returns {Error & {code:string}} The undici-style error.
+ */
+export function createUndiciError(networkError) {
+	const info = /** @type {UndiciErrorInfo} */ (
+		undiciErrors.get(networkError.type)
+	);
+	const { hostname } = new URL(networkError.url);
+	const error = Object.assign(new Error(info.message(hostname)), {
+		code: info.code,
+	});
+
+	error.name = info.name;
+
+	if (info.syscall) {
+		Object.assign(error, { syscall: info.syscall, errno: info.errno });
+	}
+
+	// DNS lookup failures include the hostname that couldn't be resolved
+	if (info.syscall === "getaddrinfo") {
+		Object.assign(error, { hostname });
+	}
+
+	return error;
+}
+
+/**
+ * Creates the error that `fetch()` rejects with for a network failure. In
+ * Node.js, this is a `TypeError` with the message "fetch failed" and a
+ * `cause` containing the undici error. In browsers, this is a `TypeError`
+ * with the message "Failed to fetch".
+ * @param {NetworkError} networkError The network error to convert.
+ * @returns {TypeError} The error to reject with.
+ */
+export function createFetchError(networkError) {
+	if (isNodeRuntime()) {
+		return new TypeError("fetch failed", {
+			cause: createUndiciError(networkError),
+		});
+	}
+
+	return new TypeError("Failed to fetch");
+}
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Utilities for working with OpenAPI 3.x documents.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { verbs } from "./http.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").ResponsePattern} ResponsePattern */
+
+/**
+ * @typedef {Object} OpenAPIOperation
+ * @property {string} key The operation ID or, if there isn't one, the method and path (e.g., "GET /users/{id}").
+ * @property {string} method The HTTP method for the operation.
+ * @property {string} path The path template from the document (e.g., "/users/{id}").
+ * @property {string} url The path as a URL pattern (e.g., "/users/:id").
+ * @property {Record<string, any>} operation The operation object.
+ * @property {Record<string, any>} pathItem The path item containing the operation.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Chooses which of an operation's responses to use as the default. The
+ * lowest explicit 2xx status is preferred, then a `2XX` range, then the
+ * `default` response, then the lowest status of any kind.
+ * @param {Array<string>} statuses The keys of the responses object.
+ * @returns {string|undefined} The key of the response to use.
+ */
+function chooseResponseKey(statuses) {
+	const explicit = statuses
+		.filter(status => /^\d{3}$/u.test(status))
+		.sort((a, b) => Number(a) - Number(b));
+
+	return (
+		explicit.find(status => status.startsWith("2")) ??
+		statuses.find(status => status.toUpperCase() === "2XX") ??
+		statuses.find(status => status === "default") ??
+		explicit[0]
+	);
+}
+
+/**
+ * Finds the example value for a media type object.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @param {Record<string, any>} media The media type object.
+ * @returns {any} The example value or `undefined` if there isn't one.
+ */
+function getMediaExample(document, media) {
+	if ("example" in media) {
+		return media.example;
+	}
+
+	if (media.examples && typeof media.examples === "object") {
+		const [first] = Object.values(media.examples);
+
+		if (first) {
+			return resolveReference(document, first).value;
+		}
+	}
+
+	return getSchemaExample(document, media.schema);
+}
+
+/**
+ * Finds the example value for a schema.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @param {Record<string, any>|undefined} schema The schema object.
+ * @returns {any} The example value or `undefined` if there isn't one.
+ */
+function getSchemaExample(document, schema) {
+	if (!schema) {
+		return undefined;
+	}
+
+	const resolved = resolveReference(document, schema);
+
+	if ("example" in resolved) {
+		return resolved.example;
+	}
+
+	// OpenAPI 3.1 uses JSON Schema's examples array
+	if (Array.isArray(resolved.examples)) {
+		return resolved.examples[0];
+	}
+
+	return undefined;
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a media type contains JSON.
+ * @param {string} mediaType The media type to check.
+ * @returns {boolean} `true` if the media type is JSON, `false` if not.
+ */
+export function isJsonMediaType(mediaType) {
+	const [essence] = mediaType.split(";");
+	return /^application\/(?:[\w.-]+\+)?json$/iu.test(essence.trim());
+}
+
+/**
+ * Asserts that a value is an OpenAPI 3.x document.
+ * @param {unknown} document The value to check.
+ * @returns {asserts document is Record<string, any>}
+ * @throws {TypeError} If the value isn't an OpenAPI 3.x document.
+ */
+export function assertValidOpenAPIDocument(document) {
+	if (!document || typeof document !== "object") {
+		throw new TypeError("OpenAPI document must be an object.");
+	}
+
+	const { openapi, paths } = /** @type {Record<string, any>} */ (document);
+
+	if (typeof openapi !== "string" || !openapi.startsWith("3.")) {
+		throw new TypeError("OpenAPI document must be version 3.x.");
+	}
+
+	if (!paths || typeof paths !== "object") {
+		throw new TypeError("OpenAPI document must include a paths object.");
+	}
+}
+
+/**
+ * Follows a local `$ref` (e.g., "#/components/schemas/User") until a value
+ * without a `$ref` is found. Values without a `$ref` are returned as-is.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @param {any} value The value that may contain a reference.
+ * @returns {any} The referenced value.
+ * @throws {TypeError} If a reference can't be resolved.
+ */
+export function resolveReference(document, value) {
+	const seen = new Set();
+	let current = value;
+
+	while (current && typeof current === "object" && "$ref" in current) {
+		const ref = current.$ref;
+
+		if (typeof ref !== "string" || !ref.startsWith("#/")) {
+			throw new TypeError(
+				`OpenAPI reference ${ref} must be a local reference.`,
+			);
+		}
+
+		if (seen.has(ref)) {
+			throw new TypeError(`OpenAPI reference ${ref} is circular.`);
+		}
+
+		seen.add(ref);
+
+		current = ref
+			.slice(2)
+			.split("/")
+			.map(part => part.replace(/~1/gu, "/").replace(/~0/gu, "~"))
+			.reduce(
+				(target, part) =>
+					target && typeof target === "object"
+						? target[part]
+						: undefined,
+				/** @type {any} */ (document),
+			);
+
+		if (current === undefined) {
+			throw new TypeError(`OpenAPI reference ${ref} could not be found.`);
+		}
+	}
+
+	return current;
+}
+
+/**
+ * Converts an OpenAPI path template into a URL pattern. Template parameter
+ * names are converted into valid URL pattern names by replacing any
+ * characters that aren't letters, numbers, or underscores with underscores.
+ * @param {string} path The path template (e.g., "/users/{id}").
+ * @returns {string} The URL pattern (e.g., "/users/:id").
+ */
+export function toURLPattern(path) {
+	return path.replace(
+		/\{([^}]+)\}/gu,
+		(match, name) => `:${toParamName(name)}`,
+	);
+}
+
+/**
+ * Converts an OpenAPI parameter name into the name used in URL patterns.
+ * @param {string} name The parameter name.
+ * @returns {string} The URL pattern parameter name.
+ */
+export function toParamName(name) {
+	return name.replace(/\W/gu, "_");
+}
+
+/**
+ * Determines the base URL for an OpenAPI document from its first server,
+ * replacing any server variables with their defaults.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @returns {string|undefined} The base URL or `undefined` if there isn't an absolute server URL.
+ */
+export function getServerUrl(document) {
+	const [server] = document.servers ?? [];
+
+	if (!server || typeof server.url !== "string") {
+		return undefined;
+	}
+
+	const url = server.url.replace(
+		/\{([^}]+)\}/gu,
+		(/** @type {string} */ match, /** @type {string} */ name) =>
+			server.variables?.[name]?.default ?? match,
+	);
+
+	try {
+		return new URL(url).href;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Returns every operation in an OpenAPI document in the order they appear.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @returns {Array<OpenAPIOperation>} The operations.
+ */
+export function getOperations(document) {
+	const operations = [];
+
+	for (const [path, value] of Object.entries(document.paths)) {
+		const pathItem = resolveReference(document, value);
+
+		for (const method of verbs) {
+			const operation = pathItem[method.toLowerCase()];
+
+			if (!operation) {
+				continue;
+			}
+
+			operations.push({
+				key: operation.operationId ?? `${method} ${path}`,
+				method,
+				path,
+				url: toURLPattern(path),
+				operation,
+				pathItem,
+			});
+		}
+	}
+
+	return operations;
+}
+
+/**
+ * Creates a response pattern from the examples in an operation's responses.
+ * The first media type is used unless there's a JSON media type, and
+ * response headers are included when they have examples.
+ * @param {Record<string, any>} document The OpenAPI document.
+ * @param {Record<string, any>} operation The operation object.
+ * @returns {ResponsePattern} The response pattern.
+ */
+export function createExampleResponse(document, operation) {
+	const responses = operation.responses ?? {};
+	const key = chooseResponseKey(Object.keys(responses));
+
+	if (key === undefined) {
+		return { status: 200 };
+	}
+
+	const status = /^\d{3}$/u.test(key) ? Number(key) : 200;
+	const response = resolveReference(document, responses[key]);
+
+	/** @type {Record<string, string>} */
+	const headers = {};
+
+	for (const [name, value] of Object.entries(response.headers ?? {})) {
+		const header = resolveReference(document, value);
+		const example =
+			"example" in header
+				? header.example
+				: getSchemaExample(document, header.schema);
+
+		if (example !== undefined) {
+			headers[name.toLowerCase()] = String(example);
+		}
+	}
+
+	/** @type {ResponsePattern} */
+	const pattern = { status, headers };
+	const mediaTypes = Object.keys(response.content ?? {});
+	const mediaType =
+		mediaTypes.find(type => isJsonMediaType(type)) ?? mediaTypes[0];
+
+	if (!mediaType) {
+		return pattern;
+	}
+
+	headers["content-type"] = mediaType;
+
+	const example = getMediaExample(document, response.content[mediaType]);
+
+	if (example === undefined) {
+		return pattern;
+	}
+
+	if (isJsonMediaType(mediaType)) {
+		pattern.body =
+			example && typeof example === "object"
+				? example
+				: JSON.stringify(example);
+	} else {
+		pattern.body =
+			typeof example === "string" ? example : JSON.stringify(example);
+	}
+
+	return pattern;
+}
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview The Recorder class.
+ * @author Nicholas C. Zakas
+ */
+
+/* global Response */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { MockServer } from "./mock-server.js";
+import { assertValidHAR, createHAR } from "./har.js";
+import { getBody, stringifyRequest } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
+/** @typedef {import("./types.js").RecorderOptions} RecorderOptions */
+/** @typedef {import("./har.js").HARHeader} HARHeader */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The modes a recorder can run in.
+ * @type {Set<string>}
+ */
+const recorderModes = new Set(["record", "replay"]);
+
+/**
+ * The headers that contain credentials and are redacted by default.
+ * @type {Array<string>}
+ */
+const credentialHeaders = [
+	"authorization",
+	"cookie",
+	"proxy-authorization",
+	"set-cookie",
+];
+
+/**
+ * The value that replaces redacted header values.
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * The values of the `CI` environment variable that don't mean CI.
+ * @type {Set<string>}
+ */
+const notCIValues = new Set(["", "0", "false"]);
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if the code is running in continuous integration by checking
+ * the `CI` environment variable that most CI services set.
+ * @returns {boolean} `true` if the `CI` environment variable is set.
+ */
+function isCI() {
+	// process only exists in server-side runtimes
+	const ci = /** @type {any} */ (globalThis).process?.env?.CI;
+
+	return typeof ci === "string" && !notCIValues.has(ci.toLowerCase());
+}
+
+/**
+ * Replaces the values of redacted headers.
+ * @param {Array<HARHeader>} headers The HAR headers.
+ * @param {Set<string>} redactHeaders The lowercase names of headers to redact.
+ * @returns {Array<HARHeader>} The headers with redacted values.
+ */
+function redact(headers, redactHeaders) {
+	return headers.map(({ name, value }) => ({
+		name,
+		value: redactHeaders.has(name.toLowerCase()) ? REDACTED : value,
+	}));
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents an error that occurs when a recorder in replay mode receives a
+ * request that isn't in its recording.
+ * @extends {Error}
+ */
+export class MissingRecordingError extends Error {
+	/**
+	 * Creates a new MissingRecordingError instance.
+	 * @param {Request} request The request that wasn't found.
+	 * @param {string|any|FormData|null} body The body of the request.
+	 */
+	constructor(request, body) {
+		const message = `No recording found for ${request.method} ${request.url}.
+
+The recorder is in replay mode, so the request wasn't sent to the upstream server. Run the tests in record mode to add the request to the recording.
+
+Full Request:
+
+${stringifyRequest(request, body)}`;
+
+		super(message);
+		this.name = "MissingRecordingError";
+		this.request = request;
+		this.body = body;
+	}
+}
+
+/**
+ * Records requests that no route matched by sending them to a real server,
+ * and replays those recordings later without the real server.
+ */
+export class Recorder {
+	/**
+	 * The mode the recorder is running in.
+	 * @type {"record"|"replay"}
+	 */
+	#mode;
+
+	/**
+	 * The fetch function used to send requests to the upstream server.
+	 * @type {typeof fetch|undefined}
+	 */
+	#fetch;
+
+	/**
+	 * The entries from the recording passed to the constructor.
+	 * @type {Array<Record<string, any>>}
+	 */
+	#entries;
+
+	/**
+	 * The entries for the calls that were sent to the upstream server.
+	 * @type {Array<Record<string, any>>}
+	 */
+	#recordedEntries = [];
+
+	/**
+	 * The lowercase names of headers whose values are redacted.
+	 * @type {Set<string>}
+	 */
+	#redactHeaders;
+
+	/**
+	 * The options used to create the replay servers.
+	 * @type {{matchHeaders:boolean,ignoreHeaders:Array<string>}}
+	 */
+	#replayOptions;
+
+	/**
+	 * The servers that replay the recording, one per origin.
+	 * @type {Array<MockServer>}
+	 */
+	#servers = [];
+
+	/**
+	 * The calls that were sent to the upstream server.
+	 * @type {Array<RecordedCall>}
+	 */
+	#calls = [];
+
+	/**
+	 * Creates a new instance.
+	 * @param {RecorderOptions} [options] The options for the recorder.
+	 * @throws {TypeError} If the options are invalid.
+	 */
+	constructor({
+		ci = isCI(),
+		mode = ci ? "replay" : "record",
+		recording,
+		fetch,
+		redactHeaders = credentialHeaders,
+		matchHeaders = false,
+		ignoreHeaders = [],
+	} = {}) {
+		if (typeof ci !== "boolean") {
+			throw new TypeError("Recorder ci must be a boolean.");
+		}
+
+		if (!recorderModes.has(mode)) {
+			throw new TypeError(
+				`Recorder mode must be one of: ${[...recorderModes].join(", ")}.`,
+			);
+		}
+
+		if (fetch !== undefined && typeof fetch !== "function") {
+			throw new TypeError("Recorder fetch must be a function.");
+		}
+
+		if (recording !== undefined) {
+			assertValidHAR(recording);
+		}
+
+		this.#mode = mode;
+		this.#fetch = fetch;
+		this.#entries = recording?.log.entries ?? [];
+		this.#redactHeaders = new Set(
+			redactHeaders.map(name => name.toLowerCase()),
+		);
+
+		// redacted values can't match the real values so never match them
+		this.#replayOptions = {
+			matchHeaders,
+			ignoreHeaders: [...ignoreHeaders, ...redactHeaders],
+		};
+
+		this.reset();
+	}
+
+	/**
+	 * The mode the recorder is running in.
+	 * @type {"record"|"replay"}
+	 */
+	get mode() {
+		return this.#mode;
+	}
+
+	/**
+	 * Responds to a request using the recording if it contains the request.
+	 * Otherwise, in record mode, the request is sent to the upstream server
+	 * and the response is recorded.
+	 * @param {Request} request The request to respond to.
+	 * @param {typeof Response} [PreferredResponse] The Response constructor to use for replayed responses.
+	 * @param {typeof fetch} [upstreamFetch] The fetch function to use when the recorder wasn't created with one.
+	 * @returns {Promise<{response:Response,call:RecordedCall}>} The response and the recorded call.
+	 * @throws {MissingRecordingError} If the recorder is in replay mode and the request isn't in the recording.
+	 * @throws {TypeError} If there's no fetch function to send the request with.
+	 */
+	async receive(request, PreferredResponse = Response, upstreamFetch) {
+		for (const server of this.#servers) {
+			const { response, call } = await server.traceReceive(
+				request.clone(),
+				PreferredResponse,
+			);
+
+			if (response && call) {
+				return { response, call };
+			}
+		}
+
+		if (this.#mode === "replay") {
+			throw new MissingRecordingError(
+				request,
+				await getBody(request.clone()),
+			);
+		}
+
+		// looked up now so a mocked global fetch() is never used
+		const upstream = this.#fetch ?? upstreamFetch ?? globalThis.fetch;
+
+		if (typeof upstream !== "function") {
+			throw new TypeError("Recorder fetch must be a function.");
+		}
+
+		const timestamp = Date.now();
+		const recordedRequest = request.clone();
+
+		// redirects are followed by the caller so each step is recorded
+		const response = await upstream(request.clone(), {
+			redirect: "manual",
+		});
+
+		/** @type {RecordedCall} */
+		const call = {
+			request: recordedRequest,
+			body: await getBody(recordedRequest.clone()),
+			route: `📼 [Recorded: ${request.method} ${request.url} -> ${response.status}]`,
+			params: {},
+			query: new URL(request.url).searchParams,
+			status: response.status,
+			timestamp,
+			duration: Date.now() - timestamp,
+			response: response.clone(),
+		};
+
+		this.#calls.push(call);
+
+		// replay the new recording if the same request is sent again
+		const [entry] = (await createHAR([call])).log.entries;
+		this.#recordedEntries.push(entry);
+		this.#servers.push(
+			MockServer.fromHAR(
+				{ log: { entries: [entry] } },
+				{
+					...this.#replayOptions,
+					baseUrl: new URL(request.url).origin,
+				},
+			),
+		);
+
+		return { response, call };
+	}
+
+	/**
+	 * Creates a HAR 1.2 document containing the recording passed to the
+	 * constructor followed by every request that was sent to the upstream
+	 * server. The values of redacted headers are replaced.
+	 * @returns {Promise<Record<string, any>>} The HAR document.
+	 */
+	async toHAR() {
+		const har = await createHAR(this.#calls);
+
+		for (const entry of har.log.entries) {
+			entry.request.headers = redact(
+				entry.request.headers,
+				this.#redactHeaders,
+			);
+			entry.response.headers = redact(
+				entry.response.headers,
+				this.#redactHeaders,
+			);
+		}
+
+		har.log.entries = [...this.#entries, ...har.log.entries];
+
+		return har;
+	}
+
+	/**
+	 * Allows every recorded response to be replayed again. Each recorded
+	 * response is otherwise replayed only once, in the order it was recorded.
+	 * @returns {void}
+	 */
+	reset() {
+		const entries = [...this.#entries, ...this.#recordedEntries];
+		const origins = new Set(
+			entries.map(entry => new URL(entry.request.url).origin),
+		);
+
+		this.#servers = [...origins].map(origin =>
+			MockServer.fromHAR(
+				{ log: { entries } },
+				{ ...this.#replayOptions, baseUrl: origin },
+			),
+		);
+	}
+}
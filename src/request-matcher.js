@@ -3,13 +3,21 @@
  * @author Nicholas C. Zakas
  */
 
-/* globals FormData, URLPattern, URLSearchParams */
+/* globals Blob, FormData, URLPattern, URLSearchParams */
 
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
 import "urlpattern-polyfill";
+import { Matcher, findDifferences, match, valuesMatch } from "./matchers.js";
+import { describeBlob, isPlainObject, searchParamsToObject } from "./util.js";
+import {
+	describeGraphQLPattern,
+	normalizeDocument,
+	parseGraphQLRequest,
+} from "./graphql.js";
+import { isJsonRpcRequest } from "./jsonrpc.js";
 
 //-----------------------------------------------------------------------------
 // Type Definitions
@@ -17,27 +25,166 @@ import "urlpattern-polyfill";
 
 /** @typedef {import("./types.js").RequestPattern} RequestPattern */
 /** @typedef {import("./types.js").HttpBody} HttpBody */
+/** @typedef {import("./types.js").StringPattern} StringPattern */
+/** @typedef {import("./types.js").RequestPredicate} RequestPredicate */
+/** @typedef {import("./types.js").RequestPredicateInfo} RequestPredicateInfo */
+/** @typedef {import("./types.js").QueryPattern} QueryPattern */
+/** @typedef {import("./types.js").HeaderPattern} HeaderPattern */
+/** @typedef {import("./types.js").GraphQLPattern} GraphQLPattern */
+/** @typedef {import("./types.js").JsonRpcPattern} JsonRpcPattern */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+/**
+ * The methods that GraphQL-over-HTTP requests can use.
+ */
+const graphqlMethods = ["GET", "POST"];
 
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
 
 /**
- * Deeply compares two objects. `actual` is considered to match `expected`
- * if all properties in `expected` are present in `actual` and have the same
- * value. All properties in `actual` need not be present in `expected`.
- * @param {Record<string, any>} actual The first object to compare.
- * @param {Record<string, any>} expected The second object to compare.
- * @returns {boolean} True if the objects are deeply equal, false if not.
+ * Formats a query string or form parameter for a trace message. Arrays are
+ * formatted as repeated parameters.
+ * @param {string} key The name of the parameter.
+ * @param {unknown} value The value of the parameter.
+ * @returns {string} The formatted parameter.
  */
-function deepCompare(actual, expected) {
-	return Object.entries(expected).every(([key, value]) => {
-		if (value && typeof value === "object") {
-			return deepCompare(actual[key], value);
-		} else {
-			return value === actual[key];
+function formatParam(key, value) {
+	if (Array.isArray(value)) {
+		return value.length
+			? value.map(item => formatParam(key, item)).join("&")
+			: `no ${key}`;
+	}
+
+	return `${key}=${value instanceof Blob ? describeBlob(value) : value}`;
+}
+
+/**
+ * Determines if a header value matches the value from a request pattern.
+ * Regular expressions are tested against the value and arrays match a
+ * comma-separated list of values in any order.
+ * @param {string|undefined} actual The header value from the request.
+ * @param {HeaderPattern[string]} expected The header value from the pattern.
+ * @returns {boolean} `true` if the header matches, `false` if not.
+ */
+function headerMatches(actual, expected) {
+	if (expected instanceof RegExp) {
+		// avoid state from global and sticky regular expressions
+		expected.lastIndex = 0;
+		return actual !== undefined && expected.test(actual);
+	}
+
+	if (Array.isArray(expected)) {
+		const actualValues =
+			actual === undefined
+				? []
+				: actual.split(",").map(value => value.trim());
+
+		return valuesMatch(actualValues, match.arrayInAnyOrder(expected));
+	}
+
+	return valuesMatch(actual, expected);
+}
+
+/**
+ * Converts form data into an object. Fields that appear more than once are
+ * converted into an array of values. When `matchFiles` is `true`, files are
+ * replaced with matchers that check the name, type, and size of a file.
+ * @param {FormData} formData The form data to convert.
+ * @param {boolean} [matchFiles=false] `true` to replace files with matchers.
+ * @returns {Record<string, unknown>} The form data object.
+ */
+function formDataToObject(formData, matchFiles = false) {
+	/** @type {Record<string, unknown>} */
+	const fields = {};
+
+	for (const key of formData.keys()) {
+		if (key in fields) {
+			continue;
 		}
-	});
+
+		const values = formData.getAll(key).map(value =>
+			matchFiles && value instanceof Blob
+				? match.file({
+						name: value.name,
+						type: value.type,
+						size: value.size,
+					})
+				: value,
+		);
+
+		fields[key] = values.length === 1 ? values[0] : values;
+	}
+
+	return fields;
+}
+
+/**
+ * Converts a query string value into an array of values.
+ * @param {unknown} value The value to convert.
+ * @returns {Array<unknown>} The values.
+ */
+function toArray(value) {
+	if (value === undefined) {
+		return [];
+	}
+
+	return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Compares query string or form parameters with the parameters from a
+ * request pattern. Arrays in the pattern match every value of a repeated
+ * parameter.
+ * @param {Record<string, unknown>} actual The parameters from the request.
+ * @param {Record<string, unknown>} expected The parameters from the pattern.
+ * @param {boolean} exact `true` if the request can't contain other parameters.
+ * @returns {string|undefined} A description of the first difference or `undefined` if the parameters match.
+ */
+function compareParams(actual, expected, exact) {
+	for (const [key, value] of Object.entries(expected)) {
+		const actualValue = Array.isArray(value)
+			? toArray(actual[key])
+			: actual[key];
+
+		if (!valuesMatch(actualValue, value)) {
+			return `Expected ${formatParam(key, value)} but received ${formatParam(key, actual[key])}.`;
+		}
+	}
+
+	if (exact) {
+		for (const [key, value] of Object.entries(actual)) {
+			if (!Object.hasOwn(expected, key)) {
+				return `Expected no ${key} but received ${formatParam(key, value)}.`;
+			}
+		}
+	}
+
+	return undefined;
+}
+
+/**
+ * Calls a predicate from a request pattern and determines why it doesn't
+ * match. A predicate that returns a string doesn't match and the string
+ * explains why.
+ * @param {Function} predicate The predicate to call.
+ * @param {unknown} value The value to pass to the predicate.
+ * @param {RequestPredicateInfo} info The information about the request.
+ * @param {string} defaultMessage The message to use when the predicate returns a falsy value.
+ * @returns {string|undefined} The trace message when the predicate doesn't match or `undefined` when it does.
+ */
+function checkPredicate(predicate, value, info, defaultMessage) {
+	const result = predicate(value, info);
+
+	if (typeof result === "string") {
+		return `❌ ${result || defaultMessage}`;
+	}
+
+	return result ? undefined : `❌ ${defaultMessage}`;
 }
 
 //-----------------------------------------------------------------------------
@@ -69,32 +216,68 @@ export class RequestMatcher {
 
 	/**
 	 * The headers to match.
-	 * @type {Record<string, string>}
+	 * @type {HeaderPattern | RequestPredicate}
 	 */
 	#headers;
 
 	/**
 	 * The query string to match.
-	 * @type {Record<string, string> | undefined}
+	 * @type {QueryPattern | RequestPredicate | undefined}
 	 */
 	#query;
 
+	/**
+	 * Determines if the query string may contain parameters that aren't in
+	 * the pattern.
+	 * @type {"partial" | "exact"}
+	 */
+	#queryMatch;
+
 	/**
 	 * The URL parameters to match.
-	 * @type {Record<string, string> | undefined}
+	 * @type {Record<string, StringPattern> | undefined}
 	 */
 	#params;
 
+	/**
+	 * Determines if the body must match exactly or only partially.
+	 * @type {"partial" | "exact"}
+	 */
+	#bodyMatch;
+
+	/**
+	 * The predicate to check after all other checks pass.
+	 * @type {RequestPredicate | undefined}
+	 */
+	#where;
+
+	/**
+	 * The GraphQL operation to match.
+	 * @type {GraphQLPattern | undefined}
+	 */
+	#graphql;
+
+	/**
+	 * The JSON-RPC request to match.
+	 * @type {JsonRpcPattern | undefined}
+	 */
+	#jsonrpc;
+
 	/**
 	 * Creates a new instance.
 	 * @param {object} options The options for the route.
 	 * @param {string} options.method The method to match.
 	 * @param {string} options.url The URL to match.
 	 * @param {string} options.baseUrl The base URL to prepend to the url.
-	 * @param {HttpBody} [options.body] The body to match.
-	 * @param {Record<string, string>} [options.headers] The headers to match.
-	 * @param {Record<string, string>} [options.query] The query string to match.
-	 * @param {Record<string, string>} [options.params] The URL parameters to match.
+	 * @param {HttpBody|RequestPredicate} [options.body] The body to match.
+	 * @param {HeaderPattern|RequestPredicate} [options.headers] The headers to match.
+	 * @param {QueryPattern|RequestPredicate} [options.query] The query string to match.
+	 * @param {Record<string, StringPattern>} [options.params] The URL parameters to match.
+	 * @param {RequestPredicate} [options.where] The predicate to check after all other checks pass.
+	 * @param {"partial"|"exact"} [options.bodyMatch="partial"] Determines if object and FormData bodies may contain values that aren't in the pattern.
+	 * @param {"partial"|"exact"} [options.queryMatch="partial"] Determines if the query string may contain parameters that aren't in the pattern.
+	 * @param {GraphQLPattern} [options.graphql] The GraphQL operation to match.
+	 * @param {JsonRpcPattern} [options.jsonrpc] The JSON-RPC request to match.
 	 */
 	constructor({
 		method,
@@ -104,6 +287,11 @@ export class RequestMatcher {
 		headers = {},
 		query,
 		params,
+		where,
+		bodyMatch = "partial",
+		queryMatch = "partial",
+		graphql,
+		jsonrpc,
 	}) {
 		this.#method = method;
 
@@ -115,14 +303,182 @@ export class RequestMatcher {
 		 * slash from the URL if it's present and add a trailing slash to the
 		 * base URL if it's not present.
 		 */
-		this.#pattern = new URLPattern(
+		const pattern = new URLPattern(
 			url.startsWith("/") ? url.slice(1) : url,
 			!baseUrl || baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`,
 		);
+
+		/*
+		 * A query string in the URL would otherwise need to match exactly,
+		 * including the order of parameters. Instead, the query string is
+		 * matched the same way as the `query` option, which takes precedence.
+		 */
+		if (pattern.search !== "*") {
+			const urlQuery = searchParamsToObject(
+				new URLSearchParams(pattern.search),
+			);
+
+			this.#pattern = new URLPattern({
+				protocol: pattern.protocol,
+				username: pattern.username,
+				password: pattern.password,
+				hostname: pattern.hostname,
+				port: pattern.port,
+				pathname: pattern.pathname,
+				hash: pattern.hash,
+			});
+			this.#query =
+				typeof query === "function" ? query : { ...urlQuery, ...query };
+		} else {
+			this.#pattern = pattern;
+			this.#query = query;
+		}
+
 		this.#body = body;
 		this.#headers = headers;
-		this.#query = query;
 		this.#params = params;
+		this.#where = where;
+		this.#bodyMatch = bodyMatch;
+		this.#queryMatch = queryMatch;
+		this.#graphql = graphql;
+		this.#jsonrpc = jsonrpc;
+	}
+
+	/**
+	 * Checks if the request contains the GraphQL operation from the pattern.
+	 * @param {RequestPattern} request The request to check.
+	 * @param {RequestPredicateInfo} info The information about the request.
+	 * @returns {string} The trace message.
+	 */
+	#traceGraphQL(request, info) {
+		const expected = /** @type {GraphQLPattern} */ (this.#graphql);
+		const actual = parseGraphQLRequest(request);
+
+		if (!actual) {
+			return "❌ GraphQL operation does not match. Expected GraphQL request but received none.";
+		}
+
+		const description = describeGraphQLPattern(actual);
+
+		if (
+			expected.operationType &&
+			expected.operationType !== actual.operationType
+		) {
+			return `❌ GraphQL operation type does not match. Expected ${expected.operationType} but received ${actual.operationType}.`;
+		}
+
+		if (
+			expected.operationName !== undefined &&
+			!valuesMatch(actual.operationName, expected.operationName)
+		) {
+			return `❌ GraphQL operation name does not match. Expected ${expected.operationName} but received ${actual.operationName ?? "none"}.`;
+		}
+
+		if (expected.query !== undefined) {
+			const queryMatches =
+				typeof expected.query === "string"
+					? normalizeDocument(expected.query) ===
+						normalizeDocument(actual.query)
+					: valuesMatch(actual.query, expected.query);
+
+			if (!queryMatches) {
+				return `❌ GraphQL query does not match for ${description}.`;
+			}
+		}
+
+		if (typeof expected.variables === "function") {
+			const message = checkPredicate(
+				expected.variables,
+				actual.variables,
+				info,
+				`GraphQL variables do not match predicate for ${description}.`,
+			);
+
+			if (message) {
+				return message;
+			}
+		} else if (expected.variables) {
+			const [difference] = findDifferences(
+				actual.variables,
+				expected.variables,
+			);
+
+			if (difference) {
+				return `❌ GraphQL variables do not match for ${description} at ${difference.path}. ${difference.message}`;
+			}
+		}
+
+		return `✅ GraphQL operation matches: ${description}.`;
+	}
+
+	/**
+	 * Checks if the request body is the JSON-RPC request from the pattern.
+	 * @param {RequestPattern} request The request to check.
+	 * @param {RequestPredicateInfo} info The information about the request.
+	 * @returns {string} The trace message.
+	 */
+	#traceJsonRpc(request, info) {
+		const expected = /** @type {JsonRpcPattern} */ (this.#jsonrpc);
+		const actual = request.body;
+
+		if (!isJsonRpcRequest(actual)) {
+			return `❌ JSON-RPC request does not match. Expected JSON-RPC 2.0 request but received ${Array.isArray(actual) ? "batch" : "none"}.`;
+		}
+
+		if (!valuesMatch(actual.method, expected.method)) {
+			return `❌ JSON-RPC method does not match. Expected ${expected.method} but received ${actual.method}.`;
+		}
+
+		if (typeof expected.params === "function") {
+			const message = checkPredicate(
+				expected.params,
+				actual.params,
+				info,
+				`JSON-RPC params do not match predicate for ${actual.method}.`,
+			);
+
+			if (message) {
+				return message;
+			}
+		} else if (expected.params) {
+			const [difference] = findDifferences(
+				actual.params,
+				expected.params,
+			);
+
+			if (difference) {
+				return `❌ JSON-RPC params do not match for ${actual.method} at ${difference.path}. ${difference.message}`;
+			}
+		}
+
+		return `✅ JSON-RPC method matches: ${actual.method}.`;
+	}
+
+	/**
+	 * The methods that the matcher accepts. GraphQL requests can use GET
+	 * or POST.
+	 * @type {Array<string>}
+	 */
+	get methods() {
+		return this.#graphql ? graphqlMethods : [this.#method.toUpperCase()];
+	}
+
+	/**
+	 * Extracts the URL parameters and query string from a URL.
+	 * @param {string} url The URL to check.
+	 * @returns {RequestPredicateInfo|undefined} The URL parameters and query string or `undefined` if the URL doesn't match.
+	 */
+	matchUrl(url) {
+		const urlMatch = this.#pattern.exec(url);
+
+		if (!urlMatch) {
+			return undefined;
+		}
+
+		return {
+			params: urlMatch.pathname.groups,
+			query: new URL(url).searchParams,
+		};
 	}
 
 	/**
@@ -136,7 +492,7 @@ export class RequestMatcher {
 		 * Check the URL first. This is helpful for tracing when requests don't match
 		 * because people more typically get the method wrong rather than the URL.
 		 */
-		const urlMatch = this.#pattern.exec(request.url);
+		const urlMatch = this.matchUrl(request.url);
 		if (!urlMatch) {
 			return {
 				matches: false,
@@ -147,29 +503,82 @@ export class RequestMatcher {
 		}
 
 		const messages = ["✅ URL matches."];
-		const params = urlMatch.pathname.groups;
-		const query = new URL(request.url).searchParams;
+		const { params, query } = urlMatch;
 
 		// Method check
-		if (request.method.toLowerCase() !== this.#method.toLowerCase()) {
+		const methods = this.methods;
+
+		if (!methods.includes(request.method.toUpperCase())) {
 			return {
 				matches: false,
 				messages: [
 					...messages,
-					`❌ Method does not match. Expected ${this.#method.toUpperCase()} but received ${request.method.toUpperCase()}.`,
+					`❌ Method does not match. Expected ${methods.join(" or ")} but received ${request.method.toUpperCase()}.`,
 				],
 				params,
 				query,
 			};
 		}
 
-		messages.push(`✅ Method matches: ${this.#method.toUpperCase()}.`);
+		messages.push(`✅ Method matches: ${request.method.toUpperCase()}.`);
+
+		// then check the GraphQL operation
+		if (this.#graphql) {
+			const message = this.#traceGraphQL(request, urlMatch);
+
+			if (message.startsWith("❌")) {
+				return {
+					matches: false,
+					messages: [...messages, message],
+					params,
+					query,
+				};
+			}
+
+			messages.push(message);
+		}
+
+		// then check the JSON-RPC method and params
+		if (this.#jsonrpc) {
+			const message = this.#traceJsonRpc(request, urlMatch);
+
+			if (message.startsWith("❌")) {
+				return {
+					matches: false,
+					messages: [...messages, message],
+					params,
+					query,
+				};
+			}
+
+			messages.push(message);
+		}
 
 		// then check query string
-		const expectedQuery = this.#query;
+		const expectedQuery =
+			!this.#query && this.#queryMatch === "exact" ? {} : this.#query;
+
+		if (typeof expectedQuery === "function") {
+			const message = checkPredicate(
+				expectedQuery,
+				request.query ?? {},
+				urlMatch,
+				"Query string does not match predicate.",
+			);
 
-		if (expectedQuery) {
-			const actualQuery = request.query;
+			if (message) {
+				return {
+					matches: false,
+					messages: [...messages, message],
+					params,
+					query,
+				};
+			}
+		} else if (expectedQuery) {
+			const actualQuery =
+				/** @type {Record<string, string|Array<string>>|undefined} */ (
+					request.query
+				);
 
 			if (!actualQuery) {
 				return {
@@ -183,18 +592,22 @@ export class RequestMatcher {
 				};
 			}
 
-			for (const [key, value] of Object.entries(expectedQuery)) {
-				if (actualQuery[key] !== value) {
-					return {
-						matches: false,
-						messages: [
-							...messages,
-							`❌ Query string does not match. Expected ${key}=${value} but received ${key}=${actualQuery[key]}.`,
-						],
-						params,
-						query,
-					};
-				}
+			const mismatch = compareParams(
+				actualQuery,
+				expectedQuery,
+				this.#queryMatch === "exact",
+			);
+
+			if (mismatch) {
+				return {
+					matches: false,
+					messages: [
+						...messages,
+						`❌ Query string does not match. ${mismatch}`,
+					],
+					params,
+					query,
+				};
 			}
 		}
 
@@ -202,7 +615,7 @@ export class RequestMatcher {
 		const expectedParams = this.#params;
 
 		if (expectedParams) {
-			const actualParams = urlMatch.pathname.groups;
+			const actualParams = params;
 
 			if (!actualParams) {
 				return {
@@ -217,7 +630,7 @@ export class RequestMatcher {
 			}
 
 			for (const [key, value] of Object.entries(expectedParams)) {
-				if (actualParams[key] !== value) {
+				if (!valuesMatch(actualParams[key], value)) {
 					return {
 						matches: false,
 						messages: [
@@ -234,36 +647,82 @@ export class RequestMatcher {
 		}
 
 		// then check the headers in a case-insensitive manner
-		if (request.headers) {
+		if (typeof this.#headers === "function") {
+			const message = checkPredicate(
+				this.#headers,
+				request.headers ?? {},
+				urlMatch,
+				"Headers do not match predicate.",
+			);
+
+			if (message) {
+				return {
+					matches: false,
+					messages: [...messages, message],
+					params,
+					query,
+				};
+			}
+
+			messages.push("✅ Headers match.");
+		} else if (request.headers) {
 			const expectedHeaders = Object.entries(this.#headers).map(
 				([key, value]) => [key.toLowerCase(), value],
 			);
 			const actualHeaders = Object.entries(request.headers).map(
 				([key, value]) => [key.toLowerCase(), value],
 			);
+			const mismatches = [];
 
+			// check every header so the trace shows all of the differences
 			for (const [key, value] of expectedHeaders) {
 				const actualValue = actualHeaders.find(
 					([actualKey]) => actualKey === key,
-				);
-				if (!actualValue || actualValue[1] !== value) {
-					return {
-						matches: false,
-						messages: [
-							...messages,
-							`❌ Headers do not match. Expected ${key}=${value} but received ${key}=${actualValue ? actualValue[1] : "none"}.`,
-						],
-						params,
-						query,
-					};
+				)?.[1];
+
+				if (!headerMatches(actualValue, value)) {
+					const expectedValue = Array.isArray(value)
+						? value.join(", ")
+						: value;
+
+					mismatches.push(
+						`❌ Headers do not match. Expected ${key}=${expectedValue} but received ${key}=${actualValue ?? "none"}.`,
+					);
 				}
 			}
 
+			if (mismatches.length) {
+				return {
+					matches: false,
+					messages: [...messages, ...mismatches],
+					params,
+					query,
+				};
+			}
+
 			messages.push("✅ Headers match.");
 		}
 
 		// then check the body
-		if (this.#body !== undefined && this.#body !== null) {
+		if (typeof this.#body === "function") {
+			const message = checkPredicate(
+				this.#body,
+				request.body,
+				urlMatch,
+				"Body does not match predicate.",
+			);
+
+			if (message) {
+				return {
+					matches: false,
+					messages: [...messages, message],
+					params,
+					query,
+				};
+			}
+
+			messages.push("✅ Body matches.");
+		} else if (this.#body !== undefined && this.#body !== null) {
 			// if there's no body on the actual request then it can't match
 			if (request.body === null || request.body === undefined) {
 				return {
@@ -277,7 +736,21 @@ export class RequestMatcher {
 				};
 			}
 
-			if (typeof this.#body === "string") {
+			if (this.#body instanceof Matcher) {
+				if (!this.#body.matches(request.body)) {
+					return {
+						matches: false,
+						messages: [
+							...messages,
+							`❌ Body does not match. Expected ${this.#body} but received ${typeof request.body === "string" ? request.body : JSON.stringify(request.body)}.`,
+						],
+						params,
+						query,
+					};
+				}
+
+				messages.push("✅ Body matches.");
+			} else if (typeof this.#body === "string") {
 				if (this.#body !== request.body) {
 					return {
 						matches: false,
@@ -291,7 +764,10 @@ export class RequestMatcher {
 				}
 
 				messages.push(`✅ Body matches`);
-			} else if (this.#body instanceof FormData) {
+			} else if (
+				this.#body instanceof FormData ||
+				(request.body instanceof FormData && isPlainObject(this.#body))
+			) {
 				if (!(request.body instanceof FormData)) {
 					return {
 						matches: false,
@@ -304,18 +780,25 @@ export class RequestMatcher {
 					};
 				}
 
-				for (const [key, value] of this.#body.entries()) {
-					if (request.body.get(key) !== value) {
-						return {
-							matches: false,
-							messages: [
-								...messages,
-								`❌ Body does not match. Expected ${key}=${value} but received ${key}=${request.body.get(key)}.`,
-							],
-							params,
-							query,
-						};
-					}
+				// patterns can be FormData or a plain object containing matchers
+				const mismatch = compareParams(
+					formDataToObject(request.body),
+					this.#body instanceof FormData
+						? formDataToObject(this.#body, true)
+						: /** @type {Record<string, unknown>} */ (this.#body),
+					this.#bodyMatch === "exact",
+				);
+
+				if (mismatch) {
+					return {
+						matches: false,
+						messages: [
+							...messages,
+							`❌ Body does not match. ${mismatch}`,
+						],
+						params,
+						query,
+					};
 				}
 
 				messages.push("✅ Body matches.");
@@ -363,6 +846,44 @@ export class RequestMatcher {
 					}
 				}
 
+				messages.push("✅ Body matches.");
+			} else if (
+				this.#body instanceof URLSearchParams ||
+				request.body instanceof URLSearchParams
+			) {
+				if (!(request.body instanceof URLSearchParams)) {
+					return {
+						matches: false,
+						messages: [
+							...messages,
+							`❌ Body does not match. Expected URLSearchParams but received ${request.body.constructor.name}.`,
+						],
+						params,
+						query,
+					};
+				}
+
+				// patterns can be URLSearchParams or a plain object
+				const mismatch = compareParams(
+					searchParamsToObject(request.body),
+					this.#body instanceof URLSearchParams
+						? searchParamsToObject(this.#body)
+						: /** @type {QueryPattern} */ (this.#body),
+					this.#bodyMatch === "exact",
+				);
+
+				if (mismatch) {
+					return {
+						matches: false,
+						messages: [
+							...messages,
+							`❌ Body does not match. ${mismatch}`,
+						],
+						params,
+						query,
+					};
+				}
+
 				messages.push("✅ Body matches.");
 			} else {
 				// body must be an object here to run a check
@@ -378,13 +899,20 @@ export class RequestMatcher {
 					};
 				}
 
-				// body is an object so proceed
-				if (!deepCompare(request.body, this.#body)) {
+				// body is an object so report each value that's different
+				const differences = findDifferences(request.body, this.#body, {
+					exact: this.#bodyMatch === "exact",
+				});
+
+				if (differences.length) {
 					return {
 						matches: false,
 						messages: [
 							...messages,
-							`❌ Body does not match. Expected ${JSON.stringify(this.#body)} but received ${JSON.stringify(request.body)}.`,
+							...differences.map(
+								({ path, message }) =>
+									`❌ Body does not match at ${path}. ${message}`,
+							),
 						],
 						params,
 						query,
@@ -395,6 +923,27 @@ export class RequestMatcher {
 			}
 		}
 
+		// finally check the predicate for the whole request
+		if (this.#where) {
+			const message = checkPredicate(
+				this.#where,
+				request,
+				urlMatch,
+				"Request does not match predicate.",
+			);
+
+			if (message) {
+				return {
+					matches: false,
+					messages: [...messages, message],
+					params,
+					query,
+				};
+			}
+
+			messages.push("✅ Request matches predicate.");
+		}
+
 		return {
 			matches: true,
 			messages,
@@ -0,0 +1,379 @@
+/**
+ * @fileoverview The Resource class for stateful in-memory REST resources.
+ * @author Nicholas C. Zakas
+ */
+
+/* global structuredClone */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { getBody, isPlainObject } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").ResourceOptions} ResourceOptions */
+/** @typedef {import("./types.js").ResponsePattern} ResponsePattern */
+/** @typedef {import("./types.js").ResponseCreator} ResponseCreator */
+
+/**
+ * @typedef {Object} ResourceRoute
+ * @property {string} method The HTTP method for the route.
+ * @property {string} url The URL pattern for the route.
+ * @property {ResponseCreator} createResponse The response creator for the route.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a JSON error response.
+ * @param {number} status The status code for the response.
+ * @param {string} message The error message.
+ * @returns {ResponsePattern} The response pattern.
+ */
+function createErrorResponse(status, message) {
+	return { status, body: { error: message } };
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Represents a collection of items that can be created, read, updated, and
+ * deleted through a family of routes on a mock server.
+ */
+export class Resource {
+	/**
+	 * The items in the resource, keyed by the string form of their ID.
+	 * @type {Map<string, Record<string, any>>}
+	 */
+	#items = new Map();
+
+	/**
+	 * The items to restore when the resource is reset.
+	 * @type {Array<Record<string, any>>}
+	 */
+	#seed;
+
+	/**
+	 * The next ID to assign to a new item.
+	 * @type {number}
+	 */
+	#nextId = 1;
+
+	/**
+	 * The URL path for the collection.
+	 * @type {string}
+	 * @readonly
+	 */
+	path;
+
+	/**
+	 * The name of the property that contains each item's ID.
+	 * @type {string}
+	 * @readonly
+	 */
+	idField;
+
+	/**
+	 * Creates a new instance.
+	 * @param {string} path The URL path for the collection.
+	 * @param {ResourceOptions} [options] The options for the resource.
+	 * @throws {TypeError} If the path or options are invalid.
+	 */
+	constructor(path, { idField = "id", seed = [] } = {}) {
+		if (typeof path !== "string" || !path) {
+			throw new TypeError("Resource path must be a non-empty string.");
+		}
+
+		if (typeof idField !== "string" || !idField) {
+			throw new TypeError("Resource idField must be a non-empty string.");
+		}
+
+		if (!Array.isArray(seed)) {
+			throw new TypeError("Resource seed must be an array.");
+		}
+
+		for (const item of seed) {
+			if (!isPlainObject(item) || !(idField in item)) {
+				throw new TypeError(
+					`Resource seed items must be objects with a ${idField} property.`,
+				);
+			}
+		}
+
+		this.path = path.endsWith("/") ? path.slice(0, -1) : path;
+		this.idField = idField;
+		this.#seed = structuredClone(seed);
+		this.reset();
+	}
+
+	/**
+	 * A copy of the items currently in the resource, in insertion order.
+	 * @type {Array<Record<string, any>>}
+	 */
+	get items() {
+		return structuredClone([...this.#items.values()]);
+	}
+
+	/**
+	 * The number of items currently in the resource.
+	 * @type {number}
+	 */
+	get size() {
+		return this.#items.size;
+	}
+
+	/**
+	 * The routes that make up the resource.
+	 * @type {Array<ResourceRoute>}
+	 */
+	get routes() {
+		const itemUrl = `${this.path}/:id`;
+
+		return [
+			{
+				method: "GET",
+				url: this.path,
+				createResponse: () => this.#list(),
+			},
+			{
+				method: "POST",
+				url: this.path,
+				createResponse: request => this.#create(request),
+			},
+			{
+				method: "GET",
+				url: itemUrl,
+				createResponse: (request, { params }) =>
+					this.#read(String(params.id)),
+			},
+			{
+				method: "PUT",
+				url: itemUrl,
+				createResponse: (request, { params }) =>
+					this.#replace(request, String(params.id)),
+			},
+			{
+				method: "PATCH",
+				url: itemUrl,
+				createResponse: (request, { params }) =>
+					this.#update(request, String(params.id)),
+			},
+			{
+				method: "DELETE",
+				url: itemUrl,
+				createResponse: (request, { params }) =>
+					this.#remove(String(params.id)),
+			},
+		];
+	}
+
+	/**
+	 * Returns a copy of the item with the given ID.
+	 * @param {string|number} id The ID of the item.
+	 * @returns {Record<string, any>|undefined} The item or `undefined` if not found.
+	 */
+	get(id) {
+		const item = this.#items.get(String(id));
+		return item && structuredClone(item);
+	}
+
+	/**
+	 * Restores the resource to its seed items.
+	 * @returns {void}
+	 */
+	reset() {
+		this.#items.clear();
+		this.#nextId = 1;
+
+		for (const item of structuredClone(this.#seed)) {
+			this.#store(item);
+		}
+	}
+
+	/**
+	 * Stores an item and makes sure generated IDs won't collide with it.
+	 * @param {Record<string, any>} item The item to store.
+	 * @returns {void}
+	 */
+	#store(item) {
+		const id = item[this.idField];
+
+		this.#items.set(String(id), item);
+
+		if (Number.isInteger(id) && id >= this.#nextId) {
+			this.#nextId = id + 1;
+		}
+	}
+
+	/**
+	 * Reads an item from the request body.
+	 * @param {Request} request The request to read from.
+	 * @returns {Promise<Record<string, any>|undefined>} The item or `undefined` if the body isn't an object.
+	 */
+	async #readItem(request) {
+		try {
+			const body = await getBody(request);
+			return isPlainObject(body) ? body : undefined;
+		} catch {
+			return undefined;
+		}
+	}
+
+	/**
+	 * Responds with every item.
+	 * @returns {ResponsePattern} The response.
+	 */
+	#list() {
+		return { status: 200, body: this.items };
+	}
+
+	/**
+	 * Creates a new item from the request body.
+	 * @param {Request} request The request containing the item.
+	 * @returns {Promise<ResponsePattern>} The response.
+	 */
+	async #create(request) {
+		const item = await this.#readItem(request);
+
+		if (!item) {
+			return createErrorResponse(
+				400,
+				"Request body must be a JSON object.",
+			);
+		}
+
+		if (!(this.idField in item)) {
+			item[this.idField] = this.#nextId;
+		}
+
+		const id = String(item[this.idField]);
+
+		if (this.#items.has(id)) {
+			return createErrorResponse(
+				409,
+				`An item with ${this.idField} ${id} already exists.`,
+			);
+		}
+
+		this.#store(item);
+
+		const location = new URL(request.url);
+		location.pathname = `${location.pathname.replace(/\/$/u, "")}/${encodeURIComponent(id)}`;
+		location.search = "";
+
+		return {
+			status: 201,
+			headers: { location: location.href },
+			body: structuredClone(item),
+		};
+	}
+
+	/**
+	 * Responds with a single item.
+	 * @param {string} id The ID of the item.
+	 * @returns {ResponsePattern} The response.
+	 */
+	#read(id) {
+		const item = this.get(id);
+
+		if (!item) {
+			return this.#notFound(id);
+		}
+
+		return { status: 200, body: item };
+	}
+
+	/**
+	 * Replaces an item with the request body.
+	 * @param {Request} request The request containing the item.
+	 * @param {string} id The ID of the item.
+	 * @returns {Promise<ResponsePattern>} The response.
+	 */
+	async #replace(request, id) {
+		const existing = this.#items.get(id);
+
+		if (!existing) {
+			return this.#notFound(id);
+		}
+
+		const item = await this.#readItem(request);
+
+		if (!item) {
+			return createErrorResponse(
+				400,
+				"Request body must be a JSON object.",
+			);
+		}
+
+		// the ID always comes from the URL so it can't be changed
+		const replacement = { ...item, [this.idField]: existing[this.idField] };
+		this.#items.set(id, replacement);
+
+		return { status: 200, body: structuredClone(replacement) };
+	}
+
+	/**
+	 * Merges the request body into an item.
+	 * @param {Request} request The request containing the changes.
+	 * @param {string} id The ID of the item.
+	 * @returns {Promise<ResponsePattern>} The response.
+	 */
+	async #update(request, id) {
+		const existing = this.#items.get(id);
+
+		if (!existing) {
+			return this.#notFound(id);
+		}
+
+		const changes = await this.#readItem(request);
+
+		if (!changes) {
+			return createErrorResponse(
+				400,
+				"Request body must be a JSON object.",
+			);
+		}
+
+		const updated = {
+			...existing,
+			...changes,
+			[this.idField]: existing[this.idField],
+		};
+		this.#items.set(id, updated);
+
+		return { status: 200, body: structuredClone(updated) };
+	}
+
+	/**
+	 * Removes an item.
+	 * @param {string} id The ID of the item.
+	 * @returns {ResponsePattern} The response.
+	 */
+	#remove(id) {
+		if (!this.#items.delete(id)) {
+			return this.#notFound(id);
+		}
+
+		return { status: 204 };
+	}
+
+	/**
+	 * Creates a response for an item that doesn't exist.
+	 * @param {string} id The ID of the item.
+	 * @returns {ResponsePattern} The response.
+	 */
+	#notFound(id) {
+		return createErrorResponse(
+			404,
+			`No item with ${this.idField} ${id} was found.`,
+		);
+	}
+}
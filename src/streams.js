@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Utilities for creating streaming response bodies.
+ * @author Nicholas C. Zakas
+ */
+
+/* global ReadableStream, TextEncoder, setTimeout */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import { RECORD_SEPARATOR } from "./util.js";
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").ResponseChunk} ResponseChunk */
+/** @typedef {import("./types.js").ResponseChunkData} ResponseChunkData */
+/** @typedef {import("./types.js").ServerSentEvent} ServerSentEvent */
+
+/**
+ * @typedef {Object} ChunkStreamOptions
+ * @property {(item: any) => ResponseChunk} [encode] Converts each item into a chunk.
+ * @property {boolean} [keepOpen=false] When `true`, the stream isn't closed after the last chunk.
+ */
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+const encoder = new TextEncoder();
+
+// the fields of a server-sent event, in the order they're written
+const serverSentEventFields = ["event", "data", "id", "retry"];
+
+/**
+ * Determines if a value is raw chunk data rather than a chunk object.
+ * @param {unknown} value The value to check.
+ * @returns {value is ResponseChunkData} `true` if the value is chunk data.
+ */
+function isChunkData(value) {
+	return (
+		typeof value === "string" ||
+		value instanceof ArrayBuffer ||
+		ArrayBuffer.isView(value)
+	);
+}
+
+/**
+ * Converts chunk data into bytes that can be enqueued in a stream.
+ * @param {ResponseChunkData} data The data to convert.
+ * @returns {Uint8Array} The bytes for the chunk.
+ */
+function toBytes(data) {
+	if (typeof data === "string") {
+		return encoder.encode(data);
+	}
+
+	if (data instanceof ArrayBuffer) {
+		return new Uint8Array(data);
+	}
+
+	return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Returns an iterator for either a synchronous or asynchronous iterable.
+ * @param {Iterable<ResponseChunk>|AsyncIterable<ResponseChunk>} chunks The chunks to iterate over.
+ * @returns {Iterator<ResponseChunk>|AsyncIterator<ResponseChunk>} The iterator.
+ */
+function getChunkIterator(chunks) {
+	if (Symbol.asyncIterator in chunks) {
+		return chunks[Symbol.asyncIterator]();
+	}
+
+	return chunks[Symbol.iterator]();
+}
+
+//-----------------------------------------------------------------------------
+// Exports
+//-----------------------------------------------------------------------------
+
+/**
+ * Determines if a value can be used as a list of response chunks.
+ * @param {unknown} value The value to check.
+ * @returns {boolean} `true` if the value is iterable or async iterable.
+ */
+export function isChunkIterable(value) {
+	return (
+		value !== null &&
+		typeof value === "object" &&
+		(Symbol.iterator in value || Symbol.asyncIterator in value)
+	);
+}
+
+/**
+ * Asserts that a response chunk is valid.
+ * @param {unknown} chunk The chunk to check.
+ * @returns {void}
+ * @throws {TypeError} If the chunk is invalid.
+ */
+export function assertValidChunk(chunk) {
+	if (isChunkData(chunk)) {
+		return;
+	}
+
+	if (!chunk || typeof chunk !== "object" || !("data" in chunk)) {
+		throw new TypeError(
+			"Response chunk must be a string, ArrayBuffer, typed array, or an object with a data property.",
+		);
+	}
+
+	if (!isChunkData(chunk.data)) {
+		throw new TypeError(
+			"Response chunk data must be a string, ArrayBuffer, or typed array.",
+		);
+	}
+
+	if (
+		"delay" in chunk &&
+		(typeof chunk.delay !== "number" || chunk.delay < 0)
+	) {
+		throw new TypeError(
+			"Response chunk delay must be a non-negative number.",
+		);
+	}
+}
+
+/**
+ * Asserts that a server-sent event is valid.
+ * @param {unknown} message The event to check.
+ * @returns {void}
+ * @throws {TypeError} If the event is invalid.
+ */
+export function assertValidServerSentEvent(message) {
+	if (!message || typeof message !== "object") {
+		throw new TypeError("Server-sent event must be an object.");
+	}
+
+	const event = /** @type {Record<string, unknown>} */ (message);
+
+	if (!serverSentEventFields.some(field => field in event)) {
+		throw new TypeError(
+			`Server-sent event must include at least one of: ${serverSentEventFields.join(", ")}.`,
+		);
+	}
+
+	for (const field of ["event", "id"]) {
+		if (
+			field in event &&
+			(typeof event[field] !== "string" || /[\r\n]/u.test(event[field]))
+		) {
+			throw new TypeError(
+				`Server-sent event ${field} must be a string without line breaks.`,
+			);
+		}
+	}
+
+	if (
+		"retry" in event &&
+		(!Number.isInteger(event.retry) || Number(event.retry) < 0)
+	) {
+		throw new TypeError(
+			"Server-sent event retry must be a non-negative integer.",
+		);
+	}
+
+	if (
+		"delay" in event &&
+		(typeof event.delay !== "number" || event.delay < 0)
+	) {
+		throw new TypeError(
+			"Server-sent event delay must be a non-negative number.",
+		);
+	}
+}
+
+/**
+ * Formats a server-sent event as a response chunk. Data that isn't a string
+ * is serialized as JSON, and each line of the data is written as a separate
+ * `data` field.
+ * @param {ServerSentEvent} message The event to format.
+ * @returns {ResponseChunk} The chunk containing the formatted event.
+ * @throws {TypeError} If the event is invalid.
+ */
+export function formatServerSentEvent(message) {
+	assertValidServerSentEvent(message);
+
+	const lines = [];
+
+	if (message.event !== undefined) {
+		lines.push(`event: ${message.event}`);
+	}
+
+	if (message.data !== undefined) {
+		const data =
+			typeof message.data === "string"
+				? message.data
+				: JSON.stringify(message.data);
+
+		for (const line of data.split(/\r\n|\r|\n/u)) {
+			lines.push(`data: ${line}`);
+		}
+	}
+
+	if (message.id !== undefined) {
+		lines.push(`id: ${message.id}`);
+	}
+
+	if (message.retry !== undefined) {
+		lines.push(`retry: ${message.retry}`);
+	}
+
+	const data = `${lines.join("\n")}\n\n`;
+
+	return message.delay === undefined ? data : { data, delay: message.delay };
+}
+
+/**
+ * Asserts that a value can be serialized as JSON.
+ * @param {unknown} value The value to check.
+ * @returns {void}
+ * @throws {TypeError} If the value can't be serialized as JSON.
+ */
+export function assertValidJsonValue(value) {
+	if (value === undefined || typeof value === "function") {
+		throw new TypeError("JSON stream values must be serializable as JSON.");
+	}
+}
+
+/**
+ * Formats a value as a line of newline-delimited JSON.
+ * @param {any} value The value to format.
+ * @returns {string} The formatted line.
+ * @throws {TypeError} If the value can't be serialized as JSON.
+ */
+export function formatJsonLine(value) {
+	assertValidJsonValue(value);
+	return `${JSON.stringify(value)}\n`;
+}
+
+/**
+ * Formats a value as a record in a JSON text sequence (RFC 7464).
+ * @param {any} value The value to format.
+ * @returns {string} The formatted record.
+ * @throws {TypeError} If the value can't be serialized as JSON.
+ */
+export function formatJsonSequenceRecord(value) {
+	assertValidJsonValue(value);
+	return `${RECORD_SEPARATOR}${JSON.stringify(value)}\n`;
+}
+
+/**
+ * Creates a readable stream that emits each chunk in order, waiting for
+ * any chunk delay before emitting it. Chunks are only read from the
+ * iterable when the consumer asks for more data.
+ * @param {Iterable<any>|AsyncIterable<any>} chunks The chunks to emit.
+ * @param {ChunkStreamOptions} [options] Options for the stream.
+ * @returns {ReadableStream<Uint8Array>} The stream of chunks.
+ * @throws {TypeError} If a chunk is invalid when it's read.
+ */
+export function createChunkStream(
+	chunks,
+	{ encode = chunk => chunk, keepOpen = false } = {},
+) {
+	const iterator = getChunkIterator(chunks);
+	let finished = false;
+
+	return new ReadableStream({
+		async pull(controller) {
+			if (finished) {
+				return;
+			}
+
+			const { value, done } = await iterator.next();
+
+			if (done) {
+				finished = true;
+
+				/*
+				 * A stream that's kept open never sends any more data but
+				 * stays readable until the consumer cancels it.
+				 */
+				if (!keepOpen) {
+					controller.close();
+				}
+
+				return;
+			}
+
+			const chunk = encode(value);
+
+			assertValidChunk(chunk);
+
+			const { data, delay } = isChunkData(chunk)
+				? { data: chunk }
+				: chunk;
+
+			if (delay) {
+				await new Promise(resolve => setTimeout(resolve, delay));
+			}
+
+			controller.enqueue(toBytes(data));
+		},
+
+		async cancel() {
+			await iterator.return?.();
+		},
+	});
+}
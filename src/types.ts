@@ -3,19 +3,244 @@
  * @author Nicholas C. Zakas
  */
 
-export type HttpBody = string | object | ArrayBuffer | FormData | null;
+export type HttpBody =
+	| string
+	| object
+	| ArrayBuffer
+	| FormData
+	| URLSearchParams
+	| null;
+
+/**
+ * A value in a request pattern that matches other values according to its
+ * own rules, such as the matchers created by `match`.
+ */
+export interface AsymmetricMatcher {
+	/**
+	 * Checks if a value matches.
+	 */
+	matches(value: unknown): boolean;
+
+	/**
+	 * Returns the description used in trace messages.
+	 */
+	toString(): string;
+}
+
+/**
+ * A string to match exactly or a matcher.
+ */
+export type StringPattern = string | AsymmetricMatcher;
+
+/**
+ * Information about the request that's passed to predicates.
+ */
+export interface RequestPredicateInfo {
+	/**
+	 * The URL parameters.
+	 */
+	params: Record<string, string | undefined>;
+
+	/**
+	 * The query string.
+	 */
+	query: URLSearchParams;
+}
+
+/**
+ * A function in a request pattern that decides if a value matches. Returning
+ * a string means the value doesn't match and the string is used as the trace
+ * message.
+ */
+export type RequestPredicate<T = any> = (
+	value: T,
+	info: RequestPredicateInfo,
+) => boolean | string;
+
+/**
+ * The query string parameters to match. An array matches every value of a
+ * parameter that appears more than once.
+ */
+export type QueryPattern = Record<string, StringPattern | Array<StringPattern>>;
+
+/**
+ * The headers to match. A regular expression is tested against the header
+ * value and an array matches a comma-separated list of values in any order.
+ */
+export type HeaderPattern = Record<
+	string,
+	StringPattern | RegExp | Array<StringPattern>
+>;
 
 export interface RequestPattern {
 	method: string;
 	url: string;
-	headers?: Record<string, string>;
-	query?: Record<string, string>;
-	params?: Record<string, string>;
-	body?: HttpBody;
+	headers?: HeaderPattern | RequestPredicate<Record<string, string>>;
+	query?:
+		| QueryPattern
+		| RequestPredicate<Record<string, string | Array<string>>>;
+	params?: Record<string, StringPattern>;
+	body?: HttpBody | RequestPredicate;
+
+	/**
+	 * Determines if object and `FormData` bodies may contain values that
+	 * aren't in the pattern. Defaults to `"partial"`.
+	 */
+	bodyMatch?: "partial" | "exact";
+
+	/**
+	 * Determines if the query string may contain parameters that aren't in
+	 * the pattern. Defaults to `"partial"`.
+	 */
+	queryMatch?: "partial" | "exact";
+
+	/**
+	 * A predicate that's checked after all other parts of the request
+	 * match. It receives the request with its parsed body.
+	 */
+	where?: RequestPredicate<RequestPattern>;
+
+	/**
+	 * The GraphQL operation to match. When present, the route matches
+	 * GraphQL-over-HTTP requests sent with either GET or POST.
+	 */
+	graphql?: GraphQLPattern;
+
+	/**
+	 * The JSON-RPC method and params to match. When present, the body must
+	 * be a JSON-RPC 2.0 request.
+	 */
+	jsonrpc?: JsonRpcPattern;
 }
 
 export type MethodlessRequestPattern = Omit<RequestPattern, "method">;
 
+/**
+ * The GraphQL operation to match.
+ */
+export interface GraphQLPattern {
+	/**
+	 * The name of the operation.
+	 */
+	operationName?: StringPattern;
+
+	/**
+	 * The type of the operation.
+	 */
+	operationType?: "query" | "mutation" | "subscription";
+
+	/**
+	 * The GraphQL document. Differences in whitespace, commas, and comments
+	 * are ignored.
+	 */
+	query?: StringPattern;
+
+	/**
+	 * The variables to match. Variables that aren't in the pattern are
+	 * allowed.
+	 */
+	variables?: Record<string, any> | RequestPredicate<Record<string, any>>;
+}
+
+/**
+ * The request pattern for a GraphQL route.
+ */
+export interface GraphQLRequestPattern
+	extends GraphQLPattern,
+		Pick<RequestPattern, "headers" | "where"> {
+	/**
+	 * The URL of the GraphQL endpoint. Defaults to `"/graphql"`.
+	 */
+	url?: string;
+}
+
+/**
+ * A GraphQL operation parsed from a request.
+ */
+export interface GraphQLOperation {
+	/**
+	 * The name of the operation, if it has one.
+	 */
+	operationName: string | undefined;
+
+	/**
+	 * The type of the operation.
+	 */
+	operationType: string;
+
+	/**
+	 * The GraphQL document.
+	 */
+	query: string;
+
+	/**
+	 * The variables sent with the request.
+	 */
+	variables: Record<string, any>;
+}
+
+/**
+ * The result of a GraphQL operation. Errors that are strings are converted
+ * into objects with a `message`.
+ */
+export interface GraphQLResult {
+	data?: any;
+	errors?: Array<string | { message: string; [key: string]: any }>;
+	extensions?: Record<string, any>;
+}
+
+/**
+ * The data for a single chunk of a streaming response.
+ */
+export type ResponseChunkData = string | ArrayBuffer | ArrayBufferView;
+
+/**
+ * A single chunk of a streaming response, optionally with a delay.
+ */
+export type ResponseChunk =
+	| ResponseChunkData
+	| {
+			/**
+			 * The data to send.
+			 */
+			data: ResponseChunkData;
+
+			/**
+			 * The number of milliseconds to wait before sending the chunk.
+			 */
+			delay?: number;
+	  };
+
+/**
+ * A single message in a `text/event-stream` response.
+ */
+export interface ServerSentEvent {
+	/**
+	 * The name of the event.
+	 */
+	event?: string;
+
+	/**
+	 * The data for the event. Values that aren't strings are sent as JSON.
+	 */
+	data?: string | any;
+
+	/**
+	 * The ID of the event.
+	 */
+	id?: string;
+
+	/**
+	 * The number of milliseconds the client should wait before reconnecting.
+	 */
+	retry?: number;
+
+	/**
+	 * The number of milliseconds to wait before sending the event.
+	 */
+	delay?: number;
+}
+
 export interface ResponsePattern {
 	/**
 	 * The status code of the response.
@@ -32,12 +257,228 @@ export interface ResponsePattern {
 	 */
 	body?: string | any | ArrayBuffer | null;
 
+	/**
+	 * The chunks of a streaming response body. Can't be used with `body`.
+	 */
+	stream?: Iterable<ResponseChunk> | AsyncIterable<ResponseChunk>;
+
+	/**
+	 * The server-sent events to stream as a `text/event-stream` response.
+	 * Can't be used with any other body key.
+	 */
+	events?: Iterable<ServerSentEvent> | AsyncIterable<ServerSentEvent>;
+
+	/**
+	 * The values to stream as newline-delimited JSON. Can't be used with
+	 * any other body key.
+	 */
+	ndjson?: Iterable<any> | AsyncIterable<any>;
+
+	/**
+	 * The values to stream as a JSON text sequence (RFC 7464). Can't be used
+	 * with any other body key.
+	 */
+	jsonSeq?: Iterable<any> | AsyncIterable<any>;
+
+	/**
+	 * The bodies to choose from based on the request's `Accept` header,
+	 * keyed by media type. The response has the chosen media type as its
+	 * `Content-Type` or a 406 status when no media type is acceptable.
+	 * Can't be used with any other body key.
+	 */
+	content?: Record<string, string | any | ArrayBuffer>;
+
+	/**
+	 * When `true`, a streaming response stays open after the last chunk or
+	 * event is sent instead of ending.
+	 */
+	keepOpen?: boolean;
+
 	/**
 	 * The number of milliseconds to delay the response by.
 	 */
 	delay?: number;
 }
 
+/**
+ * The network failures that a route can simulate.
+ */
+export type NetworkErrorType =
+	| "connection-reset"
+	| "dns"
+	| "timeout"
+	| "offline";
+
+export interface NetworkErrorPattern {
+	/**
+	 * The network failure to simulate instead of responding.
+	 */
+	error: NetworkErrorType;
+
+	/**
+	 * The number of milliseconds to wait before failing.
+	 */
+	delay?: number;
+}
+
+/**
+ * Options that control how often a route can be matched.
+ */
+export interface RouteOptions {
+	/**
+	 * The number of times the route can be matched before it's exhausted.
+	 */
+	times?: number;
+
+	/**
+	 * When `true`, the route can be matched an unlimited number of times.
+	 */
+	persist?: boolean;
+
+	/**
+	 * What to do once a response sequence has served every response:
+	 * `"fallthrough"` stops matching the route, `"repeat"` serves the last
+	 * response again, and `"error"` throws an error.
+	 */
+	whenExhausted?: "fallthrough" | "repeat" | "error";
+}
+
+/**
+ * Options for a mock server. Any route options are used as the defaults
+ * for each route registered on the server.
+ */
+export interface MockServerOptions extends RouteOptions {
+	/**
+	 * An OpenAPI 3.x document to validate every request and response
+	 * against. Requests that match a route but violate the document throw a
+	 * `ContractViolationError`.
+	 */
+	contract?: object;
+
+	/**
+	 * When `true`, the server responds like common server frameworks when
+	 * no route matches: HEAD requests are served by matching GET routes
+	 * without a body, and requests for a URL with routes but not for the
+	 * request's method receive 405 (or 204 for OPTIONS) with an `Allow`
+	 * header. Defaults to `false`.
+	 */
+	autoMethods?: boolean;
+}
+
+/**
+ * Options for a recorder.
+ */
+export interface RecorderOptions {
+	/**
+	 * Whether the tests are running in continuous integration. Defaults to
+	 * `true` when the `CI` environment variable is set to anything other
+	 * than an empty string, `"0"`, or `"false"`.
+	 */
+	ci?: boolean;
+
+	/**
+	 * Whether to send requests that aren't in the recording to the upstream
+	 * server and record them (`"record"`) or to throw an error instead
+	 * (`"replay"`). Defaults to `"replay"` in continuous integration and
+	 * `"record"` otherwise.
+	 */
+	mode?: "record" | "replay";
+
+	/**
+	 * A HAR document containing a previous recording.
+	 */
+	recording?: object;
+
+	/**
+	 * The fetch function used to send requests to the upstream server.
+	 * Defaults to the global `fetch()` before any fetch mocker replaced it.
+	 */
+	fetch?: typeof fetch;
+
+	/**
+	 * Headers whose values are replaced with `[REDACTED]` in new recordings.
+	 * Defaults to `authorization`, `cookie`, `proxy-authorization`, and
+	 * `set-cookie`.
+	 */
+	redactHeaders?: string[];
+
+	/**
+	 * Whether replayed requests must match the recorded request headers.
+	 * Defaults to `false`.
+	 */
+	matchHeaders?: boolean;
+
+	/**
+	 * Additional headers to leave out when replaying the recording.
+	 */
+	ignoreHeaders?: string[];
+}
+
+/**
+ * Options for creating a mock server from a HAR file.
+ */
+export interface HARServerOptions extends MockServerOptions {
+	/**
+	 * The base URL for the server. Defaults to the origin of the first entry.
+	 * Entries outside of the base URL are skipped.
+	 */
+	baseUrl?: string;
+
+	/**
+	 * Whether routes should match the recorded request headers. Defaults to
+	 * `false`.
+	 */
+	matchHeaders?: boolean;
+
+	/**
+	 * Additional headers to leave out of routes, such as headers whose
+	 * values change with every request. These are ignored in both requests
+	 * and responses.
+	 */
+	ignoreHeaders?: string[];
+}
+
+/**
+ * Options for creating a mock server from an OpenAPI document.
+ */
+export interface OpenAPIServerOptions extends MockServerOptions {
+	/**
+	 * The base URL for the server. Defaults to the first server URL in the
+	 * document.
+	 */
+	baseUrl?: string;
+
+	/**
+	 * Whether to validate every request and response against the document.
+	 * Defaults to `false`.
+	 */
+	validate?: boolean;
+
+	/**
+	 * Responses to use instead of the examples, keyed by operation ID or by
+	 * method and path (e.g., "GET /users/{id}").
+	 */
+	overrides?: Record<
+		string,
+		ResponsePattern | NetworkErrorPattern | ResponseCreator | number
+	>;
+}
+
+/**
+ * Options for a stateful resource on a mock server.
+ */
+export interface ResourceOptions {
+	/**
+	 * The name of the property that contains each item's ID.
+	 */
+	idField?: string;
+
+	/**
+	 * The items the resource starts with.
+	 */
+	seed?: Array<Record<string, any>>;
+}
+
 /**
  * Additional information that's helpful for evaluating a request.
  */
@@ -58,6 +499,62 @@ export interface RequestInfo {
 	query: URLSearchParams;
 }
 
+/**
+ * A request that was received and responded to by a mock server.
+ */
+export interface RecordedCall {
+	/**
+	 * A copy of the request that was received.
+	 */
+	request: Request;
+
+	/**
+	 * The parsed body of the request.
+	 */
+	body: string | any | FormData | ArrayBuffer | null;
+
+	/**
+	 * A description of the route that responded to the request.
+	 */
+	route: string;
+
+	/**
+	 * The URL parameters found in the request.
+	 */
+	params: Record<string, string | undefined>;
+
+	/**
+	 * The query parameters found in the request.
+	 */
+	query: URLSearchParams;
+
+	/**
+	 * The status code of the response, or `0` for a network error.
+	 */
+	status: number;
+
+	/**
+	 * A copy of the response that was sent, if any. Streaming responses are
+	 * copied without their body.
+	 */
+	response?: Response;
+
+	/**
+	 * The network error that was simulated instead of responding, if any.
+	 */
+	error?: NetworkErrorType;
+
+	/**
+	 * The time the request was received, in milliseconds since the epoch.
+	 */
+	timestamp: number;
+
+	/**
+	 * The number of milliseconds it took to create the response.
+	 */
+	duration: number;
+}
+
 /**
  * Create a response based on the request.
  * @param request The request to create a response for.
@@ -66,7 +563,141 @@ export interface RequestInfo {
 export type ResponseCreator = (
 	request: Request,
 	requestInfo: RequestInfo,
-) => ResponsePattern | number | Promise<ResponsePattern> | Promise<number>;
+) =>
+	| ResponsePattern
+	| NetworkErrorPattern
+	| number
+	| Promise<ResponsePattern | NetworkErrorPattern | number>;
+
+/**
+ * The JSON-RPC request to match.
+ */
+export interface JsonRpcPattern {
+	/**
+	 * The name of the method.
+	 */
+	method: StringPattern;
+
+	/**
+	 * The params to match. Params that aren't in the pattern are allowed.
+	 */
+	params?: Record<string, any> | Array<any> | RequestPredicate;
+}
+
+/**
+ * A JSON-RPC 2.0 request object. Requests without an `id` are
+ * notifications.
+ */
+export interface JsonRpcRequest {
+	jsonrpc: "2.0";
+	method: string;
+	params?: Record<string, any> | Array<any>;
+	id?: string | number | null;
+}
+
+/**
+ * A JSON-RPC error.
+ */
+export interface JsonRpcError {
+	code: number;
+	message: string;
+	data?: any;
+}
+
+/**
+ * The outcome of a JSON-RPC method, which is sent as the `result` or
+ * `error` of the response.
+ */
+export type JsonRpcOutcome = { result: any } | { error: JsonRpcError };
+
+/**
+ * Information about the JSON-RPC request passed to a handler.
+ */
+export interface JsonRpcRequestInfo {
+	/**
+	 * The ID of the request, which is `undefined` for notifications.
+	 */
+	id: string | number | null | undefined;
+
+	/**
+	 * The name of the method.
+	 */
+	method: string;
+
+	/**
+	 * The HTTP request. For batches, this is a request for one item.
+	 */
+	request: Request;
+}
+
+/**
+ * The response for a JSON-RPC route: an outcome, a response pattern with a
+ * status, or a function that returns either.
+ */
+export type JsonRpcHandler =
+	| JsonRpcOutcome
+	| ResponsePattern
+	| ((
+			params: Record<string, any> | Array<any> | undefined,
+			info: JsonRpcRequestInfo,
+	  ) =>
+			| JsonRpcOutcome
+			| ResponsePattern
+			| Promise<JsonRpcOutcome | ResponsePattern>);
+
+/**
+ * Additional information for a GraphQL route's response creator.
+ */
+export interface GraphQLRequestInfo extends RequestInfo {
+	/**
+	 * The GraphQL operation from the request.
+	 */
+	graphql: GraphQLOperation;
+}
+
+/**
+ * Create a response for a GraphQL request.
+ * @param request The request to create a response for.
+ * @returns The GraphQL result or response to send back.
+ */
+export type GraphQLResponseCreator = (
+	request: Request,
+	requestInfo: GraphQLRequestInfo,
+) =>
+	| GraphQLResult
+	| ResponsePattern
+	| NetworkErrorPattern
+	| number
+	| Promise<GraphQLResult | ResponsePattern | NetworkErrorPattern | number>;
+
+/**
+ * A list of responses to return in order, one for each matching GraphQL
+ * request.
+ */
+export type GraphQLResponseSequence =
+	| Iterable<
+			| GraphQLResult
+			| ResponsePattern
+			| NetworkErrorPattern
+			| GraphQLResponseCreator
+			| number
+	  >
+	| (() => Generator<
+			| GraphQLResult
+			| ResponsePattern
+			| NetworkErrorPattern
+			| GraphQLResponseCreator
+			| number
+	  >);
+
+/**
+ * A list of responses to return in order, one for each matching request.
+ */
+export type ResponseSequence =
+	| Iterable<ResponsePattern | NetworkErrorPattern | ResponseCreator | number>
+	| (() => Generator<
+			ResponsePattern | NetworkErrorPattern | ResponseCreator | number
+	  >);
 
 export interface Credentials {
 	/**
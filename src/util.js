@@ -3,10 +3,74 @@
  * @author Nicholas C. Zakas
  */
 
+/* global URLSearchParams */
+
+//-----------------------------------------------------------------------------
+// Type Definitions
+//-----------------------------------------------------------------------------
+
+/** @typedef {import("./types.js").RecordedCall} RecordedCall */
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+// the content types for newline-delimited JSON
+const jsonLinesContentTypes = new Set([
+	"application/x-ndjson",
+	"application/ndjson",
+	"application/jsonl",
+]);
+
+// the content type for JSON text sequences (RFC 7464)
+const jsonSequenceContentType = "application/json-seq";
+
+// the content type for HTML forms that don't contain files
+const formUrlEncodedContentType = "application/x-www-form-urlencoded";
+
+/**
+ * The contents of files in multipart request bodies. Files are read when
+ * the body is parsed so request patterns can match their contents without
+ * waiting.
+ * @type {WeakMap<Blob, Uint8Array>}
+ */
+const blobContents = new WeakMap();
+
+// the character that starts each record in a JSON text sequence
+export const RECORD_SEPARATOR = "\u001e";
+
 //-----------------------------------------------------------------------------
 // Helpers
 //-----------------------------------------------------------------------------
 
+/**
+ * Parses newline-delimited JSON into an array of values. Blank lines are
+ * ignored.
+ * @param {string} text The text to parse.
+ * @returns {Array<any>} The parsed values.
+ * @throws {SyntaxError} If any line isn't valid JSON.
+ */
+function parseJsonLines(text) {
+	return text
+		.split(/\r?\n/u)
+		.filter(line => line.trim())
+		.map(line => JSON.parse(line));
+}
+
+/**
+ * Parses a JSON text sequence into an array of values. Empty records are
+ * ignored.
+ * @param {string} text The text to parse.
+ * @returns {Array<any>} The parsed values.
+ * @throws {SyntaxError} If any record isn't valid JSON.
+ */
+function parseJsonSequence(text) {
+	return text
+		.split(RECORD_SEPARATOR)
+		.filter(record => record.trim())
+		.map(record => JSON.parse(record));
+}
+
 /**
  * Formats headers into a string that matches how they are displayed in
  * a network panel. Header names are capitalized and separated by a colon
@@ -42,7 +106,7 @@ function formatBody(body) {
 		return body;
 	}
 
-	if (body.constructor === Object) {
+	if (body.constructor === Object || Array.isArray(body)) {
 		return JSON.stringify(body);
 	}
 
@@ -51,6 +115,30 @@ function formatBody(body) {
 	return body.toString();
 }
 
+/**
+ * Formats a list of recorded calls as a numbered list in the order they
+ * were received.
+ * @param {Array<RecordedCall>} calls The calls to format.
+ * @returns {string} The formatted calls.
+ */
+function formatCalls(calls) {
+	return calls
+		.map(
+			(call, index) =>
+				`${index + 1}. ${call.request.method} ${call.request.url} -> ${call.status}`,
+		)
+		.join("\n");
+}
+
+/**
+ * Formats a number of calls as "1 time" or "n times".
+ * @param {number} count The number of calls.
+ * @returns {string} The formatted count.
+ */
+function formatTimes(count) {
+	return count === 1 ? "1 time" : `${count} times`;
+}
+
 //-----------------------------------------------------------------------------
 // Exports
 //-----------------------------------------------------------------------------
@@ -112,6 +200,167 @@ ${
 	}
 }
 
+/**
+ * Represents an error that occurs when the requests that were received
+ * don't match what was expected. The message lists every request that was
+ * received in order to help with debugging.
+ * @extends {Error}
+ */
+export class CallAssertionError extends Error {
+	/**
+	 * Creates a new CallAssertionError instance.
+	 * @param {string} summary The explanation of what was expected.
+	 * @param {Array<RecordedCall>} calls The calls that were received.
+	 */
+	constructor(summary, calls) {
+		const message = `${summary}
+
+${
+	calls.length === 0
+		? "No requests were received."
+		: "Received requests:\n\n" + formatCalls(calls)
+}`;
+		super(message);
+		this.name = "CallAssertionError";
+		this.calls = calls;
+	}
+}
+
+/**
+ * Creates a description of a request pattern in the form "METHOD URL".
+ * @param {{method:string, url:string}|string} request The request pattern to describe.
+ * @param {string} [baseUrl] The base URL to resolve relative URLs against.
+ * @returns {string} The description of the request pattern.
+ */
+export function describeRequestPattern(request, baseUrl) {
+	const { method, url } =
+		typeof request === "string" ? { method: "GET", url: request } : request;
+
+	return `${method.toUpperCase()} ${baseUrl ? new URL(url, baseUrl).href : url}`;
+}
+
+/**
+ * Asserts that a request pattern was matched a specific number of times.
+ * @param {string} description The description of the request pattern.
+ * @param {Array<RecordedCall>} matchingCalls The calls that match the request pattern.
+ * @param {Array<RecordedCall>} calls All of the calls that were received.
+ * @param {number} times The expected number of calls.
+ * @returns {void}
+ * @throws {CallAssertionError} If the number of matching calls is different.
+ */
+export function assertCallCount(description, matchingCalls, calls, times) {
+	if (matchingCalls.length === times) {
+		return;
+	}
+
+	const expectation =
+		times === 0
+			? `Expected ${description} not to be called`
+			: `Expected ${description} to be called ${formatTimes(times)}`;
+
+	let summary = `${expectation} but it was called ${formatTimes(matchingCalls.length)}.`;
+
+	if (matchingCalls.length > 0) {
+		summary += `\n\nMatching requests:\n\n${formatCalls(matchingCalls)}`;
+	}
+
+	throw new CallAssertionError(summary, calls);
+}
+
+/**
+ * Asserts that request patterns were matched in a specific order. Other
+ * requests may be received before, after, or in between the matching ones.
+ * @param {Array<string>} descriptions The descriptions of the request patterns.
+ * @param {Array<Array<RecordedCall>>} matchingCalls The calls that match each request pattern.
+ * @param {Array<RecordedCall>} calls All of the calls that were received.
+ * @returns {void}
+ * @throws {CallAssertionError} If the requests weren't received in order.
+ */
+export function assertCallOrder(descriptions, matchingCalls, calls) {
+	let lastIndex = -1;
+
+	for (let i = 0; i < descriptions.length; i++) {
+		const matches = new Set(matchingCalls[i]);
+		const index = calls.findIndex(
+			(call, callIndex) => callIndex > lastIndex && matches.has(call),
+		);
+
+		if (index === -1) {
+			const expected = descriptions
+				.map((description, j) => `${j + 1}. ${description}`)
+				.join("\n");
+			const reason =
+				i === 0
+					? `❌ ${descriptions[i]} was not called.`
+					: `❌ ${descriptions[i]} was not called after ${descriptions[i - 1]}.`;
+
+			throw new CallAssertionError(
+				`Expected requests to be called in order:\n\n${expected}\n\n${reason}`,
+				calls,
+			);
+		}
+
+		lastIndex = index;
+	}
+}
+
+/**
+ * Determines if a value is a plain object, such as an object literal.
+ * @param {unknown} value The value to check.
+ * @returns {value is Record<string, any>} `true` if the value is a plain object.
+ */
+export function isPlainObject(value) {
+	return (
+		value !== null &&
+		typeof value === "object" &&
+		Object.getPrototypeOf(value) === Object.prototype
+	);
+}
+
+/**
+ * Converts query string parameters into an object. Parameters that appear
+ * more than once are converted into an array of values.
+ * @param {URLSearchParams} searchParams The query string parameters.
+ * @returns {Record<string, string|Array<string>>} The query string object.
+ */
+export function searchParamsToObject(searchParams) {
+	/** @type {Record<string, string|Array<string>>} */
+	const query = {};
+
+	for (const key of searchParams.keys()) {
+		if (!(key in query)) {
+			const values = searchParams.getAll(key);
+			query[key] = values.length === 1 ? values[0] : values;
+		}
+	}
+
+	return query;
+}
+
+/**
+ * Creates a description of a file or blob for messages, such as
+ * `File("avatar.png", image/png, 128 bytes)`.
+ * @param {Blob} blob The file or blob to describe.
+ * @returns {string} The description.
+ */
+export function describeBlob(blob) {
+	const { name } = /** @type {Blob & {name?:string}} */ (blob);
+	const details = [blob.type || "no type", `${blob.size} bytes`];
+
+	return name === undefined
+		? `Blob(${details.join(", ")})`
+		: `File(${JSON.stringify(name)}, ${details.join(", ")})`;
+}
+
+/**
+ * Returns the contents of a file from a multipart request body.
+ * @param {Blob} blob The file to get the contents of.
+ * @returns {Uint8Array|undefined} The contents or `undefined` if the file wasn't part of a request body.
+ */
+export function getBlobContents(blob) {
+	return blobContents.get(blob);
+}
+
 /**
  * Parses a URL and returns a URL object. This is used instead
  * of the URL constructor to provide a standard error message,
@@ -134,7 +383,7 @@ export function parseUrl(url) {
 /**
  * Reads the body from a request based on the HTTP headers.
  * @param {Request} request The request to read the body from.
- * @returns {Promise<string|any|FormData|null>} The body of the request.
+ * @returns {Promise<string|any|FormData|URLSearchParams|null>} The body of the request.
  */
 export async function getBody(request) {
 	// first get the content type
@@ -158,14 +407,43 @@ export async function getBody(request) {
 		return text;
 	}
 
+	const mediaType = contentType.split(";")[0].trim().toLowerCase();
+
+	// streaming JSON formats are parsed into an array of values
+	if (jsonLinesContentTypes.has(mediaType)) {
+		return parseJsonLines(text);
+	}
+
+	if (mediaType === jsonSequenceContentType) {
+		return parseJsonSequence(text);
+	}
+
 	// if the content type is JSON, parse the body as JSON
-	if (contentType.startsWith("application/json")) {
+	if (
+		contentType.startsWith("application/json") ||
+		mediaType.endsWith("+json")
+	) {
 		return request.json();
 	}
 
 	// if the content type is form data, parse the body as form data
 	if (contentType.startsWith("multipart/form-data")) {
-		return request.formData();
+		const formData = await request.formData();
+
+		for (const value of formData.values()) {
+			if (typeof value !== "string") {
+				blobContents.set(
+					value,
+					new Uint8Array(await value.arrayBuffer()),
+				);
+			}
+		}
+
+		return formData;
+	}
+
+	if (mediaType === formUrlEncodedContentType) {
+		return new URLSearchParams(text);
 	}
 
 	// otherwise return the body as bytes
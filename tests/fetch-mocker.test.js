@@ -3,7 +3,7 @@
  * @autor Nicholas C. Zakas
  */
 
-/* global AbortSignal, queueMicrotask, AbortController */
+/* global AbortSignal, queueMicrotask, AbortController, TextDecoderStream, FormData, Blob */
 
 //-----------------------------------------------------------------------------
 // Imports
@@ -82,6 +82,24 @@ Partial matches:
   ✅ Method matches: POST.
   ❌ Headers do not match. Expected authorization=Bearer ABC but received authorization=Bearer XYZ.`.trim();
 
+const NO_ROUTE_MATCHED_PREDICATE = `
+No route matched for POST https://api.example.com/orders.
+
+Full Request:
+
+POST https://api.example.com/orders
+Content-Type: application/json
+
+{"items":[{"quantity":0}]}
+
+Partial matches:
+
+🚧 [Route: POST https://api.example.com/orders -> 201]:
+  ✅ URL matches.
+  ✅ Method matches: POST.
+  ✅ Headers match.
+  ❌ Expected every item to have a quantity greater than 0.`.trim();
+
 const PREFLIGHT_FAILED = `
 Access to fetch at 'https://api.example.com/hello' from origin 'https://api.example.org' has been blocked by CORS policy: Response to preflight request doesn't pass access control check: It does not have HTTP ok status.
 `.trim();
@@ -327,6 +345,35 @@ describe("FetchMocker", () => {
 		);
 	});
 
+	it("should throw an error with the predicate message when a where predicate doesn't match", async () => {
+		const server = new MockServer(API_URL);
+		const fetchMocker = new FetchMocker({
+			servers: [server],
+		});
+
+		server.post(
+			{
+				url: "/orders",
+				where: request =>
+					request.body.items.every(item => item.quantity > 0) ||
+					"Expected every item to have a quantity greater than 0.",
+			},
+			201,
+		);
+
+		await assert.rejects(
+			fetchMocker.fetch(API_URL + "/orders", {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ items: [{ quantity: 0 }] }),
+			}),
+			{
+				name: "NoRouteMatchedError",
+				message: NO_ROUTE_MATCHED_PREDICATE,
+			},
+		);
+	});
+
 	it("should throw when base URL is empty", () => {
 		const server = new MockServer(API_URL);
 
@@ -421,6 +468,646 @@ describe("FetchMocker", () => {
 		});
 	});
 
+	describe("Network Errors", () => {
+		it("should reject with a TypeError shaped like Node.js fetch()", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", { error: "connection-reset" });
+
+			await assert.rejects(
+				fetchMocker.fetch(API_URL + "/hello"),
+				error => {
+					assert.ok(error instanceof TypeError);
+					assert.strictEqual(error.message, "fetch failed");
+					assert.strictEqual(error.cause.name, "SocketError");
+					assert.strictEqual(error.cause.code, "UND_ERR_SOCKET");
+					assert.strictEqual(
+						error.cause.message,
+						"other side closed",
+					);
+					return true;
+				},
+			);
+		});
+
+		it("should include the hostname in DNS errors", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", { error: "dns" });
+
+			await assert.rejects(
+				fetchMocker.fetch(API_URL + "/hello"),
+				error => {
+					assert.strictEqual(error.cause.code, "ENOTFOUND");
+					assert.strictEqual(error.cause.syscall, "getaddrinfo");
+					assert.strictEqual(error.cause.hostname, "api.example.com");
+					assert.strictEqual(
+						error.cause.message,
+						"getaddrinfo ENOTFOUND api.example.com",
+					);
+					return true;
+				},
+			);
+		});
+
+		it("should record the failed request", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", { error: "timeout" });
+
+			await assert.rejects(fetchMocker.fetch(API_URL + "/hello"));
+
+			assert.strictEqual(fetchMocker.requests.length, 1);
+			assert.strictEqual(fetchMocker.requests[0].error, "timeout");
+			assert.strictEqual(fetchMocker.requests[0].status, 0);
+			assert.ok(fetchMocker.allRoutesCalled());
+		});
+
+		it("should reject when a redirect target has a network error", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/old", {
+				status: 301,
+				headers: { Location: API_URL + "/new" },
+			});
+			server.get("/new", { error: "offline" });
+
+			await assert.rejects(fetchMocker.fetch(API_URL + "/old"), error => {
+				assert.strictEqual(error.message, "fetch failed");
+				assert.strictEqual(error.cause.code, "ENETUNREACH");
+				return true;
+			});
+		});
+	});
+
+	describe("Contract Validation", () => {
+		it("should reject with the violations and record the request", async () => {
+			const server = new MockServer(API_URL, {
+				contract: {
+					openapi: "3.0.3",
+					paths: {
+						"/hello": {
+							get: {
+								responses: {
+									200: {
+										content: {
+											"application/json": {
+												schema: { type: "object" },
+											},
+										},
+									},
+								},
+							},
+						},
+					},
+				},
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", { status: 200, body: [1, 2] });
+
+			await assert.rejects(
+				fetchMocker.fetch(API_URL + "/hello"),
+				error => {
+					assert.strictEqual(error.name, "ContractViolationError");
+					assert.deepStrictEqual(error.violations, [
+						"response.body must be of type object but was array.",
+					]);
+					return true;
+				},
+			);
+
+			assert.strictEqual(fetchMocker.requests.length, 1);
+			assert.strictEqual(fetchMocker.requests[0].status, 200);
+		});
+	});
+
+	describe("Streaming Responses", () => {
+		it("should deliver each chunk through the response body stream", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/stream", {
+				status: 200,
+				headers: { "content-type": "text/plain" },
+				stream: ["Hello", { data: " world", delay: 20 }],
+			});
+
+			const response = await fetchMocker.fetch(API_URL + "/stream");
+			const reader = response.body
+				.pipeThrough(new TextDecoderStream())
+				.getReader();
+
+			assert.deepStrictEqual(await reader.read(), {
+				value: "Hello",
+				done: false,
+			});
+			assert.deepStrictEqual(await reader.read(), {
+				value: " world",
+				done: false,
+			});
+			assert.deepStrictEqual(await reader.read(), {
+				value: undefined,
+				done: true,
+			});
+		});
+
+		it("should allow reading the whole stream as text", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/stream", { status: 200, stream: ["a", "b", "c"] });
+
+			const response = await fetchMocker.fetch(API_URL + "/stream");
+
+			assert.strictEqual(await response.text(), "abc");
+		});
+	});
+
+	describe("Server-Sent Events", () => {
+		it("should stream events that can be read incrementally", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/events", {
+				status: 200,
+				events: [
+					{ event: "token", data: "Hello" },
+					{ event: "token", data: " world", delay: 10 },
+					{ event: "done", data: { finished: true } },
+				],
+			});
+
+			const response = await fetchMocker.fetch(API_URL + "/events", {
+				headers: { accept: "text/event-stream" },
+			});
+			const messages = [];
+
+			for await (const text of response.body.pipeThrough(
+				new TextDecoderStream(),
+			)) {
+				messages.push(text);
+			}
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"text/event-stream",
+			);
+			assert.deepStrictEqual(messages, [
+				"event: token\ndata: Hello\n\n",
+				"event: token\ndata:  world\n\n",
+				'event: done\ndata: {"finished":true}\n\n',
+			]);
+		});
+	});
+
+	describe("requests", () => {
+		it("should return the requests responded to by all servers in order", async () => {
+			const server = new MockServer(API_URL);
+			const altServer = new MockServer(ALT_BASE_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server, altServer],
+			});
+
+			server.post("/hello", 201);
+			altServer.get("/goodbye", 200);
+
+			await fetchMocker.fetch(ALT_BASE_URL + "/goodbye");
+			await fetchMocker.fetch(API_URL + "/hello", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify({ name: "Alice" }),
+			});
+
+			const { requests } = fetchMocker;
+
+			assert.strictEqual(requests.length, 2);
+			assert.strictEqual(
+				requests[0].request.url,
+				ALT_BASE_URL + "/goodbye",
+			);
+			assert.strictEqual(requests[0].status, 200);
+			assert.strictEqual(requests[1].request.method, "POST");
+			assert.deepStrictEqual(requests[1].body, { name: "Alice" });
+			assert.strictEqual(
+				requests[1].route,
+				"🚧 [Route: POST https://api.example.com/hello -> 201]",
+			);
+			assert.strictEqual(requests[1].status, 201);
+		});
+
+		it("should include redirected requests", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/old", {
+				status: 301,
+				headers: { Location: API_URL + "/new" },
+			});
+			server.get("/new", 200);
+
+			await fetchMocker.fetch(API_URL + "/old");
+
+			assert.deepStrictEqual(
+				fetchMocker.requests.map(({ request, status }) => [
+					request.url,
+					status,
+				]),
+				[
+					[API_URL + "/old", 301],
+					[API_URL + "/new", 200],
+				],
+			);
+		});
+
+		it("should be empty after clearAll() is called", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", 200);
+
+			await fetchMocker.fetch(API_URL + "/hello");
+			fetchMocker.clearAll();
+
+			assert.deepStrictEqual(fetchMocker.requests, []);
+		});
+	});
+
+	describe("toHAR()", () => {
+		it("should include each request and response", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.post("/users", {
+				status: 201,
+				headers: { "x-id": "1" },
+				body: { id: 1 },
+			});
+
+			await fetchMocker.fetch(API_URL + "/users?notify=true", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify({ name: "Alice" }),
+			});
+
+			const har = await fetchMocker.toHAR();
+
+			assert.strictEqual(har.log.version, "1.2");
+			assert.strictEqual(har.log.creator.name, "mentoss");
+			assert.strictEqual(har.log.entries.length, 1);
+
+			const [entry] = har.log.entries;
+
+			assert.strictEqual(entry.request.method, "POST");
+			assert.strictEqual(
+				entry.request.url,
+				API_URL + "/users?notify=true",
+			);
+			assert.deepStrictEqual(entry.request.queryString, [
+				{ name: "notify", value: "true" },
+			]);
+			assert.deepStrictEqual(entry.request.postData, {
+				mimeType: "application/json",
+				text: '{"name":"Alice"}',
+			});
+			assert.strictEqual(entry.response.status, 201);
+			assert.strictEqual(entry.response.statusText, "Created");
+			assert.deepStrictEqual(entry.response.headers, [
+				{ name: "content-type", value: "application/json" },
+				{ name: "x-id", value: "1" },
+			]);
+			assert.deepStrictEqual(entry.response.content, {
+				size: 8,
+				mimeType: "application/json",
+				text: '{"id":1}',
+			});
+			assert.strictEqual(
+				entry.comment,
+				"🚧 [Route: POST https://api.example.com/users -> 201]",
+			);
+			assert.ok(!Number.isNaN(Date.parse(entry.startedDateTime)));
+		});
+
+		it("should not prevent the response from being read", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", { status: 200, body: "Hello!" });
+
+			const response = await fetchMocker.fetch(API_URL + "/hello");
+			const har = await fetchMocker.toHAR();
+
+			assert.strictEqual(await response.text(), "Hello!");
+			assert.strictEqual(
+				har.log.entries[0].response.content.text,
+				"Hello!",
+			);
+		});
+
+		it("should include redirects and preflights as separate entries", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+				baseUrl: ALT_BASE_URL,
+			});
+			const origin = new URL(ALT_BASE_URL).origin;
+
+			server.options("/old", {
+				status: 204,
+				headers: {
+					"Access-Control-Allow-Origin": origin,
+					"Access-Control-Allow-Headers": "*",
+				},
+			});
+			server.get("/old", {
+				status: 302,
+				headers: {
+					Location: API_URL + "/new",
+					"Access-Control-Allow-Origin": origin,
+					"Access-Control-Expose-Headers": "Location",
+				},
+			});
+			server.get("/new", {
+				status: 200,
+				headers: { "Access-Control-Allow-Origin": origin },
+			});
+
+			await fetchMocker.fetch(API_URL + "/old", {
+				headers: { Foo: "Bar" },
+			});
+
+			const har = await fetchMocker.toHAR();
+
+			assert.deepStrictEqual(
+				har.log.entries.map(({ request, response }) => [
+					request.method,
+					request.url,
+					response.status,
+					response.redirectURL,
+				]),
+				[
+					["OPTIONS", API_URL + "/old", 204, ""],
+					["GET", API_URL + "/old", 302, API_URL + "/new"],
+					["GET", API_URL + "/new", 200, ""],
+				],
+			);
+		});
+
+		it("should include request bodies that have already been read", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.post("/users", 201);
+
+			await fetchMocker.fetch(API_URL + "/users", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify({ name: "Alice" }),
+			});
+
+			await server.calls[0].request.text();
+
+			const [entry] = (await fetchMocker.toHAR()).log.entries;
+
+			assert.deepStrictEqual(entry.request.postData, {
+				mimeType: "application/json",
+				text: '{"name":"Alice"}',
+			});
+		});
+
+		it("should record files in multipart bodies by name", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+			const formData = new FormData();
+
+			formData.append("name", "Alice");
+			formData.append(
+				"avatar",
+				new Blob(["GIF89a"], { type: "image/gif" }),
+				"avatar.gif",
+			);
+			server.post("/upload", 201);
+
+			await fetchMocker.fetch(API_URL + "/upload", {
+				method: "POST",
+				body: formData,
+			});
+
+			const [entry] = (await fetchMocker.toHAR()).log.entries;
+
+			assert.match(
+				entry.request.postData.mimeType,
+				/^multipart\/form-data/u,
+			);
+			assert.deepStrictEqual(entry.request.postData.params, [
+				{ name: "name", value: "Alice" },
+				{
+					name: "avatar",
+					fileName: "avatar.gif",
+					contentType: "image/gif",
+				},
+			]);
+		});
+
+		it("should encode binary bodies as base64 and record network errors", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/image", {
+				status: 200,
+				headers: { "content-type": "image/png" },
+				body: new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer,
+			});
+			server.get("/offline", { error: "offline" });
+
+			await fetchMocker.fetch(API_URL + "/image");
+			await assert.rejects(fetchMocker.fetch(API_URL + "/offline"));
+
+			const [image, offline] = (await fetchMocker.toHAR()).log.entries;
+
+			assert.deepStrictEqual(image.response.content, {
+				size: 4,
+				mimeType: "image/png",
+				text: "iVBORw==",
+				encoding: "base64",
+			});
+			assert.strictEqual(offline.response.status, 0);
+			assert.strictEqual(offline.response._error, "offline");
+		});
+	});
+
+	describe("assertCalledTimes()", () => {
+		it("should count requests across all servers", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", 200, { times: 2 });
+
+			await fetchMocker.fetch(API_URL + "/hello");
+			await fetchMocker.fetch(API_URL + "/hello");
+
+			fetchMocker.assertCalledTimes(API_URL + "/hello", 2);
+			assert.throws(
+				() => {
+					fetchMocker.assertCalledTimes(API_URL + "/hello", 3);
+				},
+				{
+					name: "CallAssertionError",
+					message:
+						/^Expected GET https:\/\/api.example.com\/hello to be called 3 times but it was called 2 times\./u,
+				},
+			);
+		});
+
+		it("should count automatic responses", async () => {
+			const server = new MockServer(API_URL, { autoMethods: true });
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/users", 200);
+
+			const response = await fetchMocker.fetch(API_URL + "/users", {
+				method: "DELETE",
+			});
+
+			assert.strictEqual(response.status, 405);
+			fetchMocker.assertCalledTimes(
+				{ method: "DELETE", url: API_URL + "/users" },
+				1,
+			);
+		});
+
+		it("should count a JSON-RPC batch as one request", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.jsonrpc("/rpc", "add", { result: 3 }, { times: 2 });
+
+			await fetchMocker.fetch(API_URL + "/rpc", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify([
+					{ jsonrpc: "2.0", method: "add", id: 1 },
+					{ jsonrpc: "2.0", method: "add", id: 2 },
+				]),
+			});
+
+			fetchMocker.assertCalledTimes(
+				{ method: "POST", url: API_URL + "/rpc" },
+				1,
+			);
+			assert.strictEqual(fetchMocker.requests.length, 1);
+		});
+	});
+
+	describe("assertNotCalled()", () => {
+		it("should throw when a request was made", async () => {
+			const server = new MockServer(API_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+			});
+
+			server.get("/hello", 200);
+			server.get("/goodbye", 200);
+
+			await fetchMocker.fetch(API_URL + "/hello");
+
+			fetchMocker.assertNotCalled(API_URL + "/goodbye");
+			assert.throws(
+				() => {
+					fetchMocker.assertNotCalled(API_URL + "/hello");
+				},
+				{
+					name: "CallAssertionError",
+					message: /not to be called but it was called 1 time/u,
+				},
+			);
+		});
+	});
+
+	describe("assertCalledInOrder()", () => {
+		it("should check the order of requests across servers", async () => {
+			const server = new MockServer(API_URL);
+			const altServer = new MockServer(ALT_BASE_URL);
+			const fetchMocker = new FetchMocker({
+				servers: [server, altServer],
+			});
+
+			server.get("/hello", 200);
+			altServer.get("/goodbye", 200);
+
+			await fetchMocker.fetch(ALT_BASE_URL + "/goodbye");
+			await fetchMocker.fetch(API_URL + "/hello");
+
+			fetchMocker.assertCalledInOrder([
+				ALT_BASE_URL + "/goodbye",
+				API_URL + "/hello",
+			]);
+
+			assert.throws(
+				() => {
+					fetchMocker.assertCalledInOrder([
+						API_URL + "/hello",
+						ALT_BASE_URL + "/goodbye",
+					]);
+				},
+				{
+					name: "CallAssertionError",
+					message: `Expected requests to be called in order:
+
+1. GET ${API_URL}/hello
+2. GET ${ALT_BASE_URL}/goodbye
+
+❌ GET ${ALT_BASE_URL}/goodbye was not called after GET ${API_URL}/hello.
+
+Received requests:
+
+1. GET ${ALT_BASE_URL}/goodbye -> 200
+2. GET ${API_URL}/hello -> 200`,
+				},
+			);
+		});
+	});
+
 	describe("allRoutesCalled()", () => {
 		const ALT_BASE_URL = "https://api.example.org";
 
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tests for the GraphQL utilities.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "node:assert";
+import {
+	normalizeDocument,
+	parseGraphQLRequest,
+	toGraphQLResponse,
+} from "../src/graphql.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("graphql", () => {
+	describe("normalizeDocument()", () => {
+		it("should ignore whitespace, commas, and comments", () => {
+			assert.strictEqual(
+				normalizeDocument(`
+					# a comment
+					query GetUser($id: ID!) {
+						user(id: $id) { id, name }
+					}
+				`),
+				normalizeDocument(
+					"query GetUser($id:ID!){user(id:$id){id name}}",
+				),
+			);
+		});
+
+		it("should keep whitespace inside strings", () => {
+			assert.notStrictEqual(
+				normalizeDocument('{ search(text: "a  b") { id } }'),
+				normalizeDocument('{ search(text: "a b") { id } }'),
+			);
+		});
+	});
+
+	describe("parseGraphQLRequest()", () => {
+		it("should parse a POST request", () => {
+			assert.deepStrictEqual(
+				parseGraphQLRequest({
+					method: "POST",
+					body: {
+						query: "mutation AddUser { addUser { id } }",
+						variables: { name: "Alice" },
+					},
+				}),
+				{
+					operationType: "mutation",
+					operationName: "AddUser",
+					query: "mutation AddUser { addUser { id } }",
+					variables: { name: "Alice" },
+				},
+			);
+		});
+
+		it("should parse a GET request with JSON variables", () => {
+			assert.deepStrictEqual(
+				parseGraphQLRequest({
+					method: "GET",
+					query: {
+						query: "{ user(id: 1) { id } }",
+						variables: '{"id":1}',
+					},
+				}),
+				{
+					operationType: "query",
+					operationName: undefined,
+					query: "{ user(id: 1) { id } }",
+					variables: { id: 1 },
+				},
+			);
+		});
+
+		it("should find the named operation and skip fragments", () => {
+			const operation = parseGraphQLRequest({
+				method: "POST",
+				body: {
+					query: `
+						fragment UserFields on User { id name }
+						query ($query: String) { search(query: $query) { ...UserFields } }
+						subscription OnUser @live { user { ...UserFields } }
+					`,
+					operationName: "OnUser",
+				},
+			});
+
+			assert.strictEqual(operation.operationType, "subscription");
+			assert.strictEqual(operation.operationName, "OnUser");
+		});
+
+		it("should return undefined when the operation is ambiguous", () => {
+			assert.strictEqual(
+				parseGraphQLRequest({
+					method: "POST",
+					body: { query: "query A { a } query B { b }" },
+				}),
+				undefined,
+			);
+		});
+
+		it("should return undefined when the variables aren't valid JSON", () => {
+			assert.strictEqual(
+				parseGraphQLRequest({
+					method: "GET",
+					query: { query: "{ a }", variables: "{" },
+				}),
+				undefined,
+			);
+		});
+	});
+
+	describe("toGraphQLResponse()", () => {
+		it("should convert a GraphQL result into a response pattern", () => {
+			assert.deepStrictEqual(
+				toGraphQLResponse({ data: null, errors: ["Not found"] }),
+				{
+					status: 200,
+					body: { data: null, errors: [{ message: "Not found" }] },
+				},
+			);
+		});
+
+		it("should return status codes and response patterns unchanged", () => {
+			const responsePattern = { status: 500, body: "Error" };
+
+			assert.strictEqual(toGraphQLResponse(404), 404);
+			assert.strictEqual(
+				toGraphQLResponse(responsePattern),
+				responsePattern,
+			);
+		});
+	});
+});
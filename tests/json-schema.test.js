@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Tests for the JSON Schema validator.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "node:assert";
+import { coerceValue, validateSchema } from "../src/json-schema.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("json-schema", () => {
+	describe("validateSchema()", () => {
+		it("should return no violations for a valid value", () => {
+			assert.deepStrictEqual(
+				validateSchema(
+					{},
+					{
+						type: "object",
+						required: ["tags"],
+						properties: {
+							tags: {
+								type: "array",
+								items: { type: "string", minLength: 1 },
+							},
+						},
+					},
+					{ tags: ["a", "b"] },
+					"body",
+				),
+				[],
+			);
+		});
+
+		it("should report the path of each nested violation", () => {
+			assert.deepStrictEqual(
+				validateSchema(
+					{},
+					{
+						type: "object",
+						additionalProperties: false,
+						properties: {
+							tags: {
+								type: "array",
+								maxItems: 1,
+								items: { type: "string" },
+							},
+						},
+					},
+					{ tags: ["a", 2], extra: true },
+					"body",
+				),
+				[
+					"body.tags must have at most 1 items.",
+					"body.tags[1] must be of type string but was number.",
+					"body.extra is not allowed.",
+				],
+			);
+		});
+
+		it("should check string, number, and enum constraints", () => {
+			const schema = {
+				type: "object",
+				properties: {
+					code: { type: "string", pattern: "^[A-Z]+$" },
+					count: {
+						type: "integer",
+						minimum: 1,
+						exclusiveMaximum: 10,
+					},
+					color: { enum: ["red", "blue"] },
+				},
+			};
+
+			assert.deepStrictEqual(
+				validateSchema(
+					{},
+					schema,
+					{ code: "abc", count: 10, color: "green" },
+					"body",
+				),
+				[
+					"body.code must match the pattern ^[A-Z]+$.",
+					"body.count must be less than 10.",
+					'body.color must be one of: "red", "blue".',
+				],
+			);
+		});
+
+		it("should check patterns that are only valid without the u flag", () => {
+			const schema = { type: "string", pattern: "^\\d{3}\\-\\d{4}$" };
+
+			assert.deepStrictEqual(
+				validateSchema({}, schema, "555-1234", "phone"),
+				[],
+			);
+			assert.deepStrictEqual(
+				validateSchema({}, schema, "5551234", "phone"),
+				["phone must match the pattern ^\\d{3}\\-\\d{4}$."],
+			);
+		});
+
+		it("should report an invalid pattern as a violation", () => {
+			assert.deepStrictEqual(
+				validateSchema(
+					{},
+					{ type: "string", pattern: "(" },
+					"a",
+					"name",
+				),
+				["name has an invalid pattern (."],
+			);
+		});
+
+		it("should allow null for nullable schemas and type arrays", () => {
+			assert.deepStrictEqual(
+				validateSchema(
+					{},
+					{ type: "string", nullable: true },
+					null,
+					"x",
+				),
+				[],
+			);
+			assert.deepStrictEqual(
+				validateSchema({}, { type: ["string", "null"] }, null, "x"),
+				[],
+			);
+			assert.deepStrictEqual(
+				validateSchema({}, { type: "string" }, null, "x"),
+				["x must be of type string but was null."],
+			);
+		});
+
+		it("should check combinators and resolve references", () => {
+			const document = {
+				components: {
+					schemas: {
+						Id: { type: "integer" },
+						Name: { type: "string" },
+					},
+				},
+			};
+			const schema = {
+				oneOf: [
+					{ $ref: "#/components/schemas/Id" },
+					{ $ref: "#/components/schemas/Name" },
+				],
+			};
+
+			assert.deepStrictEqual(
+				validateSchema(document, schema, 1, "id"),
+				[],
+			);
+			assert.deepStrictEqual(
+				validateSchema(document, schema, true, "id"),
+				["id must match exactly one schema in oneOf but matched 0."],
+			);
+		});
+	});
+
+	describe("coerceValue()", () => {
+		it("should convert strings into the schema type", () => {
+			assert.strictEqual(coerceValue({}, { type: "integer" }, "42"), 42);
+			assert.strictEqual(
+				coerceValue({}, { type: "boolean" }, "true"),
+				true,
+			);
+			assert.deepStrictEqual(
+				coerceValue({}, { type: "array", items: { type: "number" } }, [
+					"1",
+					"2.5",
+				]),
+				[1, 2.5],
+			);
+		});
+
+		it("should return strings that can't be converted as-is", () => {
+			assert.strictEqual(
+				coerceValue({}, { type: "integer" }, "abc"),
+				"abc",
+			);
+			assert.strictEqual(coerceValue({}, undefined, ["a", "b"]), "a");
+		});
+	});
+});
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Tests for the asymmetric matchers.
+ * @author Nicholas C. Zakas
+ */
+
+/* globals Blob */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "node:assert";
+import { File } from "node:buffer";
+import { findDifferences, match, valuesMatch } from "../src/matchers.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("match", () => {
+	describe("any()", () => {
+		it("should match primitive values by type", () => {
+			assert.strictEqual(match.any(String).matches("hello"), true);
+			assert.strictEqual(match.any(String).matches(1), false);
+			assert.strictEqual(match.any(Number).matches(1), true);
+			assert.strictEqual(match.any(Boolean).matches(false), true);
+		});
+
+		it("should match arrays, objects, and class instances", () => {
+			assert.strictEqual(match.any(Array).matches([1]), true);
+			assert.strictEqual(match.any(Object).matches({}), true);
+			assert.strictEqual(match.any(Object).matches(null), false);
+			assert.strictEqual(match.any(Date).matches(new Date()), true);
+			assert.strictEqual(match.any(Date).matches("2024-01-01"), false);
+		});
+
+		it("should throw an error when the type isn't a function", () => {
+			assert.throws(() => {
+				match.any("string");
+			}, /match.any\(\) requires a constructor/u);
+		});
+
+		it("should describe itself using the type name", () => {
+			assert.strictEqual(String(match.any(String)), "match.any(String)");
+		});
+	});
+
+	describe("anything()", () => {
+		it("should match anything except null and undefined", () => {
+			assert.strictEqual(match.anything().matches(0), true);
+			assert.strictEqual(match.anything().matches(""), true);
+			assert.strictEqual(match.anything().matches(null), false);
+			assert.strictEqual(match.anything().matches(undefined), false);
+		});
+	});
+
+	describe("absent()", () => {
+		it("should only match undefined", () => {
+			assert.strictEqual(match.absent().matches(undefined), true);
+			assert.strictEqual(match.absent().matches(""), false);
+			assert.strictEqual(match.absent().matches(null), false);
+		});
+
+		it("should match missing properties", () => {
+			assert.strictEqual(
+				valuesMatch({ id: 1 }, { debug: match.absent() }),
+				true,
+			);
+			assert.strictEqual(
+				valuesMatch({ debug: true }, { debug: match.absent() }),
+				false,
+			);
+		});
+	});
+
+	describe("regex()", () => {
+		it("should match strings that match the pattern", () => {
+			const matcher = match.regex(/^Bearer /u);
+
+			assert.strictEqual(matcher.matches("Bearer abc"), true);
+			assert.strictEqual(matcher.matches("Basic abc"), false);
+			assert.strictEqual(matcher.matches(123), false);
+			assert.strictEqual(String(matcher), "match.regex(/^Bearer /u)");
+		});
+
+		it("should match repeatedly with a global regular expression", () => {
+			const matcher = match.regex(/a/gu);
+
+			assert.strictEqual(matcher.matches("a"), true);
+			assert.strictEqual(matcher.matches("a"), true);
+		});
+
+		it("should accept a string pattern", () => {
+			assert.strictEqual(match.regex("^\\d+$").matches("123"), true);
+		});
+	});
+
+	describe("oneOf()", () => {
+		it("should match any of the values", () => {
+			const matcher = match.oneOf("asc", "desc", match.regex(/^r/u));
+
+			assert.strictEqual(matcher.matches("desc"), true);
+			assert.strictEqual(matcher.matches("random"), true);
+			assert.strictEqual(matcher.matches("up"), false);
+			assert.strictEqual(
+				String(matcher),
+				'match.oneOf("asc", "desc", match.regex(/^r/u))',
+			);
+		});
+	});
+
+	describe("stringContaining()", () => {
+		it("should match strings that contain the substring", () => {
+			const matcher = match.stringContaining("json");
+
+			assert.strictEqual(matcher.matches("application/json"), true);
+			assert.strictEqual(matcher.matches("text/plain"), false);
+		});
+	});
+
+	describe("arrayContaining()", () => {
+		it("should match arrays that contain the items in any order", () => {
+			const matcher = match.arrayContaining([3, match.any(String)]);
+
+			assert.strictEqual(matcher.matches([1, "two", 3]), true);
+			assert.strictEqual(matcher.matches([1, 2, 3]), false);
+			assert.strictEqual(matcher.matches("3"), false);
+		});
+	});
+
+	describe("arrayInAnyOrder()", () => {
+		it("should match arrays with the same items in any order", () => {
+			const matcher = match.arrayInAnyOrder([1, 2, 3]);
+
+			assert.strictEqual(matcher.matches([3, 1, 2]), true);
+			assert.strictEqual(matcher.matches([1, 2]), false);
+			assert.strictEqual(matcher.matches([1, 2, 3, 4]), false);
+			assert.strictEqual(matcher.matches([1, 1, 2]), false);
+		});
+
+		it("should try other items when a matcher matches more than one item", () => {
+			const matcher = match.arrayInAnyOrder([match.any(String), "a"]);
+
+			assert.strictEqual(matcher.matches(["a", "b"]), true);
+		});
+	});
+
+	describe("objectContaining()", () => {
+		it("should match objects inside of arrays", () => {
+			const matcher = match.arrayContaining([
+				match.objectContaining({ id: match.any(Number) }),
+			]);
+
+			assert.strictEqual(matcher.matches([{ id: 1, name: "A" }]), true);
+			assert.strictEqual(matcher.matches([{ id: "1" }]), false);
+		});
+	});
+
+	describe("file()", () => {
+		it("should match files by name, type, and size", () => {
+			const file = new File(["abc"], "notes.txt", { type: "text/plain" });
+
+			assert.strictEqual(match.file().matches(file), true);
+			assert.strictEqual(
+				match
+					.file({
+						name: match.regex(/\.txt$/u),
+						type: "text/plain",
+						size: 3,
+					})
+					.matches(file),
+				true,
+			);
+			assert.strictEqual(match.file({ size: 4 }).matches(file), false);
+			assert.strictEqual(match.file().matches("notes.txt"), false);
+		});
+
+		it("should not match the content of a file that isn't from a request body", () => {
+			const blob = new Blob(["abc"]);
+
+			assert.strictEqual(
+				match.file({ content: "abc" }).matches(blob),
+				false,
+			);
+		});
+
+		it("should describe binary content by its size", () => {
+			assert.strictEqual(
+				String(
+					match.file({ name: "a.png", content: new ArrayBuffer(4) }),
+				),
+				'match.file({"name":"a.png","content":"4 bytes"})',
+			);
+		});
+	});
+
+	describe("isoDate()", () => {
+		it("should match ISO 8601 date strings", () => {
+			const matcher = match.isoDate();
+
+			assert.strictEqual(matcher.matches("2024-01-31"), true);
+			assert.strictEqual(
+				matcher.matches("2024-01-31T12:00:00.000Z"),
+				true,
+			);
+			assert.strictEqual(matcher.matches("2024-13-45"), false);
+			assert.strictEqual(matcher.matches("January 31, 2024"), false);
+		});
+	});
+});
+
+describe("valuesMatch()", () => {
+	it("should compare objects partially and recursively", () => {
+		assert.strictEqual(
+			valuesMatch(
+				{ user: { id: 1, name: "Alice" }, extra: true },
+				{ user: { id: match.any(Number) } },
+			),
+			true,
+		);
+		assert.strictEqual(
+			valuesMatch({ user: null }, { user: { id: 1 } }),
+			false,
+		);
+	});
+
+	it("should compare arrays in order", () => {
+		assert.strictEqual(valuesMatch([1, 2, 3], [1, 2, 3]), true);
+		assert.strictEqual(valuesMatch([1, 2, 3], [1]), false);
+		assert.strictEqual(valuesMatch([3, 2, 1], [1, 2, 3]), false);
+		assert.strictEqual(valuesMatch({ 0: 1 }, [1]), false);
+	});
+
+	it("should not allow extra properties when exact", () => {
+		assert.strictEqual(valuesMatch({ a: 1, b: 2 }, { a: 1 }, true), false);
+		assert.strictEqual(valuesMatch({ a: 1 }, { a: 1 }, true), true);
+	});
+
+	it("should describe matchers in JSON", () => {
+		assert.strictEqual(
+			JSON.stringify({ id: match.any(Number) }),
+			'{"id":"match.any(Number)"}',
+		);
+	});
+});
+
+describe("findDifferences()", () => {
+	it("should return an empty array when the values match", () => {
+		assert.deepStrictEqual(findDifferences({ a: [1] }, { a: [1] }), []);
+	});
+
+	it("should return the path of every differing value", () => {
+		const differences = findDifferences(
+			{
+				name: "Bob",
+				items: [{ quantity: 0 }, { quantity: 2 }],
+				"content-type": "text/plain",
+			},
+			{
+				name: "Alice",
+				items: [{ quantity: 1 }, { quantity: 2 }, { quantity: 3 }],
+				"content-type": match.stringContaining("json"),
+			},
+		);
+
+		assert.deepStrictEqual(differences, [
+			{
+				path: "$.name",
+				message: 'Expected "Alice" but received "Bob".',
+			},
+			{
+				path: "$.items",
+				message: "Expected 3 items but received 2.",
+			},
+			{
+				path: "$.items[0].quantity",
+				message: "Expected 1 but received 0.",
+			},
+			{
+				path: '$["content-type"]',
+				message:
+					'Expected match.stringContaining("json") but received "text/plain".',
+			},
+		]);
+	});
+
+	it("should return extra properties when exact", () => {
+		assert.deepStrictEqual(
+			findDifferences(
+				{ user: { id: 1, admin: true } },
+				{ user: { id: 1 } },
+				{
+					exact: true,
+				},
+			),
+			[
+				{
+					path: "$.user.admin",
+					message: "Expected no value but received true.",
+				},
+			],
+		);
+	});
+
+	it("should return a difference when the types don't match", () => {
+		assert.deepStrictEqual(
+			findDifferences({ items: "none" }, { items: [] }),
+			[
+				{
+					path: "$.items",
+					message: 'Expected an array but received "none".',
+				},
+			],
+		);
+	});
+});
@@ -17,6 +17,31 @@ import { MockAgent } from "../src/mock-agent.js";
 
 const API_URL = "https://api.example.com";
 
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Dispatches a request and waits for it to complete.
+ * @param {MockAgent} agent The agent to dispatch with.
+ * @param {Object} options The dispatch options.
+ * @returns {Promise<void>} A promise that resolves when the request completes.
+ */
+function dispatchAndWait(agent, options) {
+	return new Promise((resolve, reject) => {
+		agent.dispatch(options, {
+			onHeaders() {},
+			onData() {},
+			onComplete() {
+				resolve();
+			},
+			onError(err) {
+				reject(err);
+			},
+		});
+	});
+}
+
 //-----------------------------------------------------------------------------
 // Tests
 //-----------------------------------------------------------------------------
@@ -628,6 +653,280 @@ describe("MockAgent", () => {
 		});
 	});
 
+	describe("Network Errors", () => {
+		it("should call onError with an undici-style error", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/hello", { error: "connection-reset" });
+
+			const agent = new MockAgent({ servers: [server] });
+
+			await assert.rejects(
+				dispatchAndWait(agent, {
+					origin: API_URL,
+					path: "/hello",
+					method: "GET",
+				}),
+				{
+					name: "SocketError",
+					code: "UND_ERR_SOCKET",
+					message: "other side closed",
+				},
+			);
+		});
+
+		it("should use undici error codes for each error type", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/dns", { error: "dns" });
+			server.get("/timeout", { error: "timeout" });
+			server.get("/offline", { error: "offline" });
+
+			const agent = new MockAgent({ servers: [server] });
+			const codes = [];
+
+			for (const path of ["/dns", "/timeout", "/offline"]) {
+				await dispatchAndWait(agent, {
+					origin: API_URL,
+					path,
+					method: "GET",
+				}).catch(err => codes.push(err.code));
+			}
+
+			assert.deepStrictEqual(codes, [
+				"ENOTFOUND",
+				"UND_ERR_CONNECT_TIMEOUT",
+				"ENETUNREACH",
+			]);
+			assert.deepStrictEqual(
+				agent.requests.map(call => call.error),
+				["dns", "timeout", "offline"],
+			);
+		});
+	});
+
+	describe("Streaming Responses", () => {
+		it("should call onData once for each chunk", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/stream", {
+				status: 200,
+				stream: ["Hello", { data: ", ", delay: 10 }, "world!"],
+			});
+
+			const agent = new MockAgent({ servers: [server] });
+			const chunks = [];
+
+			await new Promise((resolve, reject) => {
+				agent.dispatch(
+					{ origin: API_URL, path: "/stream", method: "GET" },
+					{
+						onHeaders() {},
+						onData(chunk) {
+							chunks.push(chunk.toString());
+						},
+						onComplete() {
+							resolve();
+						},
+						onError(err) {
+							reject(err);
+						},
+					},
+				);
+			});
+
+			assert.deepStrictEqual(chunks, ["Hello", ", ", "world!"]);
+		});
+
+		it("should stop a stream that's kept open when the request is aborted", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/events", {
+				status: 200,
+				events: [{ data: "ready" }],
+				keepOpen: true,
+			});
+
+			const agent = new MockAgent({ servers: [server] });
+			const reason = new Error("Client closed the connection.");
+			let abort;
+
+			const error = await new Promise(resolve => {
+				agent.dispatch(
+					{ origin: API_URL, path: "/events", method: "GET" },
+					{
+						onConnect(abortRequest) {
+							abort = abortRequest;
+						},
+						onHeaders() {},
+						onData() {
+							abort(reason);
+						},
+						onComplete() {
+							resolve(new Error("Request completed."));
+						},
+						onError: resolve,
+					},
+				);
+			});
+
+			assert.strictEqual(error, reason);
+		});
+	});
+
+	describe("requests", () => {
+		it("should return the requests responded to in order", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/hello", { status: 200 });
+			server.post("/data", { status: 201 });
+
+			const agent = new MockAgent({ servers: [server] });
+
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/data",
+				method: "POST",
+			});
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/hello",
+				method: "GET",
+			});
+
+			assert.deepStrictEqual(
+				agent.requests.map(({ request, status }) => [
+					request.method,
+					request.url,
+					status,
+				]),
+				[
+					["POST", `${API_URL}/data`, 201],
+					["GET", `${API_URL}/hello`, 200],
+				],
+			);
+		});
+	});
+
+	describe("toHAR()", () => {
+		it("should include each request and response", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/hello", { status: 200, body: { message: "Hi" } });
+
+			const agent = new MockAgent({ servers: [server] });
+
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/hello?name=Alice",
+				method: "GET",
+			});
+
+			const har = await agent.toHAR();
+			const [entry] = har.log.entries;
+
+			assert.strictEqual(har.log.version, "1.2");
+			assert.strictEqual(
+				entry.request.url,
+				`${API_URL}/hello?name=Alice`,
+			);
+			assert.deepStrictEqual(entry.request.queryString, [
+				{ name: "name", value: "Alice" },
+			]);
+			assert.strictEqual(entry.response.status, 200);
+			assert.strictEqual(
+				entry.response.content.text,
+				JSON.stringify({ message: "Hi" }),
+			);
+		});
+	});
+
+	describe("assertCalledTimes()", () => {
+		it("should throw when the number of calls is different", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/hello", { status: 200 });
+
+			const agent = new MockAgent({ servers: [server] });
+
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/hello",
+				method: "GET",
+			});
+
+			agent.assertCalledTimes(`${API_URL}/hello`, 1);
+			assert.throws(
+				() => {
+					agent.assertCalledTimes(`${API_URL}/hello`, 2);
+				},
+				{
+					name: "CallAssertionError",
+					message: /to be called 2 times but it was called 1 time/,
+				},
+			);
+		});
+	});
+
+	describe("assertNotCalled()", () => {
+		it("should throw when the request was called", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/hello", { status: 200 });
+			server.get("/goodbye", { status: 200 });
+
+			const agent = new MockAgent({ servers: [server] });
+
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/hello",
+				method: "GET",
+			});
+
+			agent.assertNotCalled(`${API_URL}/goodbye`);
+			assert.throws(
+				() => {
+					agent.assertNotCalled(`${API_URL}/hello`);
+				},
+				{
+					name: "CallAssertionError",
+					message: /not to be called but it was called 1 time/,
+				},
+			);
+		});
+	});
+
+	describe("assertCalledInOrder()", () => {
+		it("should throw when requests were called out of order", async () => {
+			const server = new MockServer(API_URL);
+			server.get("/hello", { status: 200 });
+			server.get("/goodbye", { status: 200 });
+
+			const agent = new MockAgent({ servers: [server] });
+
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/goodbye",
+				method: "GET",
+			});
+			await dispatchAndWait(agent, {
+				origin: API_URL,
+				path: "/hello",
+				method: "GET",
+			});
+
+			agent.assertCalledInOrder([
+				`${API_URL}/goodbye`,
+				`${API_URL}/hello`,
+			]);
+			assert.throws(
+				() => {
+					agent.assertCalledInOrder([
+						`${API_URL}/hello`,
+						`${API_URL}/goodbye`,
+					]);
+				},
+				{
+					name: "CallAssertionError",
+					message:
+						/GET https:\/\/api.example.com\/goodbye was not called after GET https:\/\/api.example.com\/hello/,
+				},
+			);
+		});
+	});
+
 	describe("clearAll()", () => {
 		it("should clear all servers", async () => {
 			const server = new MockServer(API_URL);
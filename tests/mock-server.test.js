@@ -3,7 +3,7 @@
  * @author Nicholas C. Zakas
  */
 
-/* globals FormData, Request, TextEncoder, URLSearchParams, Blob */
+/* globals FormData, Request, TextEncoder, TextDecoder, URLSearchParams, Blob, ReadableStream, setTimeout */
 
 //-----------------------------------------------------------------------------
 // Imports
@@ -12,6 +12,9 @@
 import assert from "node:assert";
 import { MockServer } from "../src/mock-server.js";
 import { verbs } from "../src/http.js";
+import { NetworkError } from "../src/network-errors.js";
+import { match } from "../src/matchers.js";
+import { ContractViolationError } from "../src/contract.js";
 
 //-----------------------------------------------------------------------------
 // Data
@@ -616,7 +619,7 @@ describe("MockServer", () => {
 				"✅ URL matches.",
 				"✅ Method matches: POST.",
 				"✅ Headers match.",
-				'❌ Body does not match. Expected {"key":"value"} but received {"key":"val"}.',
+				'❌ Body does not match at $.key. Expected "value" but received "val".',
 			]);
 		});
 
@@ -820,6 +823,161 @@ describe("MockServer", () => {
 			const response = await server.receive(request);
 			assert.strictEqual(response, undefined);
 		});
+
+		it("should match every value of a repeated query string parameter", async () => {
+			server.get(
+				{ url: "/query", query: { tag: ["a", "b"] } },
+				{ status: 200, body: "OK" },
+			);
+
+			let response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?tag=a`,
+				}),
+			);
+			assert.strictEqual(response, undefined);
+
+			response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?tag=a&tag=b`,
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should trace repeated query string parameters", async () => {
+			server.get(
+				{ url: "/query", query: { tag: ["a", "b"] } },
+				{ status: 200, body: "OK" },
+			);
+
+			const { traces } = await server.traceReceive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?tag=a&tag=c`,
+				}),
+			);
+
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Query string does not match. Expected tag=a&tag=b but received tag=a&tag=c.",
+			);
+		});
+
+		it("should not match a route when a query string parameter must be absent", async () => {
+			server.get(
+				{ url: "/query", query: { debug: match.absent() } },
+				{ status: 200, body: "OK" },
+			);
+
+			let response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?debug=1`,
+				}),
+			);
+			assert.strictEqual(response, undefined);
+
+			response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?id=1`,
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should not match a route with extra query string parameters when queryMatch is exact", async () => {
+			server.get(
+				{ url: "/query", query: { id: "123" }, queryMatch: "exact" },
+				{ status: 200, body: "OK" },
+			);
+
+			const { response, traces } = await server.traceReceive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?id=123&name=Alice`,
+				}),
+			);
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Query string does not match. Expected no name but received name=Alice.",
+			);
+		});
+
+		it("should not match a route with any query string parameters when queryMatch is exact without a query", async () => {
+			server.get(
+				{ url: "/query", queryMatch: "exact" },
+				{ status: 200, body: "OK" },
+			);
+
+			let response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?id=123`,
+				}),
+			);
+			assert.strictEqual(response, undefined);
+
+			response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/query` }),
+			);
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should match a query string in the route URL in any order", async () => {
+			server.get("/query?name=Alice&id=123", {
+				status: 200,
+				body: "OK",
+			});
+
+			const response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?id=123&page=2&name=Alice`,
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should not match a route when the query string in the route URL doesn't match", async () => {
+			server.get(
+				{ url: "/query?id=123", query: { name: "Alice" } },
+				{ status: 200, body: "OK" },
+			);
+
+			const { response, traces } = await server.traceReceive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?id=456&name=Alice`,
+				}),
+			);
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Query string does not match. Expected id=123 but received id=456.",
+			);
+		});
+
+		it("should use the query option over the query string in the route URL", async () => {
+			server.get(
+				{ url: "/query?id=123", query: { id: "456" } },
+				{ status: 200, body: "OK" },
+			);
+
+			const response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/query?id=456`,
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+		});
 	});
 
 	describe("Params", () => {
@@ -994,120 +1152,439 @@ describe("MockServer", () => {
 			const response = await server.receive(request);
 			assert.strictEqual(response, undefined);
 		});
-	});
 
-	describe("Body Matching", () => {
-		it("should add a POST route and match the request with a string body", async () => {
-			server.post(
-				{ url: "/submit", body: "data" },
-				{ status: 201, body: "Created" },
+		it("should match the request when a header matches a matcher", async () => {
+			server.get(
+				{
+					url: "/headers",
+					headers: { Authorization: match.regex(/^Bearer /u) },
+				},
+				200,
 			);
 
 			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: "data",
+				method: "GET",
+				url: `${BASE_URL}/headers`,
+				headers: { Authorization: "Bearer abc" },
 			});
 
 			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(await getResponseBody(response), "Created");
+			assert.strictEqual(response.status, 200);
 		});
 
-		it("should add a POST route and match the request with a JSON body", async () => {
-			server.post(
-				{ url: "/submit", body: { key: "value" } },
-				{ status: 201, body: "Created" },
+		it("should not match the request when a header must be absent", async () => {
+			server.get(
+				{
+					url: "/headers",
+					headers: { Authorization: match.absent() },
+				},
+				200,
 			);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: { key: "value" },
-			});
+			let response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/headers`,
+					headers: { Authorization: "Bearer abc" },
+				}),
+			);
+			assert.strictEqual(response, undefined);
 
-			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(await getResponseBody(response), "Created");
+			response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/headers` }),
+			);
+			assert.strictEqual(response.status, 200);
 		});
 
-		it("should add a POST route and match the request with FormData", async () => {
-			const formData = new FormData();
-			formData.append("key", "value");
+		it("should match comma-separated header values in any order", async () => {
+			server.get(
+				{
+					url: "/headers",
+					headers: { Accept: ["application/json", "text/plain"] },
+				},
+				200,
+			);
 
-			server.post(
-				{ url: "/submit", body: formData },
-				{ status: 201, body: "Created" },
+			let response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/headers`,
+					headers: { Accept: "text/plain, application/json" },
+				}),
 			);
+			assert.strictEqual(response.status, 200);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: formData,
-			});
+			response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/headers`,
+					headers: { Accept: "text/plain" },
+				}),
+			);
+			assert.strictEqual(response, undefined);
+		});
 
-			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(await getResponseBody(response), "Created");
+		it("should match a header value with a regular expression", async () => {
+			server.get(
+				{
+					url: "/headers",
+					headers: { "X-Request-Id": /^req-\d+$/u },
+				},
+				200,
+			);
+
+			const response = await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/headers`,
+					headers: { "X-Request-Id": "req-123" },
+				}),
+			);
+			assert.strictEqual(response.status, 200);
 		});
 
-		it("should not match the request with a partial JSON body", async () => {
-			server.post(
-				{ url: "/submit", body: { key: "value", extra: "data" } },
-				{ status: 201, body: "Created" },
+		it("should trace the matcher description when a header doesn't match a matcher", async () => {
+			server.get(
+				{
+					url: "/headers",
+					headers: { Authorization: match.regex(/^Bearer /u) },
+				},
+				200,
 			);
 
 			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: { key: "value" },
+				method: "GET",
+				url: `${BASE_URL}/headers`,
+				headers: { Authorization: "Basic abc" },
 			});
 
-			const response = await server.receive(request);
-			assert.strictEqual(response, undefined);
+			const { traces } = await server.traceReceive(request);
+			assert.deepStrictEqual(traces[0].messages, [
+				"✅ URL matches.",
+				"✅ Method matches: GET.",
+				"❌ Headers do not match. Expected authorization=match.regex(/^Bearer /u) but received authorization=Basic abc.",
+			]);
 		});
+	});
 
-		it("should match the request when request has more JSON keys than expected", async () => {
+	describe("Body Matching", () => {
+		it("should match an NDJSON request body against an array", async () => {
 			server.post(
-				{ url: "/submit", body: { key: "value" } },
-				{ status: 201, body: "Created" },
+				{ url: "/import", body: [{ id: 1 }, { id: 2 }] },
+				{ status: 202 },
 			);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: { key: "value", extra: "data" },
-			});
+			const response = await server.receive(
+				new Request(`${BASE_URL}/import`, {
+					method: "POST",
+					headers: { "content-type": "application/x-ndjson" },
+					body: '{"id":1}\n{"id":2}\n',
+				}),
+			);
 
-			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(await getResponseBody(response), "Created");
+			assert.strictEqual(response.status, 202);
 		});
 
-		it("should match the request when request has more FormData values than expected", async () => {
-			const formData = new FormData();
-			formData.append("key", "value");
-
+		it("should match a file in a multipart request body with match.file()", async () => {
 			server.post(
-				{ url: "/submit", body: formData },
-				{ status: 201, body: "Created" },
+				{
+					url: "/avatar",
+					body: {
+						avatar: match.file({
+							name: "avatar.png",
+							type: "image/png",
+							content: new Uint8Array([137, 80, 78, 71]),
+						}),
+					},
+				},
+				{ status: 201 },
 			);
 
-			const receivedFormData = new FormData();
-			receivedFormData.append("key", "value");
-			receivedFormData.append("extra", "data");
+			const upload = bytes => {
+				const formData = new FormData();
+				formData.append(
+					"avatar",
+					new Blob([new Uint8Array(bytes)], { type: "image/png" }),
+					"avatar.png",
+				);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: receivedFormData,
-			});
+				return new Request(`${BASE_URL}/avatar`, {
+					method: "POST",
+					body: formData,
+				});
+			};
 
-			const response = await server.receive(request);
+			let response = await server.receive(upload([137, 80, 78, 0]));
+			assert.strictEqual(response, undefined);
+
+			response = await server.receive(upload([137, 80, 78, 71]));
+			assert.strictEqual(response.status, 201);
+		});
+
+		it("should match the text content of a file in a multipart request body", async () => {
+			server.post(
+				{
+					url: "/documents",
+					body: {
+						document: match.file({
+							content: match.stringContaining("Hello"),
+						}),
+					},
+				},
+				{ status: 201 },
+			);
+
+			const formData = new FormData();
+			formData.append(
+				"document",
+				new Blob(["Hello, world!"], { type: "text/plain" }),
+				"hello.txt",
+			);
+
+			const response = await server.receive(
+				new Request(`${BASE_URL}/documents`, {
+					method: "POST",
+					body: formData,
+				}),
+			);
+			assert.strictEqual(response.status, 201);
+		});
+
+		it("should match files and repeated fields in a FormData pattern", async () => {
+			const expected = new FormData();
+			expected.append("tag", "a");
+			expected.append("tag", "b");
+			expected.append(
+				"document",
+				new Blob(["abc"], { type: "text/plain" }),
+				"notes.txt",
+			);
+
+			server.post({ url: "/documents", body: expected }, { status: 201 });
+
+			const formData = new FormData();
+			formData.append("tag", "a");
+			formData.append("tag", "b");
+			formData.append(
+				"document",
+				new Blob(["xyz"], { type: "text/plain" }),
+				"notes.txt",
+			);
+
+			const response = await server.receive(
+				new Request(`${BASE_URL}/documents`, {
+					method: "POST",
+					body: formData,
+				}),
+			);
+			assert.strictEqual(response.status, 201);
+		});
+
+		it("should trace the file that doesn't match in a multipart request body", async () => {
+			server.post(
+				{
+					url: "/avatar",
+					body: { avatar: match.file({ type: "image/png" }) },
+				},
+				{ status: 201 },
+			);
+
+			const formData = new FormData();
+			formData.append(
+				"avatar",
+				new Blob(["GIF89a"], { type: "image/gif" }),
+				"avatar.gif",
+			);
+
+			const { traces } = await server.traceReceive(
+				new Request(`${BASE_URL}/avatar`, {
+					method: "POST",
+					body: formData,
+				}),
+			);
+
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				'❌ Body does not match. Expected avatar=match.file({"type":"image/png"}) but received avatar=File("avatar.gif", image/gif, 6 bytes).',
+			);
+		});
+
+		it("should match a URL-encoded request body against URLSearchParams", async () => {
+			server.post(
+				{
+					url: "/login",
+					body: new URLSearchParams({ username: "alice" }),
+				},
+				{ status: 204 },
+			);
+
+			const response = await server.receive(
+				new Request(`${BASE_URL}/login`, {
+					method: "POST",
+					body: new URLSearchParams({
+						username: "alice",
+						password: "secret",
+					}),
+				}),
+			);
+
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should match a URL-encoded request body against an object", async () => {
+			server.post(
+				{
+					url: "/login",
+					body: { username: "alice", scope: ["read", "write"] },
+					bodyMatch: "exact",
+				},
+				{ status: 204 },
+			);
+
+			const response = await server.receive(
+				new Request(`${BASE_URL}/login`, {
+					method: "POST",
+					headers: {
+						"content-type": "application/x-www-form-urlencoded",
+					},
+					body: "username=alice&scope=read&scope=write",
+				}),
+			);
+
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should trace the parameter that doesn't match in a URL-encoded request body", async () => {
+			server.post(
+				{ url: "/login", body: { username: "alice" } },
+				{ status: 204 },
+			);
+
+			const { response, traces } = await server.traceReceive(
+				new Request(`${BASE_URL}/login`, {
+					method: "POST",
+					body: new URLSearchParams({ username: "bob" }),
+				}),
+			);
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Body does not match. Expected username=alice but received username=bob.",
+			);
+		});
+
+		it("should add a POST route and match the request with a string body", async () => {
+			server.post(
+				{ url: "/submit", body: "data" },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: "data",
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(await getResponseBody(response), "Created");
+		});
+
+		it("should add a POST route and match the request with a JSON body", async () => {
+			server.post(
+				{ url: "/submit", body: { key: "value" } },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: { key: "value" },
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(await getResponseBody(response), "Created");
+		});
+
+		it("should add a POST route and match the request with FormData", async () => {
+			const formData = new FormData();
+			formData.append("key", "value");
+
+			server.post(
+				{ url: "/submit", body: formData },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: formData,
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(await getResponseBody(response), "Created");
+		});
+
+		it("should not match the request with a partial JSON body", async () => {
+			server.post(
+				{ url: "/submit", body: { key: "value", extra: "data" } },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: { key: "value" },
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should match the request when request has more JSON keys than expected", async () => {
+			server.post(
+				{ url: "/submit", body: { key: "value" } },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: { key: "value", extra: "data" },
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(await getResponseBody(response), "Created");
+		});
+
+		it("should match the request when request has more FormData values than expected", async () => {
+			const formData = new FormData();
+			formData.append("key", "value");
+
+			server.post(
+				{ url: "/submit", body: formData },
+				{ status: 201, body: "Created" },
+			);
+
+			const receivedFormData = new FormData();
+			receivedFormData.append("key", "value");
+			receivedFormData.append("extra", "data");
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: receivedFormData,
+			});
+
+			const response = await server.receive(request);
 			assert.strictEqual(response.status, 201);
 			assert.strictEqual(response.statusText, "Created");
 			assert.strictEqual(await getResponseBody(response), "Created");
@@ -1125,136 +1602,2918 @@ describe("MockServer", () => {
 				body: { key: "different" },
 			});
 
-			const response = await server.receive(request);
-			assert.strictEqual(response, undefined);
+			const response = await server.receive(request);
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should match the request when the body is an ArrayBuffer", async () => {
+			const buffer = new TextEncoder().encode("Created").buffer;
+
+			server.post(
+				{ url: "/submit", body: buffer },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: new TextEncoder().encode("Created").buffer,
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(await getResponseBody(response), "Created");
+		});
+
+		it("should not match the request when a different ArrayBuffer is used", async () => {
+			const buffer = new TextEncoder().encode("Created").buffer;
+			const differentBuffer = new TextEncoder().encode(
+				"Different",
+			).buffer;
+
+			server.post(
+				{ url: "/submit", body: buffer },
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				headers: {
+					"content-type": "application/octet-stream",
+				},
+				body: differentBuffer,
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should match the request when the body is a text Blob", async () => {
+			const blob = new Blob(["Created"], { type: "text/plain" });
+
+			server.post(
+				{
+					url: "/submit",
+					headers: {
+						// Note: Bun always appends charset=utf-8 to the content-type header for text
+						"content-type": blob.type,
+					},
+					body: "Created",
+				},
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: blob,
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(await getResponseBody(response), "Created");
+		});
+
+		it("should match the request when the body is an image Blob from a Uint8Array", async () => {
+			const imageData = new Uint8Array([137, 80, 78, 71]); // Example PNG header
+			const blob = new Blob([imageData], { type: "image/png" });
+			const expectedResponse = "Image Created";
+
+			server.post(
+				{
+					url: "/submit",
+					headers: {
+						"content-type": blob.type,
+					},
+					body: imageData.buffer,
+				},
+				{ status: 201, body: expectedResponse },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: blob,
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(response.statusText, "Created");
+			assert.strictEqual(
+				await getResponseBody(response),
+				expectedResponse,
+			);
+		});
+
+		it("should not match the request when a different Blob is used", async () => {
+			const differentBlob = new Blob(["Different"], {
+				type: "text/plain",
+			});
+
+			server.post(
+				{
+					url: "/submit",
+					headers: {
+						"content-type": "text/plain",
+					},
+					body: "Created",
+				},
+				{ status: 201, body: "Created" },
+			);
+
+			const request = createRequest({
+				method: "POST",
+				url: `${BASE_URL}/submit`,
+				body: differentBlob,
+			});
+
+			const response = await server.receive(request);
+			assert.strictEqual(response, undefined);
+		});
+	});
+
+	describe("Repeatable Routes", () => {
+		it("should match a route the specified number of times", async () => {
+			server.get("/poll", { status: 200, body: "OK" }, { times: 3 });
+
+			for (let i = 0; i < 3; i++) {
+				const response = await server.receive(
+					createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+				);
+				assert.strictEqual(response.status, 200);
+			}
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should match a persistent route any number of times", async () => {
+			server.get("/poll", 200, { persist: true });
+
+			for (let i = 0; i < 10; i++) {
+				const response = await server.receive(
+					createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+				);
+				assert.strictEqual(response.status, 200);
+			}
+		});
+
+		it("should use the server default when no route options are passed", async () => {
+			server = new MockServer(BASE_URL, { times: 2 });
+			server.get("/poll", 200);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(server.allRoutesCalled(), true);
+		});
+
+		it("should prefer route options over the server default", async () => {
+			server = new MockServer(BASE_URL, { persist: true });
+			server.get("/poll", 200, { times: 1 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should report an exhausted route in the trace", async () => {
+			server.get("/poll", 200, { times: 2 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			const { response, traces } = await server.traceReceive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(traces.length, 1);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Route exhausted after 2 calls.",
+			);
+		});
+
+		it("should return true from called() after the first call", async () => {
+			server.get("/poll", 200, { times: 3 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.strictEqual(server.called("/poll"), true);
+		});
+
+		it("should include partially called routes in uncalledRoutes", async () => {
+			server.get("/poll", 200, { times: 3 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.deepStrictEqual(server.uncalledRoutes, [
+				"🚧 [Route: GET https://example.com/poll -> 200] (called 1 of 3 times)",
+			]);
+			assert.strictEqual(server.allRoutesCalled(), false);
+		});
+
+		it("should throw from assertAllRoutesCalled() until all calls are made", async () => {
+			server.get("/poll", 200, { times: 2 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.throws(() => {
+				server.assertAllRoutesCalled();
+			}, /\(called 1 of 2 times\)/u);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			server.assertAllRoutesCalled();
+		});
+
+		it("should consider a persistent route called after one call", async () => {
+			server.get("/poll", 200, { persist: true });
+
+			assert.strictEqual(server.allRoutesCalled(), false);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			assert.strictEqual(server.allRoutesCalled(), true);
+			assert.deepStrictEqual(server.uncalledRoutes, []);
+		});
+
+		it("should throw an error when times is not a positive integer", () => {
+			assert.throws(() => {
+				server.get("/poll", 200, { times: 0 });
+			}, /Route option times must be a positive integer/u);
+		});
+
+		it("should throw an error when persist is not a boolean", () => {
+			assert.throws(() => {
+				server.get("/poll", 200, { persist: "yes" });
+			}, /Route option persist must be a boolean/u);
+		});
+
+		it("should throw an error when both times and persist are used", () => {
+			assert.throws(() => {
+				server.get("/poll", 200, { times: 2, persist: true });
+			}, /Route options cannot include both times and persist/u);
+		});
+
+		it("should throw an error when server options are invalid", () => {
+			assert.throws(() => {
+				new MockServer(BASE_URL, { times: -1 });
+			}, /Route option times must be a positive integer/u);
+		});
+	});
+
+	describe("Response Sequences", () => {
+		/**
+		 * Sends a GET request to the given path.
+		 * @param {string} path The path to request.
+		 * @returns {Promise<{response:Response|undefined,traces:Array<object>}>} The trace result.
+		 */
+		function send(path) {
+			return server.traceReceive(
+				createRequest({ method: "GET", url: `${BASE_URL}${path}` }),
+			);
+		}
+
+		it("should return each response in the array in order", async () => {
+			server.get("/retry", [
+				503,
+				{ status: 503 },
+				{ status: 200, body: "OK" },
+			]);
+
+			assert.strictEqual((await send("/retry")).response.status, 503);
+			assert.strictEqual((await send("/retry")).response.status, 503);
+
+			const { response } = await send("/retry");
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(await getResponseBody(response), "OK");
+		});
+
+		it("should support response creators in the sequence", async () => {
+			server.get("/retry", [503, () => ({ status: 200, body: "OK" })]);
+
+			assert.strictEqual((await send("/retry")).response.status, 503);
+			assert.strictEqual((await send("/retry")).response.status, 200);
+		});
+
+		it("should report which step of the sequence was served", async () => {
+			server.get("/retry", [503, 200]);
+
+			const { traces } = await send("/retry");
+
+			assert.strictEqual(traces.length, 1);
+			assert.strictEqual(
+				traces[0].title,
+				"🚧 [Route: GET https://example.com/retry -> [503, 200]]",
+			);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"✅ Served response 1 of 2 in sequence.",
+			);
+		});
+
+		it("should fall through once the sequence is exhausted by default", async () => {
+			server.get("/retry", [503, 200]);
+			server.get("/retry", { status: 204 });
+
+			await send("/retry");
+			await send("/retry");
+
+			assert.strictEqual((await send("/retry")).response.status, 204);
+
+			const { response, traces } = await send("/retry");
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Response sequence exhausted after 2 responses.",
+			);
+		});
+
+		it("should repeat the last response when whenExhausted is repeat", async () => {
+			server.get("/retry", [503, 200], { whenExhausted: "repeat" });
+
+			await send("/retry");
+			await send("/retry");
+
+			assert.strictEqual((await send("/retry")).response.status, 200);
+			assert.strictEqual((await send("/retry")).response.status, 200);
+		});
+
+		it("should throw an error when whenExhausted is error", async () => {
+			server.get("/retry", [200], { whenExhausted: "error" });
+
+			await send("/retry");
+
+			await assert.rejects(
+				send("/retry"),
+				/Response sequence for 🚧 \[Route: GET https:\/\/example.com\/retry -> \[200\]\] was exhausted after 1 responses/u,
+			);
+		});
+
+		it("should use the server default for whenExhausted", async () => {
+			server = new MockServer(BASE_URL, { whenExhausted: "repeat" });
+			server.get("/retry", [503, 200]);
+
+			await send("/retry");
+			await send("/retry");
+
+			assert.strictEqual((await send("/retry")).response.status, 200);
+		});
+
+		it("should accept a generator function", async () => {
+			server.get("/retry", function* () {
+				yield 503;
+				yield { status: 200, body: "OK" };
+			});
+
+			assert.strictEqual((await send("/retry")).response.status, 503);
+
+			const { response, traces } = await send("/retry");
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(
+				traces[0].title,
+				"🚧 [Route: GET https://example.com/retry -> [sequence]]",
+			);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"✅ Served response 2 in sequence.",
+			);
+
+			assert.strictEqual((await send("/retry")).response, undefined);
+		});
+
+		it("should only read from a generator when a call needs a response", async () => {
+			const read = [];
+
+			server.get("/retry", function* () {
+				read.push(1);
+				yield 503;
+				read.push(2);
+				yield { body: "missing status" };
+			});
+
+			assert.deepStrictEqual(read, []);
+			assert.strictEqual((await send("/retry")).response.status, 503);
+			assert.deepStrictEqual(read, [1]);
+			await assert.rejects(
+				send("/retry"),
+				/Response pattern must include a status/u,
+			);
+		});
+
+		it("should consider an endless generator called after one response", async () => {
+			server.get("/poll", function* () {
+				for (;;) {
+					yield 200;
+				}
+			});
+
+			assert.strictEqual(server.allRoutesCalled(), false);
+
+			await send("/poll");
+
+			server.assertAllRoutesCalled();
+		});
+
+		it("should accept an iterable", async () => {
+			server.get("/retry", new Set([503, 200]));
+
+			assert.strictEqual((await send("/retry")).response.status, 503);
+			assert.strictEqual((await send("/retry")).response.status, 200);
+		});
+
+		it("should consider a sequenced route called only after every response is served", async () => {
+			server.get("/retry", [503, 200]);
+
+			await send("/retry");
+
+			assert.strictEqual(server.called("/retry"), true);
+			assert.strictEqual(server.allRoutesCalled(), false);
+			assert.deepStrictEqual(server.uncalledRoutes, [
+				"🚧 [Route: GET https://example.com/retry -> [503, 200]] (served 1 of 2 responses)",
+			]);
+
+			await send("/retry");
+
+			assert.strictEqual(server.allRoutesCalled(), true);
+		});
+
+		it("should throw an error when the sequence is empty", () => {
+			assert.throws(() => {
+				server.get("/retry", []);
+			}, /Response sequence must include at least one response/u);
+		});
+
+		it("should throw an error when a response in the sequence is invalid", () => {
+			assert.throws(() => {
+				server.get("/retry", [200, { body: "OK" }]);
+			}, /Response pattern must include a status/u);
+		});
+
+		it("should throw an error when times is used with a sequence", () => {
+			assert.throws(() => {
+				server.get("/retry", [503, 200], { times: 2 });
+			}, /Route options times and persist cannot be used with a response sequence/u);
+		});
+
+		it("should throw an error when whenExhausted is used without a sequence", () => {
+			assert.throws(() => {
+				server.get("/retry", 200, { whenExhausted: "repeat" });
+			}, /Route option whenExhausted can only be used with a response sequence/u);
+		});
+
+		it("should throw an error when whenExhausted is invalid", () => {
+			assert.throws(() => {
+				server.get("/retry", [200], { whenExhausted: "loop" });
+			}, /Route option whenExhausted must be one of: fallthrough, repeat, error/u);
+		});
+	});
+
+	describe("Network Errors", () => {
+		/**
+		 * Sends a GET request to the given path.
+		 * @param {string} path The path to request.
+		 * @returns {Promise<{response:Response|undefined,traces:Array<object>}>} The trace result.
+		 */
+		function send(path) {
+			return server.traceReceive(
+				createRequest({ method: "GET", url: `${BASE_URL}${path}` }),
+			);
+		}
+
+		it("should reject with a NetworkError when the route has an error", async () => {
+			server.get("/users", { error: "connection-reset" });
+
+			await assert.rejects(send("/users"), error => {
+				assert.ok(error instanceof NetworkError);
+				assert.strictEqual(error.type, "connection-reset");
+				assert.strictEqual(error.url, `${BASE_URL}/users`);
+				return true;
+			});
+		});
+
+		it("should record the call with the error type", async () => {
+			server.get("/users", { error: "dns" });
+
+			const error = await send("/users").catch(err => err);
+
+			assert.strictEqual(server.calls.length, 1);
+			assert.strictEqual(server.calls[0].status, 0);
+			assert.strictEqual(server.calls[0].error, "dns");
+			assert.strictEqual(error.call, server.calls[0]);
+			assert.ok(server.allRoutesCalled());
+		});
+
+		it("should wait for the delay before rejecting", async () => {
+			server.get("/users", { error: "timeout", delay: 50 });
+
+			const start = Date.now();
+			await assert.rejects(send("/users"), NetworkError);
+
+			assert.ok(Date.now() - start >= 45);
+		});
+
+		it("should reject when a response creator returns an error", async () => {
+			server.get("/users", () => ({ error: "offline" }));
+
+			await assert.rejects(send("/users"), {
+				name: "NetworkError",
+				type: "offline",
+			});
+		});
+
+		it("should support network errors in a response sequence", async () => {
+			server.get("/users", [{ error: "connection-reset" }, 200]);
+
+			await assert.rejects(send("/users"), NetworkError);
+			assert.strictEqual((await send("/users")).response.status, 200);
+		});
+
+		it("should include the error in the route description", () => {
+			server.get("/users", { error: "timeout" });
+			server.get("/posts", [{ error: "dns" }, 200]);
+
+			assert.deepStrictEqual(server.uncalledRoutes, [
+				"🚧 [Route: GET https://example.com/users -> network error (timeout)]",
+				"🚧 [Route: GET https://example.com/posts -> [network error (dns), 200]] (served 0 of 2 responses)",
+			]);
+		});
+
+		it("should throw an error when the error type is invalid", () => {
+			assert.throws(() => {
+				server.get("/users", { error: "meltdown" });
+			}, /Response pattern error must be one of: connection-reset, dns, timeout, offline/u);
+		});
+
+		it("should throw an error when both error and status are specified", () => {
+			assert.throws(() => {
+				server.get("/users", { error: "dns", status: 200 });
+			}, /Response pattern cannot include both error and status/u);
+		});
+	});
+
+	describe("Content Negotiation", () => {
+		const content = {
+			"application/json": { name: "Alice" },
+			"text/csv": "name\nAlice",
+		};
+
+		/**
+		 * Sends a GET request with an Accept header.
+		 * @param {string} [accept] The Accept header value.
+		 * @returns {Promise<Response>} The response.
+		 */
+		function send(accept) {
+			return server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/users`,
+					headers: accept ? { accept } : {},
+				}),
+			);
+		}
+
+		it("should respond with the media type in the Accept header", async () => {
+			server.get("/users", { status: 200, content });
+
+			const response = await send("text/csv");
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"text/csv",
+			);
+			assert.strictEqual(response.headers.get("vary"), "Accept");
+			assert.strictEqual(await response.text(), "name\nAlice");
+		});
+
+		it("should respond with the first media type when there's no Accept header", async () => {
+			server.get("/users", { status: 200, content });
+
+			const response = await send();
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/json",
+			);
+			assert.deepStrictEqual(await response.json(), { name: "Alice" });
+		});
+
+		it("should use quality values to choose a media type", async () => {
+			server.get("/users", { status: 200, content });
+
+			const response = await send(
+				"application/json;q=0.5, text/*;q=0.8, */*;q=0.1",
+			);
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"text/csv",
+			);
+		});
+
+		it("should use the most specific range for each media type", async () => {
+			server.get("/users", { status: 200, content });
+
+			const response = await send("text/csv;q=0, */*");
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/json",
+			);
+		});
+
+		it("should respond with 406 when no media type is acceptable", async () => {
+			server.get("/users", { status: 200, content });
+
+			const response = await send("application/xml");
+
+			assert.strictEqual(response.status, 406);
+			assert.strictEqual(response.statusText, "Not Acceptable");
+			assert.strictEqual(response.headers.get("vary"), "Accept");
+		});
+
+		it("should add Accept to an existing Vary header", async () => {
+			server.get("/users", {
+				status: 200,
+				headers: { vary: "Origin" },
+				content,
+			});
+
+			const response = await send("application/json");
+
+			assert.strictEqual(response.headers.get("vary"), "Origin, Accept");
+		});
+
+		it("should choose content returned from a function", async () => {
+			server.get("/users", () => ({ status: 201, content }));
+
+			const response = await send("text/csv");
+
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(await response.text(), "name\nAlice");
+		});
+
+		it("should throw an error when content is used with body", () => {
+			assert.throws(() => {
+				server.get("/users", { status: 200, body: "", content });
+			}, /Response pattern can only include one of: body, stream, events, ndjson, jsonSeq, content/u);
+		});
+
+		it("should throw an error when a content key isn't a media type", () => {
+			assert.throws(() => {
+				server.get("/users", { status: 200, content: { json: {} } });
+			}, /Response pattern content key json is not a valid media type/u);
+		});
+	});
+
+	describe("Streaming Responses", () => {
+		/**
+		 * Reads each chunk from a response body as a string.
+		 * @param {Response} response The response to read.
+		 * @returns {Promise<Array<string>>} The chunks in the body.
+		 */
+		async function readChunks(response) {
+			const decoder = new TextDecoder();
+			const chunks = [];
+
+			for await (const chunk of response.body) {
+				chunks.push(decoder.decode(chunk));
+			}
+
+			return chunks;
+		}
+
+		it("should stream each chunk in an array", async () => {
+			server.get("/stream", {
+				status: 200,
+				stream: ["Hello", ", ", "world!"],
+			});
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/stream` }),
+			);
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/octet-stream",
+			);
+			assert.ok(response.body instanceof ReadableStream);
+			assert.deepStrictEqual(await readChunks(response), [
+				"Hello",
+				", ",
+				"world!",
+			]);
+		});
+
+		it("should stream chunks from an async iterable", async () => {
+			server.get("/stream", {
+				status: 200,
+				headers: { "content-type": "text/plain" },
+				stream: (async function* () {
+					yield "a";
+					yield new TextEncoder().encode("b");
+					yield { data: new TextEncoder().encode("c").buffer };
+				})(),
+			});
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/stream` }),
+			);
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"text/plain",
+			);
+			assert.deepStrictEqual(await readChunks(response), ["a", "b", "c"]);
+		});
+
+		it("should wait for each chunk delay before sending the chunk", async () => {
+			server.get("/stream", {
+				status: 200,
+				stream: ["first", { data: "second", delay: 50 }],
+			});
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/stream` }),
+			);
+			const reader = response.body.getReader();
+
+			const start = Date.now();
+			await reader.read();
+			const firstTime = Date.now() - start;
+			await reader.read();
+			const secondTime = Date.now() - start;
+
+			assert.ok(firstTime < 40);
+			assert.ok(secondTime >= 45);
+		});
+
+		it("should error the stream when an async chunk is invalid", async () => {
+			server.get("/stream", {
+				status: 200,
+				stream: (async function* () {
+					yield 42;
+				})(),
+			});
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/stream` }),
+			);
+
+			await assert.rejects(
+				response.text(),
+				/Response chunk must be a string, ArrayBuffer, typed array, or an object with a data property/u,
+			);
+		});
+
+		it("should throw an error when a chunk in the array is invalid", () => {
+			assert.throws(() => {
+				server.get("/stream", {
+					status: 200,
+					stream: ["a", { data: 1 }],
+				});
+			}, /Response chunk data must be a string, ArrayBuffer, or typed array/u);
+		});
+
+		it("should throw an error when a chunk delay is invalid", () => {
+			assert.throws(() => {
+				server.get("/stream", {
+					status: 200,
+					stream: [{ data: "a", delay: -1 }],
+				});
+			}, /Response chunk delay must be a non-negative number/u);
+		});
+
+		it("should throw an error when stream isn't iterable", () => {
+			assert.throws(() => {
+				server.get("/stream", { status: 200, stream: "abc" });
+			}, /Response pattern stream must be an iterable or async iterable/u);
+		});
+
+		it("should throw an error when both body and stream are specified", () => {
+			assert.throws(() => {
+				server.get("/stream", {
+					status: 200,
+					body: "abc",
+					stream: ["abc"],
+				});
+			}, /Response pattern can only include one of: body, stream, events, ndjson, jsonSeq/u);
+		});
+	});
+
+	describe("Server-Sent Events", () => {
+		/**
+		 * Sends a GET request to the events route.
+		 * @returns {Promise<Response>} The response.
+		 */
+		function send() {
+			return server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/events` }),
+			);
+		}
+
+		it("should format each event and set the event stream headers", async () => {
+			server.get("/events", {
+				status: 200,
+				events: [
+					{ event: "greeting", data: "Hello", id: "1" },
+					{ data: { count: 2 }, retry: 1000 },
+				],
+			});
+
+			const response = await send();
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"text/event-stream",
+			);
+			assert.strictEqual(
+				response.headers.get("cache-control"),
+				"no-cache",
+			);
+			assert.strictEqual(
+				await response.text(),
+				'event: greeting\ndata: Hello\nid: 1\n\ndata: {"count":2}\nretry: 1000\n\n',
+			);
+		});
+
+		it("should write each line of data as a separate field", async () => {
+			server.get("/events", {
+				status: 200,
+				events: [{ data: "line 1\nline 2" }],
+			});
+
+			const response = await send();
+
+			assert.strictEqual(
+				await response.text(),
+				"data: line 1\ndata: line 2\n\n",
+			);
+		});
+
+		it("should send each event as a separate chunk after its delay", async () => {
+			server.get("/events", {
+				status: 200,
+				events: [{ data: "first" }, { data: "second", delay: 50 }],
+			});
+
+			const response = await send();
+			const reader = response.body.getReader();
+			const decoder = new TextDecoder();
+
+			const start = Date.now();
+			const first = await reader.read();
+			const second = await reader.read();
+
+			assert.strictEqual(decoder.decode(first.value), "data: first\n\n");
+			assert.strictEqual(
+				decoder.decode(second.value),
+				"data: second\n\n",
+			);
+			assert.ok(Date.now() - start >= 45);
+			assert.strictEqual((await reader.read()).done, true);
+		});
+
+		it("should support events from an async iterable", async () => {
+			server.get("/events", {
+				status: 200,
+				events: (async function* () {
+					yield { event: "ping" };
+				})(),
+			});
+
+			const response = await send();
+
+			assert.strictEqual(await response.text(), "event: ping\n\n");
+		});
+
+		it("should keep the stream open after the last event when keepOpen is true", async () => {
+			server.get("/events", {
+				status: 200,
+				events: [{ data: "only" }],
+				keepOpen: true,
+			});
+
+			const response = await send();
+			const reader = response.body.getReader();
+
+			await reader.read();
+
+			const result = await Promise.race([
+				reader.read(),
+				new Promise(resolve => setTimeout(() => resolve("open"), 50)),
+			]);
+
+			assert.strictEqual(result, "open");
+			await reader.cancel();
+		});
+
+		it("should allow the headers to be overridden", async () => {
+			server.get("/events", {
+				status: 200,
+				headers: { "cache-control": "no-store" },
+				events: [{ data: "a" }],
+			});
+
+			const response = await send();
+
+			assert.strictEqual(
+				response.headers.get("cache-control"),
+				"no-store",
+			);
+		});
+
+		it("should throw an error when an event has no fields", () => {
+			assert.throws(() => {
+				server.get("/events", { status: 200, events: [{ delay: 10 }] });
+			}, /Server-sent event must include at least one of: event, data, id, retry/u);
+		});
+
+		it("should throw an error when an event name has a line break", () => {
+			assert.throws(() => {
+				server.get("/events", {
+					status: 200,
+					events: [{ event: "a\nb" }],
+				});
+			}, /Server-sent event event must be a string without line breaks/u);
+		});
+
+		it("should throw an error when retry isn't a non-negative integer", () => {
+			assert.throws(() => {
+				server.get("/events", {
+					status: 200,
+					events: [{ retry: 1.5 }],
+				});
+			}, /Server-sent event retry must be a non-negative integer/u);
+		});
+
+		it("should throw an error when events are used with a body", () => {
+			assert.throws(() => {
+				server.get("/events", {
+					status: 200,
+					body: "a",
+					events: [{ data: "a" }],
+				});
+			}, /Response pattern can only include one of: body, stream, events, ndjson, jsonSeq/u);
+		});
+
+		it("should throw an error when keepOpen is used without a stream", () => {
+			assert.throws(() => {
+				server.get("/events", { status: 200, keepOpen: true });
+			}, /Response pattern keepOpen can only be used with one of: stream, events, ndjson, jsonSeq/u);
+		});
+	});
+
+	describe("JSON Streaming Responses", () => {
+		/**
+		 * Sends a GET request to the results route.
+		 * @returns {Promise<Response>} The response.
+		 */
+		function send() {
+			return server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/results` }),
+			);
+		}
+
+		it("should stream each value as a line of NDJSON", async () => {
+			server.get("/results", {
+				status: 200,
+				ndjson: [{ id: 1 }, { id: 2 }, "done"],
+			});
+
+			const response = await send();
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/x-ndjson",
+			);
+			assert.strictEqual(
+				await response.text(),
+				'{"id":1}\n{"id":2}\n"done"\n',
+			);
+		});
+
+		it("should stream NDJSON values from an async iterable", async () => {
+			server.get("/results", {
+				status: 200,
+				ndjson: (async function* () {
+					yield { id: 1 };
+					yield { id: 2 };
+				})(),
+			});
+
+			const response = await send();
+			const reader = response.body.getReader();
+			const decoder = new TextDecoder();
+
+			assert.strictEqual(
+				decoder.decode((await reader.read()).value),
+				'{"id":1}\n',
+			);
+			assert.strictEqual(
+				decoder.decode((await reader.read()).value),
+				'{"id":2}\n',
+			);
+			assert.strictEqual((await reader.read()).done, true);
+		});
+
+		it("should stream each value as a JSON text sequence record", async () => {
+			server.get("/results", {
+				status: 200,
+				jsonSeq: [{ id: 1 }, [2, 3]],
+			});
+
+			const response = await send();
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/json-seq",
+			);
+			assert.strictEqual(
+				await response.text(),
+				'\u001e{"id":1}\n\u001e[2,3]\n',
+			);
+		});
+
+		it("should throw an error when a value can't be serialized as JSON", () => {
+			assert.throws(() => {
+				server.get("/results", { status: 200, ndjson: [undefined] });
+			}, /JSON stream values must be serializable as JSON/u);
+		});
+
+		it("should throw an error when ndjson and jsonSeq are both specified", () => {
+			assert.throws(() => {
+				server.get("/results", {
+					status: 200,
+					ndjson: [1],
+					jsonSeq: [1],
+				});
+			}, /Response pattern can only include one of: body, stream, events, ndjson, jsonSeq/u);
+		});
+	});
+
+	describe("Automatic Methods", () => {
+		beforeEach(() => {
+			server = new MockServer(BASE_URL, { autoMethods: true });
+		});
+
+		it("should respond with 405 and an Allow header when no route uses the method", async () => {
+			server.get("/users", { status: 200, body: [] });
+			server.post("/users", 201);
+
+			const { response, call } = await server.traceReceive(
+				createRequest({ method: "DELETE", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response.status, 405);
+			assert.strictEqual(response.statusText, "Method Not Allowed");
+			assert.strictEqual(
+				response.headers.get("allow"),
+				"GET, POST, HEAD, OPTIONS",
+			);
+			assert.strictEqual(
+				call.route,
+				"🚧 [Automatic: DELETE https://example.com/users -> 405]",
+			);
+			assert.deepStrictEqual(server.calls, [call]);
+			server.assertCalledTimes({ method: "DELETE", url: "/users" }, 1);
+		});
+
+		it("should serve HEAD requests from GET routes without a body", async () => {
+			server.get("/users", {
+				status: 200,
+				headers: { "x-total": "2" },
+				body: [{ id: 1 }, { id: 2 }],
+			});
+
+			const response = await server.receive(
+				createRequest({ method: "HEAD", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.headers.get("x-total"), "2");
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/json",
+			);
+			assert.strictEqual(await response.text(), "");
+			assert.strictEqual(server.calls.length, 1);
+		});
+
+		it("should not use up a GET route's calls for HEAD requests", async () => {
+			server.get("/users", 200);
+
+			let response = await server.receive(
+				createRequest({ method: "HEAD", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(server.allRoutesCalled(), false);
+
+			response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response.status, 200);
+			assert.ok(server.allRoutesCalled());
+		});
+
+		it("should not move through a GET route's sequence for HEAD requests", async () => {
+			server.get("/users", [503, 200]);
+
+			let response = await server.receive(
+				createRequest({ method: "HEAD", url: `${BASE_URL}/users` }),
+			);
+			assert.strictEqual(response.status, 503);
+
+			response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/users` }),
+			);
+			assert.strictEqual(response.status, 503);
+
+			response = await server.receive(
+				createRequest({ method: "HEAD", url: `${BASE_URL}/users` }),
+			);
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should prefer a HEAD route over a GET route", async () => {
+			server.get("/users", 200);
+			server.head("/users", 204);
+
+			const response = await server.receive(
+				createRequest({ method: "HEAD", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should answer OPTIONS requests with the allowed methods", async () => {
+			server.put("/users/:id", 200);
+			server.delete("/users/:id", 204);
+
+			const response = await server.receive(
+				createRequest({
+					method: "OPTIONS",
+					url: `${BASE_URL}/users/1`,
+				}),
+			);
+
+			assert.strictEqual(response.status, 204);
+			assert.strictEqual(
+				response.headers.get("allow"),
+				"PUT, DELETE, OPTIONS",
+			);
+		});
+
+		it("should not answer CORS preflight requests", async () => {
+			server.get("/users", 200);
+
+			const response = await server.receive(
+				createRequest({
+					method: "OPTIONS",
+					url: `${BASE_URL}/users`,
+					headers: {
+						origin: "https://other.example.com",
+						"access-control-request-method": "GET",
+					},
+				}),
+			);
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should not respond when a route for the method doesn't match", async () => {
+			server.get({ url: "/users", headers: { "x-api-key": "1" } }, 200);
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should not respond when no route matches the URL", async () => {
+			server.get("/users", 200);
+
+			const response = await server.receive(
+				createRequest({ method: "DELETE", url: `${BASE_URL}/posts` }),
+			);
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should not respond automatically by default", async () => {
+			server = new MockServer(BASE_URL);
+			server.get("/users", 200);
+
+			const response = await server.receive(
+				createRequest({ method: "HEAD", url: `${BASE_URL}/users` }),
+			);
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should throw an error when autoMethods isn't a boolean", () => {
+			assert.throws(() => {
+				new MockServer(BASE_URL, { autoMethods: "yes" });
+			}, /MockServer option autoMethods must be a boolean/u);
+		});
+	});
+
+	describe("graphql()", () => {
+		const GET_USER =
+			"query GetUser($id: ID!) { user(id: $id) { id name } }";
+
+		/**
+		 * Sends a GraphQL request to the server.
+		 * @param {object} body The GraphQL request body.
+		 * @returns {Promise<{response:Response|undefined,traces:Array<object>}>} The trace result.
+		 */
+		function send(body) {
+			return server.traceReceive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/graphql`,
+					body,
+				}),
+			);
+		}
+
+		it("should respond to a POST request with a GraphQL result", async () => {
+			server.graphql(
+				{ operationName: "GetUser", variables: { id: "1" } },
+				{ data: { user: { id: "1", name: "Alice" } } },
+			);
+
+			const { response } = await send({
+				query: GET_USER,
+				variables: { id: "1" },
+			});
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"application/json",
+			);
+			assert.deepStrictEqual(await response.json(), {
+				data: { user: { id: "1", name: "Alice" } },
+			});
+		});
+
+		it("should respond to a GET request with the operation in the query string", async () => {
+			server.graphql(
+				{ operationType: "query", variables: { id: "1" } },
+				{ data: { user: null } },
+			);
+
+			const url = new URL(`${BASE_URL}/graphql`);
+			url.searchParams.set("query", GET_USER);
+			url.searchParams.set("variables", JSON.stringify({ id: "1" }));
+
+			const response = await server.receive(
+				createRequest({ method: "GET", url: url.href }),
+			);
+
+			assert.deepStrictEqual(await response.json(), {
+				data: { user: null },
+			});
+		});
+
+		it("should convert string errors into error objects", async () => {
+			server.graphql(
+				{ operationName: "GetUser" },
+				{ data: null, errors: ["User not found", { message: "Oops" }] },
+			);
+
+			const { response } = await send({ query: GET_USER });
+
+			assert.deepStrictEqual(await response.json(), {
+				data: null,
+				errors: [{ message: "User not found" }, { message: "Oops" }],
+			});
+		});
+
+		it("should use the operation name to choose between operations", async () => {
+			server.graphql(
+				{ operationName: "ListUsers" },
+				{ data: { users: [] } },
+			);
+
+			const { response } = await send({
+				query: `${GET_USER} query ListUsers { users { id } }`,
+				operationName: "ListUsers",
+			});
+
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should match a query that only differs in whitespace and comments", async () => {
+			server.graphql({ query: GET_USER }, { data: {} });
+
+			const { response } = await send({
+				query: `# fetch a user
+				query GetUser($id: ID!) {
+					user(id: $id) {
+						id,
+						name
+					}
+				}`,
+			});
+
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should pass the parsed operation to a response creator", async () => {
+			server.graphql({ operationName: "GetUser" }, (request, info) => ({
+				data: {
+					user: { id: info.graphql.variables.id, name: "Alice" },
+				},
+			}));
+
+			const { response } = await send({
+				query: GET_USER,
+				variables: { id: "2" },
+			});
+
+			assert.deepStrictEqual(await response.json(), {
+				data: { user: { id: "2", name: "Alice" } },
+			});
+		});
+
+		it("should respond with a response pattern unchanged", async () => {
+			server.graphql({ operationName: "GetUser" }, { status: 503 });
+
+			const { response } = await send({ query: GET_USER });
+
+			assert.strictEqual(response.status, 503);
+		});
+
+		it("should respond with a sequence of GraphQL results", async () => {
+			server.graphql({ operationName: "GetUser" }, [
+				{ errors: ["Try again"] },
+				{ data: { user: null } },
+			]);
+
+			let { response } = await send({ query: GET_USER });
+			assert.deepStrictEqual(await response.json(), {
+				errors: [{ message: "Try again" }],
+			});
+
+			({ response } = await send({ query: GET_USER }));
+			assert.deepStrictEqual(await response.json(), {
+				data: { user: null },
+			});
+		});
+
+		it("should use a different URL when one is provided", async () => {
+			server.graphql({ url: "/api", operationName: "GetUser" }, 204);
+
+			const { response } = await send({ query: GET_USER });
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should trace a mismatched operation name", async () => {
+			server.graphql({ operationName: "ListUsers" }, { data: {} });
+
+			const { response, traces } = await send({ query: GET_USER });
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].title,
+				"🚧 [GraphQL: ListUsers https://example.com/graphql -> 200]",
+			);
+			assert.deepStrictEqual(traces[0].messages, [
+				"✅ URL matches.",
+				"✅ Method matches: POST.",
+				"❌ GraphQL operation name does not match. Expected ListUsers but received GetUser.",
+			]);
+		});
+
+		it("should trace a mismatched operation type", async () => {
+			server.graphql(
+				{ operationType: "mutation", operationName: "GetUser" },
+				{ data: {} },
+			);
+
+			const { traces } = await send({ query: GET_USER });
+
+			assert.strictEqual(
+				traces[0].title,
+				"🚧 [GraphQL: mutation GetUser https://example.com/graphql -> 200]",
+			);
+			assert.strictEqual(
+				traces[0].messages[2],
+				"❌ GraphQL operation type does not match. Expected mutation but received query.",
+			);
+		});
+
+		it("should trace mismatched variables with the operation name", async () => {
+			server.graphql(
+				{ operationName: "GetUser", variables: { id: "1" } },
+				{ data: {} },
+			);
+
+			const { traces } = await send({
+				query: GET_USER,
+				variables: { id: "2" },
+			});
+
+			assert.strictEqual(
+				traces[0].messages[2],
+				'❌ GraphQL variables do not match for query GetUser at $.id. Expected "1" but received "2".',
+			);
+		});
+
+		it("should trace a request that isn't a GraphQL request", async () => {
+			server.graphql({ operationName: "GetUser" }, { data: {} });
+
+			const { traces } = await send({ name: "Alice" });
+
+			assert.strictEqual(
+				traces[0].messages[2],
+				"❌ GraphQL operation does not match. Expected GraphQL request but received none.",
+			);
+		});
+
+		it("should trace a method other than GET or POST", async () => {
+			server.graphql({ operationName: "GetUser" }, { data: {} });
+
+			const { traces } = await server.traceReceive(
+				createRequest({
+					method: "PUT",
+					url: `${BASE_URL}/graphql`,
+					body: { query: GET_USER },
+				}),
+			);
+
+			assert.strictEqual(
+				traces[0].messages[1],
+				"❌ Method does not match. Expected GET or POST but received PUT.",
+			);
+		});
+
+		it("should throw an error for an invalid operation type", () => {
+			assert.throws(() => {
+				server.graphql({ operationType: "fetch" }, { data: {} });
+			}, /GraphQL pattern operationType must be one of: query, mutation, subscription/u);
+		});
+
+		it("should throw an error for a response without a GraphQL result", () => {
+			assert.throws(() => {
+				server.graphql({ operationName: "GetUser" }, { user: {} });
+			}, /GraphQL response must include data, errors, extensions, or a status/u);
+		});
+	});
+
+	describe("jsonrpc()", () => {
+		/**
+		 * Sends a JSON-RPC request or batch to the server.
+		 * @param {object|Array<object>} body The JSON-RPC request or batch.
+		 * @returns {Promise<{response:Response|undefined,traces:Array<object>}>} The trace result.
+		 */
+		function send(body) {
+			return server.traceReceive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/rpc`,
+					body,
+				}),
+			);
+		}
+
+		it("should respond with the result and the request ID", async () => {
+			server.jsonrpc("/rpc", "getUser", { result: { name: "Alice" } });
+
+			const { response } = await send({
+				jsonrpc: "2.0",
+				method: "getUser",
+				id: 7,
+			});
+
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), {
+				jsonrpc: "2.0",
+				id: 7,
+				result: { name: "Alice" },
+			});
+		});
+
+		it("should respond with an error", async () => {
+			server.jsonrpc("/rpc", "getUser", {
+				error: { code: -32602, message: "Invalid params" },
+			});
+
+			const { response } = await send({
+				jsonrpc: "2.0",
+				method: "getUser",
+				id: "a",
+			});
+
+			assert.deepStrictEqual(await response.json(), {
+				jsonrpc: "2.0",
+				id: "a",
+				error: { code: -32602, message: "Invalid params" },
+			});
+		});
+
+		it("should match the params", async () => {
+			server.jsonrpc(
+				"/rpc",
+				{ method: "getUser", params: { id: 2 } },
+				{ result: "Bob" },
+			);
+			server.jsonrpc(
+				"/rpc",
+				{ method: "getUser", params: { id: 1 } },
+				{ result: "Alice" },
+			);
+
+			const { response } = await send({
+				jsonrpc: "2.0",
+				method: "getUser",
+				params: { id: 1 },
+				id: 1,
+			});
+
+			assert.strictEqual((await response.json()).result, "Alice");
+		});
+
+		it("should pass the params and request information to a function", async () => {
+			server.jsonrpc("/rpc", "add", (params, info) => ({
+				result: { sum: params[0] + params[1], method: info.method },
+			}));
+
+			const { response } = await send({
+				jsonrpc: "2.0",
+				method: "add",
+				params: [1, 2],
+				id: 1,
+			});
+
+			assert.deepStrictEqual((await response.json()).result, {
+				sum: 3,
+				method: "add",
+			});
+		});
+
+		it("should respond with 204 to a notification", async () => {
+			server.jsonrpc("/rpc", "log", { result: null });
+
+			const { response } = await send({ jsonrpc: "2.0", method: "log" });
+
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should respond with a response pattern unchanged", async () => {
+			server.jsonrpc("/rpc", "getUser", { status: 503 });
+
+			const { response } = await send({
+				jsonrpc: "2.0",
+				method: "getUser",
+				id: 1,
+			});
+
+			assert.strictEqual(response.status, 503);
+		});
+
+		it("should respond to each request in a batch", async () => {
+			server.jsonrpc("/rpc", "getUser", { result: "Alice" });
+			server.jsonrpc("/rpc", "log", { result: null });
+			server.jsonrpc("/rpc", "getCount", () => ({ result: 2 }));
+
+			const { response, call } = await send([
+				{ jsonrpc: "2.0", method: "getCount", id: 2 },
+				{ jsonrpc: "2.0", method: "log" },
+				{ jsonrpc: "2.0", method: "getUser", id: 1 },
+			]);
+
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), [
+				{ jsonrpc: "2.0", id: 2, result: 2 },
+				{ jsonrpc: "2.0", id: 1, result: "Alice" },
+			]);
+			assert.strictEqual(
+				call.route,
+				"📦 [JSON-RPC Batch: https://example.com/rpc -> 200]",
+			);
+			assert.deepStrictEqual(server.calls, [call]);
+			server.assertCalledTimes({ method: "POST", url: "/rpc" }, 1);
+			assert.ok(server.allRoutesCalled());
+		});
+
+		it("should respond with 204 to a batch of notifications", async () => {
+			server.jsonrpc("/rpc", "log", { result: null }, { times: 2 });
+
+			const { response } = await send([
+				{ jsonrpc: "2.0", method: "log" },
+				{ jsonrpc: "2.0", method: "log" },
+			]);
+
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should not call any route when a request in a batch doesn't match", async () => {
+			server.jsonrpc("/rpc", "getUser", { result: "Alice" });
+
+			const { response, traces } = await send([
+				{ jsonrpc: "2.0", method: "getUser", id: 1 },
+				{ jsonrpc: "2.0", method: "getUsers", id: 2 },
+			]);
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].title,
+				"🚧 [JSON-RPC: getUser https://example.com/rpc]",
+			);
+			assert.deepStrictEqual(traces[0].messages, [
+				"✅ URL matches.",
+				"✅ Method matches: POST.",
+				"❌ JSON-RPC method does not match. Expected getUser but received getUsers.",
+			]);
+			assert.strictEqual(server.calls.length, 0);
+		});
+
+		it("should not call any route when a batch needs more calls than a route allows", async () => {
+			server.jsonrpc("/rpc", "add", { result: 3 });
+
+			const { response, traces } = await send([
+				{ jsonrpc: "2.0", method: "add", id: 1 },
+				{ jsonrpc: "2.0", method: "add", id: 2 },
+			]);
+
+			assert.strictEqual(response, undefined);
+			assert.strictEqual(
+				traces[0].messages.at(-1),
+				"❌ Route has already been matched by other requests in the batch.",
+			);
+			assert.strictEqual(server.calls.length, 0);
+			assert.strictEqual(server.allRoutesCalled(), false);
+		});
+
+		it("should match other routes when an array isn't a batch", async () => {
+			server.jsonrpc("/rpc", "getUser", { result: "Alice" });
+			server.post("/rpc", 202);
+
+			const { response, call } = await send([
+				{ jsonrpc: "2.0", method: "getUser", id: 1 },
+				{ method: "getUser" },
+			]);
+
+			assert.strictEqual(response.status, 202);
+			assert.strictEqual(
+				call.route,
+				"🚧 [Route: POST https://example.com/rpc -> 202]",
+			);
+			assert.strictEqual(server.allRoutesCalled(), false);
+		});
+
+		it("should trace mismatched params with the method name", async () => {
+			server.jsonrpc(
+				"/rpc",
+				{ method: "getUser", params: { id: 1 } },
+				{ result: "Alice" },
+			);
+
+			const { traces } = await send({
+				jsonrpc: "2.0",
+				method: "getUser",
+				params: { id: 2 },
+				id: 1,
+			});
+
+			assert.strictEqual(
+				traces[0].messages[2],
+				"❌ JSON-RPC params do not match for getUser at $.id. Expected 1 but received 2.",
+			);
+		});
+
+		it("should trace a body that isn't a JSON-RPC request", async () => {
+			server.jsonrpc("/rpc", "getUser", { result: "Alice" });
+
+			const { traces } = await send({ method: "getUser" });
+
+			assert.strictEqual(
+				traces[0].messages[2],
+				"❌ JSON-RPC request does not match. Expected JSON-RPC 2.0 request but received none.",
+			);
+		});
+
+		it("should throw an error when the handler has neither result nor error", () => {
+			assert.throws(() => {
+				server.jsonrpc("/rpc", "getUser", { data: "Alice" });
+			}, /JSON-RPC response must include either result or error/u);
+		});
+
+		it("should throw an error when the error is missing a code", () => {
+			assert.throws(() => {
+				server.jsonrpc("/rpc", "getUser", {
+					error: { message: "Oops" },
+				});
+			}, /JSON-RPC response error must include an integer code and a string message/u);
+		});
+	});
+
+	describe("resource()", () => {
+		/**
+		 * Sends a request to the server.
+		 * @param {string} method The HTTP method.
+		 * @param {string} path The path to request.
+		 * @param {object} [body] The JSON body to send.
+		 * @returns {Promise<Response>} The response.
+		 */
+		function send(method, path, body) {
+			return server.receive(
+				createRequest({ method, url: `${BASE_URL}${path}`, body }),
+			);
+		}
+
+		it("should list the seed items", async () => {
+			server.resource("/users", {
+				seed: [{ id: 1, name: "Alice" }],
+			});
+
+			const response = await send("GET", "/users");
+
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), [
+				{ id: 1, name: "Alice" },
+			]);
+		});
+
+		it("should create an item with a generated ID", async () => {
+			const users = server.resource("/users", {
+				seed: [{ id: 4, name: "Alice" }],
+			});
+
+			const response = await send("POST", "/users", { name: "Bob" });
+
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual(
+				response.headers.get("location"),
+				`${BASE_URL}/users/5`,
+			);
+			assert.deepStrictEqual(await response.json(), {
+				name: "Bob",
+				id: 5,
+			});
+			assert.deepStrictEqual(users.get(5), { name: "Bob", id: 5 });
+			assert.strictEqual(users.size, 2);
+		});
+
+		it("should read, update, replace, and delete an item", async () => {
+			const users = server.resource("/users", {
+				seed: [{ id: 1, name: "Alice", role: "admin" }],
+			});
+
+			let response = await send("GET", "/users/1");
+			assert.deepStrictEqual(await response.json(), {
+				id: 1,
+				name: "Alice",
+				role: "admin",
+			});
+
+			response = await send("PATCH", "/users/1", { name: "Alicia" });
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), {
+				id: 1,
+				name: "Alicia",
+				role: "admin",
+			});
+
+			response = await send("PUT", "/users/1", { id: 99, name: "Al" });
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), {
+				id: 1,
+				name: "Al",
+			});
+
+			response = await send("DELETE", "/users/1");
+			assert.strictEqual(response.status, 204);
+			assert.strictEqual(users.size, 0);
+
+			response = await send("GET", "/users/1");
+			assert.strictEqual(response.status, 404);
+		});
+
+		it("should respond with 404 for unknown IDs", async () => {
+			server.resource("/users");
+
+			for (const method of ["GET", "PUT", "PATCH", "DELETE"]) {
+				const body = method === "GET" ? undefined : { name: "Nobody" };
+				const response = await send(method, "/users/42", body);
+
+				assert.strictEqual(response.status, 404);
+				assert.deepStrictEqual(await response.json(), {
+					error: "No item with id 42 was found.",
+				});
+			}
+		});
+
+		it("should use a custom ID field", async () => {
+			const posts = server.resource("/posts", {
+				idField: "slug",
+				seed: [{ slug: "hello", title: "Hello" }],
+			});
+
+			const response = await send("POST", "/posts", {
+				slug: "second",
+				title: "Second",
+			});
+
+			assert.strictEqual(response.status, 201);
+			assert.strictEqual((await send("GET", "/posts/hello")).status, 200);
+			assert.deepStrictEqual(
+				posts.items.map(post => post.slug),
+				["hello", "second"],
+			);
+		});
+
+		it("should respond with 409 when creating an item with an existing ID", async () => {
+			server.resource("/users", { seed: [{ id: 1 }] });
+
+			const response = await send("POST", "/users", { id: 1 });
+
+			assert.strictEqual(response.status, 409);
+		});
+
+		it("should respond with 400 when the body isn't a JSON object", async () => {
+			server.resource("/users");
+
+			const response = await send("POST", "/users", "Bob");
+
+			assert.strictEqual(response.status, 400);
+		});
+
+		it("should not expose the stored items to changes", async () => {
+			const seed = [{ id: 1, name: "Alice" }];
+			const users = server.resource("/users", { seed });
+
+			seed[0].name = "Changed";
+			users.items[0].name = "Changed";
+
+			assert.strictEqual(users.get(1).name, "Alice");
+		});
+
+		it("should restore the seed items when reset", async () => {
+			const users = server.resource("/users", {
+				seed: [{ id: 1, name: "Alice" }],
+			});
+
+			await send("DELETE", "/users/1");
+			users.reset();
+
+			assert.deepStrictEqual(users.items, [{ id: 1, name: "Alice" }]);
+		});
+
+		it("should throw an error when a seed item is missing its ID", () => {
+			assert.throws(() => {
+				server.resource("/users", { seed: [{ name: "Alice" }] });
+			}, /Resource seed items must be objects with a id property/u);
+		});
+	});
+
+	describe("fromOpenAPI()", () => {
+		const document = {
+			openapi: "3.0.3",
+			servers: [{ url: "https://api.example.com/v1" }],
+			paths: {
+				"/users": {
+					get: {
+						operationId: "listUsers",
+						responses: {
+							200: {
+								content: {
+									"application/json": {
+										example: [{ id: 1, name: "Alice" }],
+									},
+								},
+							},
+						},
+					},
+				},
+				"/users/{userId}": {
+					get: {
+						operationId: "getUser",
+						responses: {
+							200: {
+								content: {
+									"application/json": {
+										schema: {
+											$ref: "#/components/schemas/User",
+										},
+									},
+								},
+							},
+							404: { description: "Not found" },
+						},
+					},
+					delete: {
+						responses: { 204: { description: "Deleted" } },
+					},
+				},
+			},
+			components: {
+				schemas: {
+					User: {
+						type: "object",
+						example: { id: 1, name: "Alice" },
+					},
+				},
+			},
+		};
+
+		it("should respond to each operation with its example", async () => {
+			const openApiServer = MockServer.fromOpenAPI(document);
+
+			let response = await openApiServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/v1/users",
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), [
+				{ id: 1, name: "Alice" },
+			]);
+
+			response = await openApiServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/v1/users/1",
+				}),
+			);
+			assert.deepStrictEqual(await response.json(), {
+				id: 1,
+				name: "Alice",
+			});
+
+			response = await openApiServer.receive(
+				createRequest({
+					method: "DELETE",
+					url: "https://api.example.com/v1/users/1",
+				}),
+			);
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should match operations any number of times", async () => {
+			const openApiServer = MockServer.fromOpenAPI(document);
+
+			for (let i = 0; i < 3; i++) {
+				const response = await openApiServer.receive(
+					createRequest({
+						method: "GET",
+						url: "https://api.example.com/v1/users",
+					}),
+				);
+
+				assert.strictEqual(response.status, 200);
+			}
+		});
+
+		it("should use the baseUrl option instead of the server URL", async () => {
+			const openApiServer = MockServer.fromOpenAPI(document, {
+				baseUrl: "http://localhost:3000",
+			});
+
+			const response = await openApiServer.receive(
+				createRequest({
+					method: "GET",
+					url: "http://localhost:3000/users",
+				}),
+			);
+
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should describe each route with its example status", () => {
+			const openApiServer = MockServer.fromOpenAPI(document);
+
+			assert.deepStrictEqual(openApiServer.uncalledRoutes, [
+				"🚧 [Route: GET https://api.example.com/v1/users -> 200]",
+				"🚧 [Route: GET https://api.example.com/v1/users/:userId -> 200]",
+				"🚧 [Route: DELETE https://api.example.com/v1/users/:userId -> 204]",
+			]);
+		});
+
+		it("should use overrides passed as an option", async () => {
+			const openApiServer = MockServer.fromOpenAPI(document, {
+				overrides: { getUser: 404 },
+			});
+
+			const response = await openApiServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/v1/users/2",
+				}),
+			);
+
+			assert.strictEqual(response.status, 404);
+		});
+
+		it("should override an operation until the overrides are cleared", async () => {
+			const openApiServer = MockServer.fromOpenAPI(document);
+			const request = () =>
+				createRequest({
+					method: "DELETE",
+					url: "https://api.example.com/v1/users/1",
+				});
+
+			openApiServer.overrideOperation(
+				"DELETE /users/{userId}",
+				(req, { params }) => ({
+					status: 409,
+					body: { error: `User ${params.userId} is locked.` },
+				}),
+			);
+
+			let response = await openApiServer.receive(request());
+			assert.strictEqual(response.status, 409);
+			assert.deepStrictEqual(await response.json(), {
+				error: "User 1 is locked.",
+			});
+
+			openApiServer.clearOperationOverrides();
+
+			response = await openApiServer.receive(request());
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should throw an error when overriding an unknown operation", () => {
+			const openApiServer = MockServer.fromOpenAPI(document);
+
+			assert.throws(() => {
+				openApiServer.overrideOperation("createUser", 201);
+			}, /Unknown OpenAPI operation: createUser/u);
+		});
+
+		it("should throw an error when there's no base URL", () => {
+			assert.throws(() => {
+				MockServer.fromOpenAPI({
+					...document,
+					servers: [{ url: "/v1" }],
+				});
+			}, /A baseUrl is required/u);
+		});
+	});
+
+	describe("fromHAR()", () => {
+		const har = {
+			log: {
+				version: "1.2",
+				entries: [
+					{
+						request: {
+							method: "GET",
+							url: "https://api.example.com/users?page=2",
+							headers: [
+								{ name: "Accept", value: "application/json" },
+								{ name: "User-Agent", value: "Test/1.0" },
+							],
+						},
+						response: {
+							status: 200,
+							headers: [
+								{
+									name: "Content-Type",
+									value: "application/json",
+								},
+								{
+									name: "Date",
+									value: "Mon, 01 Jan 2024 00:00:00 GMT",
+								},
+								{ name: "Content-Encoding", value: "gzip" },
+								{ name: "X-Request-Id", value: "abc123" },
+							],
+							content: {
+								mimeType: "application/json",
+								text: '[{"id":1}]',
+							},
+						},
+					},
+					{
+						request: {
+							method: "POST",
+							url: "https://api.example.com/users",
+							headers: [],
+							postData: {
+								mimeType: "application/json",
+								text: '{"name":"Alice"}',
+							},
+						},
+						response: {
+							status: 201,
+							headers: [],
+							content: {
+								mimeType: "application/json",
+								text: '{"id":2,"name":"Alice"}',
+							},
+						},
+					},
+					{
+						request: {
+							method: "GET",
+							url: "https://api.example.com/logo.png",
+							headers: [],
+						},
+						response: {
+							status: 200,
+							headers: [],
+							content: {
+								mimeType: "image/png",
+								encoding: "base64",
+								text: "iVBORw==",
+							},
+						},
+					},
+					{
+						request: {
+							method: "GET",
+							url: "https://cdn.example.com/app.js",
+							headers: [],
+						},
+						response: { status: 200, headers: [], content: {} },
+					},
+					{
+						request: {
+							method: "GET",
+							url: "https://api.example.com/blocked",
+							headers: [],
+						},
+						response: { status: 0, headers: [], content: {} },
+					},
+				],
+			},
+		};
+
+		it("should respond to each recorded request with its response", async () => {
+			const harServer = MockServer.fromHAR(har);
+
+			let response = await harServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/users?page=2",
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.headers.get("x-request-id"), "abc123");
+			assert.deepStrictEqual(await response.json(), [{ id: 1 }]);
+
+			response = await harServer.receive(
+				createRequest({
+					method: "POST",
+					url: "https://api.example.com/users",
+					body: { name: "Alice" },
+				}),
+			);
+			assert.strictEqual(response.status, 201);
+			assert.deepStrictEqual(await response.json(), {
+				id: 2,
+				name: "Alice",
+			});
+		});
+
+		it("should decode base64 response content", async () => {
+			const harServer = MockServer.fromHAR(har);
+
+			const response = await harServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/logo.png",
+				}),
+			);
+
+			assert.strictEqual(
+				response.headers.get("content-type"),
+				"image/png",
+			);
+			assert.deepStrictEqual(
+				[...new Uint8Array(await response.arrayBuffer())],
+				[0x89, 0x50, 0x4e, 0x47],
+			);
+		});
+
+		it("should leave out volatile and transport headers", async () => {
+			const harServer = MockServer.fromHAR(har, {
+				ignoreHeaders: ["X-Request-Id"],
+			});
+
+			const response = await harServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/users?page=2",
+				}),
+			);
+
+			assert.strictEqual(response.headers.get("date"), null);
+			assert.strictEqual(response.headers.get("content-encoding"), null);
+			assert.strictEqual(response.headers.get("x-request-id"), null);
+		});
+
+		it("should only match the query string and body that were recorded", async () => {
+			const harServer = MockServer.fromHAR(har);
+
+			let response = await harServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/users?page=3",
+				}),
+			);
+			assert.strictEqual(response, undefined);
+
+			response = await harServer.receive(
+				createRequest({
+					method: "POST",
+					url: "https://api.example.com/users",
+					body: { name: "Bob" },
+				}),
+			);
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should match request headers when matchHeaders is true", async () => {
+			const harServer = MockServer.fromHAR(har, { matchHeaders: true });
+
+			let response = await harServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/users?page=2",
+				}),
+			);
+			assert.strictEqual(response, undefined);
+
+			response = await harServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://api.example.com/users?page=2",
+					headers: { Accept: "application/json" },
+				}),
+			);
+			assert.strictEqual(response.status, 200);
+		});
+
+		it("should match bodies with +json media types as JSON", async () => {
+			const harServer = MockServer.fromHAR({
+				log: {
+					entries: [
+						{
+							request: {
+								method: "PATCH",
+								url: "https://api.example.com/users/1",
+								headers: [],
+								postData: {
+									mimeType: "application/merge-patch+json",
+									text: '{ "name": "Alice" }',
+								},
+							},
+							response: { status: 204, headers: [] },
+						},
+					],
+				},
+			});
+
+			const patch = name =>
+				new Request("https://api.example.com/users/1", {
+					method: "PATCH",
+					headers: { "content-type": "application/merge-patch+json" },
+					body: JSON.stringify({ name }),
+				});
+
+			assert.strictEqual(
+				await harServer.receive(patch("Bob")),
+				undefined,
+			);
+			assert.strictEqual(
+				(await harServer.receive(patch("Alice"))).status,
+				204,
+			);
+		});
+
+		it("should match URL-encoded bodies recorded as params", async () => {
+			const harServer = MockServer.fromHAR({
+				log: {
+					entries: [
+						{
+							request: {
+								method: "POST",
+								url: "https://api.example.com/login",
+								headers: [],
+								postData: {
+									mimeType:
+										"application/x-www-form-urlencoded",
+									params: [
+										{ name: "username", value: "alice" },
+									],
+								},
+							},
+							response: { status: 204, headers: [] },
+						},
+					],
+				},
+			});
+
+			let response = await harServer.receive(
+				new Request("https://api.example.com/login", {
+					method: "POST",
+					body: new URLSearchParams({ username: "bob" }),
+				}),
+			);
+			assert.strictEqual(response, undefined);
+
+			response = await harServer.receive(
+				new Request("https://api.example.com/login", {
+					method: "POST",
+					body: new URLSearchParams({ username: "alice" }),
+				}),
+			);
+			assert.strictEqual(response.status, 204);
+		});
+
+		it("should skip entries for other origins and failed requests", () => {
+			const harServer = MockServer.fromHAR(har);
+
+			assert.deepStrictEqual(harServer.uncalledRoutes, [
+				"🚧 [Route: GET https://api.example.com/users -> 200]",
+				"🚧 [Route: POST https://api.example.com/users -> 201]",
+				"🚧 [Route: GET https://api.example.com/logo.png -> 200]",
+			]);
+		});
+
+		it("should use the baseUrl option to choose which entries to include", () => {
+			const harServer = MockServer.fromHAR(har, {
+				baseUrl: "https://cdn.example.com",
+			});
+
+			assert.deepStrictEqual(harServer.uncalledRoutes, [
+				"🚧 [Route: GET https://cdn.example.com/app.js -> 200]",
+			]);
+		});
+
+		it("should throw an error when the HAR file has no entries array", () => {
+			assert.throws(() => {
+				MockServer.fromHAR({ log: {} });
+			}, /HAR must include a log.entries array/u);
+		});
+	});
+
+	describe("Contract Validation", () => {
+		const document = {
+			openapi: "3.1.0",
+			paths: {
+				"/users/{id}": {
+					parameters: [
+						{
+							name: "id",
+							in: "path",
+							required: true,
+							schema: { type: "integer" },
+						},
+					],
+					get: {
+						operationId: "getUser",
+						parameters: [
+							{
+								name: "fields",
+								in: "query",
+								schema: {
+									type: "string",
+									enum: ["all", "basic"],
+								},
+							},
+						],
+						responses: {
+							200: {
+								content: {
+									"application/json": {
+										schema: {
+											$ref: "#/components/schemas/User",
+										},
+									},
+								},
+							},
+							404: { description: "Not found" },
+						},
+					},
+				},
+				"/users": {
+					post: {
+						parameters: [
+							{
+								name: "X-Request-Id",
+								in: "header",
+								required: true,
+								schema: { type: "string" },
+							},
+						],
+						requestBody: {
+							required: true,
+							content: {
+								"application/json": {
+									schema: {
+										$ref: "#/components/schemas/User",
+									},
+								},
+							},
+						},
+						responses: { 201: { description: "Created" } },
+					},
+				},
+			},
+			components: {
+				schemas: {
+					User: {
+						type: "object",
+						required: ["id", "name"],
+						properties: {
+							id: { type: "integer" },
+							name: { type: "string" },
+						},
+					},
+				},
+			},
+		};
+
+		let contractServer;
+
+		beforeEach(() => {
+			contractServer = new MockServer(BASE_URL, { contract: document });
+		});
+
+		it("should respond when the request and response follow the document", async () => {
+			contractServer.get("/users/:id", {
+				status: 200,
+				body: { id: 1, name: "Alice" },
+			});
+
+			const response = await contractServer.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/users/1?fields=basic`,
+				}),
+			);
+
+			assert.strictEqual(response.status, 200);
+			assert.deepStrictEqual(await response.json(), {
+				id: 1,
+				name: "Alice",
+			});
+		});
+
+		it("should list each violation in the request", async () => {
+			contractServer.post("/users", 201);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "POST",
+						url: `${BASE_URL}/users`,
+						body: { id: "1" },
+					}),
+				),
+				error => {
+					assert.strictEqual(error.name, "ContractViolationError");
+					assert.deepStrictEqual(error.violations, [
+						"request.headers.X-Request-Id is required.",
+						"request.body.name is required.",
+						"request.body.id must be of type integer but was string.",
+					]);
+					assert.match(
+						error.message,
+						/OpenAPI contract violated for POST https:\/\/example\.com\/users\./u,
+					);
+					assert.match(
+						error.message,
+						/Violations:\n\n {2}❌ request\.headers\.X-Request-Id is required\./u,
+					);
+					return true;
+				},
+			);
+		});
+
+		it("should validate path and query parameters", async () => {
+			contractServer.get("/users/:id", 404);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "GET",
+						url: `${BASE_URL}/users/abc?fields=none`,
+					}),
+				),
+				error => {
+					assert.deepStrictEqual(error.violations, [
+						"request.params.id must be of type integer but was string.",
+						'request.query.fields must be one of: "all", "basic".',
+					]);
+					return true;
+				},
+			);
+		});
+
+		it("should validate the mock response", async () => {
+			contractServer.get("/users/:id", { status: 200, body: { id: 1 } });
+			contractServer.get("/users/:id", 500);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "GET",
+						url: `${BASE_URL}/users/1`,
+					}),
+				),
+				error => {
+					assert.deepStrictEqual(error.violations, [
+						"response.body.name is required.",
+					]);
+					return true;
+				},
+			);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "GET",
+						url: `${BASE_URL}/users/1`,
+					}),
+				),
+				error => {
+					assert.deepStrictEqual(error.violations, [
+						"response status 500 must be one of: 200, 404.",
+					]);
+					return true;
+				},
+			);
+		});
+
+		it("should report routes that aren't in the document", async () => {
+			contractServer.get("/health", 200);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({ method: "GET", url: `${BASE_URL}/health` }),
+				),
+				error => {
+					assert.deepStrictEqual(error.violations, [
+						"No OpenAPI operation matches GET /health.",
+					]);
+					return true;
+				},
+			);
+		});
+
+		it("should record calls that violate the document", async () => {
+			contractServer.get("/users/:id", 404);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "GET",
+						url: `${BASE_URL}/users/abc`,
+					}),
+				),
+				/OpenAPI contract violated/u,
+			);
+
+			assert.strictEqual(contractServer.calls.length, 1);
+			assert.strictEqual(contractServer.calls[0].status, 404);
+		});
+
+		it("should validate requests that don't match a route", async () => {
+			contractServer.get("/users/:id", 200);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "DELETE",
+						url: `${BASE_URL}/users/1`,
+					}),
+				),
+				error => {
+					assert.ok(error instanceof ContractViolationError);
+					assert.deepStrictEqual(error.violations, [
+						"No OpenAPI operation matches DELETE /users/1.",
+					]);
+					return true;
+				},
+			);
+
+			assert.strictEqual(contractServer.calls.length, 0);
+		});
+
+		it("should validate requests that receive an automatic response", async () => {
+			contractServer = new MockServer(BASE_URL, {
+				contract: document,
+				autoMethods: true,
+			});
+			contractServer.get("/users/:id", 200);
+
+			await assert.rejects(
+				contractServer.receive(
+					createRequest({
+						method: "PUT",
+						url: `${BASE_URL}/users/1`,
+					}),
+				),
+				error => {
+					assert.deepStrictEqual(error.violations, [
+						"No OpenAPI operation matches PUT /users/1.",
+					]);
+					assert.strictEqual(error.call.status, 405);
+					return true;
+				},
+			);
+		});
+
+		it("should not validate requests for other URLs", async () => {
+			const response = await contractServer.receive(
+				createRequest({
+					method: "GET",
+					url: "https://other.example.com/users/1",
+				}),
+			);
+
+			assert.strictEqual(response, undefined);
+		});
+
+		it("should validate operations when created with validate: true", async () => {
+			const openApiServer = MockServer.fromOpenAPI(document, {
+				baseUrl: BASE_URL,
+				validate: true,
+			});
+
+			openApiServer.overrideOperation("getUser", {
+				status: 200,
+				body: { id: 1, name: 42 },
+			});
+
+			await assert.rejects(
+				openApiServer.receive(
+					createRequest({
+						method: "GET",
+						url: `${BASE_URL}/users/1`,
+					}),
+				),
+				error => {
+					assert.deepStrictEqual(error.violations, [
+						"response.body.name must be of type string but was number.",
+					]);
+					return true;
+				},
+			);
+		});
+	});
+
+	describe("calls", () => {
+		it("should return an empty array when no requests have been received", () => {
+			assert.deepStrictEqual(server.calls, []);
+		});
+
+		it("should record the request, body, route, and status for each call", async () => {
+			server.post("/users/:id", { status: 201, body: "Created" });
+
+			await server.receive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/users/123?notify=true`,
+					body: { name: "Alice" },
+				}),
+			);
+
+			const { calls } = server;
+
+			assert.strictEqual(calls.length, 1);
+			assert.strictEqual(calls[0].request.method, "POST");
+			assert.strictEqual(
+				calls[0].request.url,
+				`${BASE_URL}/users/123?notify=true`,
+			);
+			assert.deepStrictEqual(calls[0].body, { name: "Alice" });
+			assert.deepStrictEqual(await calls[0].request.json(), {
+				name: "Alice",
+			});
+			assert.strictEqual(
+				calls[0].route,
+				"🚧 [Route: POST https://example.com/users/:id -> 201]",
+			);
+			assert.strictEqual(calls[0].params.id, "123");
+			assert.strictEqual(calls[0].query.get("notify"), "true");
+			assert.strictEqual(calls[0].status, 201);
+			assert.strictEqual(typeof calls[0].timestamp, "number");
+			assert.ok(calls[0].duration >= 0);
+		});
+
+		it("should include the delay in the duration", async () => {
+			server.get("/slow", { status: 200, delay: 50 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/slow` }),
+			);
+
+			assert.ok(server.calls[0].duration >= 45);
+		});
+
+		it("should record calls in the order they were received", async () => {
+			server.get("/first", 200);
+			server.get("/second", 200);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/second` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/first` }),
+			);
+
+			assert.deepStrictEqual(
+				server.calls.map(call => call.request.url),
+				[`${BASE_URL}/second`, `${BASE_URL}/first`],
+			);
+		});
+
+		it("should keep the request body readable when a response creator reads it", async () => {
+			server.post("/echo", async request => ({
+				status: 200,
+				body: await request.text(),
+			}));
+
+			await server.receive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/echo`,
+					body: "Hello",
+				}),
+			);
+
+			assert.strictEqual(await server.calls[0].request.text(), "Hello");
+		});
+
+		it("should not record requests that don't match a route", async () => {
+			server.get("/test", 200);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/other` }),
+			);
+
+			assert.deepStrictEqual(server.calls, []);
 		});
 
-		it("should match the request when the body is an ArrayBuffer", async () => {
-			const buffer = new TextEncoder().encode("Created").buffer;
+		it("should return the call from traceReceive()", async () => {
+			server.get("/test", 200);
 
-			server.post(
-				{ url: "/submit", body: buffer },
-				{ status: 201, body: "Created" },
+			const { call } = await server.traceReceive(
+				createRequest({ method: "GET", url: `${BASE_URL}/test` }),
 			);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: new TextEncoder().encode("Created").buffer,
-			});
-
-			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(await getResponseBody(response), "Created");
+			assert.strictEqual(call, server.calls[0]);
 		});
 
-		it("should not match the request when a different ArrayBuffer is used", async () => {
-			const buffer = new TextEncoder().encode("Created").buffer;
-			const differentBuffer = new TextEncoder().encode(
-				"Different",
-			).buffer;
+		it("should clear the history when clear() is called", async () => {
+			server.get("/test", 200);
 
-			server.post(
-				{ url: "/submit", body: buffer },
-				{ status: 201, body: "Created" },
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/test` }),
 			);
+			server.clear();
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				headers: {
-					"content-type": "application/octet-stream",
-				},
-				body: differentBuffer,
-			});
+			assert.deepStrictEqual(server.calls, []);
+		});
+	});
 
-			const response = await server.receive(request);
-			assert.strictEqual(response, undefined);
+	describe("callsFor()", () => {
+		it("should return calls matching a URL string", async () => {
+			server.get("/users/:id", 200, { persist: true });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/users/1` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/users/2` }),
+			);
+
+			assert.strictEqual(server.callsFor("/users/:id").length, 2);
+			assert.strictEqual(server.callsFor("/users/2").length, 1);
+			assert.strictEqual(
+				server.callsFor("/users/2")[0].request.url,
+				`${BASE_URL}/users/2`,
+			);
 		});
 
-		it("should match the request when the body is a text Blob", async () => {
-			const blob = new Blob(["Created"], { type: "text/plain" });
+		it("should return calls matching a request pattern with a body", async () => {
+			server.post("/users", 201, { persist: true });
 
-			server.post(
-				{
-					url: "/submit",
-					headers: {
-						// Note: Bun always appends charset=utf-8 to the content-type header for text
-						"content-type": blob.type,
-					},
-					body: "Created",
-				},
-				{ status: 201, body: "Created" },
+			await server.receive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					body: { name: "Alice" },
+				}),
+			);
+			await server.receive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					body: { name: "Bob" },
+				}),
 			);
 
-			const request = createRequest({
+			const calls = server.callsFor({
 				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: blob,
+				url: "/users",
+				body: { name: "Bob" },
 			});
 
-			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(await getResponseBody(response), "Created");
+			assert.strictEqual(calls.length, 1);
+			assert.deepStrictEqual(calls[0].body, { name: "Bob" });
 		});
 
-		it("should match the request when the body is an image Blob from a Uint8Array", async () => {
-			const imageData = new Uint8Array([137, 80, 78, 71]); // Example PNG header
-			const blob = new Blob([imageData], { type: "image/png" });
-			const expectedResponse = "Image Created";
+		it("should return calls matching a request pattern with a query", async () => {
+			server.get("/search", 200, { persist: true });
 
-			server.post(
-				{
-					url: "/submit",
-					headers: {
-						"content-type": blob.type,
-					},
-					body: imageData.buffer,
-				},
-				{ status: 201, body: expectedResponse },
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/search?q=a` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/search?q=b` }),
 			);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: blob,
+			const calls = server.callsFor({
+				method: "GET",
+				url: "/search",
+				query: { q: "b" },
 			});
 
-			const response = await server.receive(request);
-			assert.strictEqual(response.status, 201);
-			assert.strictEqual(response.statusText, "Created");
-			assert.strictEqual(
-				await getResponseBody(response),
-				expectedResponse,
-			);
+			assert.strictEqual(calls.length, 1);
+			assert.strictEqual(calls[0].query.get("q"), "b");
 		});
 
-		it("should not match the request when a different Blob is used", async () => {
-			const differentBlob = new Blob(["Different"], {
-				type: "text/plain",
-			});
+		it("should return calls matching a query with repeated parameters", async () => {
+			server.get("/posts", 200, { persist: true });
 
-			server.post(
-				{
-					url: "/submit",
-					headers: {
-						"content-type": "text/plain",
-					},
-					body: "Created",
-				},
-				{ status: 201, body: "Created" },
+			await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/posts?tag=a&tag=b`,
+				}),
+			);
+			await server.receive(
+				createRequest({
+					method: "GET",
+					url: `${BASE_URL}/posts?tag=b`,
+				}),
 			);
 
-			const request = createRequest({
-				method: "POST",
-				url: `${BASE_URL}/submit`,
-				body: differentBlob,
-			});
+			const pattern = {
+				method: "GET",
+				url: "/posts",
+				query: { tag: ["a", "b"] },
+			};
 
-			const response = await server.receive(request);
-			assert.strictEqual(response, undefined);
+			assert.strictEqual(server.callsFor(pattern).length, 1);
+			server.assertCalledTimes(pattern, 1);
+		});
+
+		it("should return an empty array when no calls match", async () => {
+			server.get("/test", 200);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/test` }),
+			);
+
+			assert.deepStrictEqual(
+				server.callsFor({ method: "POST", url: "/test" }),
+				[],
+			);
 		});
 	});
 
@@ -1472,6 +4731,192 @@ describe("MockServer", () => {
 		});
 	});
 
+	describe("assertCalledTimes()", () => {
+		it("should not throw when the request was called the expected number of times", async () => {
+			server.get("/poll", 200, { times: 2 });
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+
+			server.assertCalledTimes("/poll", 2);
+		});
+
+		it("should throw with the matching and received requests when the count is different", async () => {
+			server.get("/poll", 200, { times: 2 });
+			server.post("/users", 201);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/poll` }),
+			);
+			await server.receive(
+				createRequest({ method: "POST", url: `${BASE_URL}/users` }),
+			);
+
+			assert.throws(
+				() => {
+					server.assertCalledTimes("/poll", 2);
+				},
+				{
+					name: "CallAssertionError",
+					message: `Expected GET ${BASE_URL}/poll to be called 2 times but it was called 1 time.
+
+Matching requests:
+
+1. GET ${BASE_URL}/poll -> 200
+
+Received requests:
+
+1. GET ${BASE_URL}/poll -> 200
+2. POST ${BASE_URL}/users -> 201`,
+				},
+			);
+		});
+
+		it("should say when no requests were received", () => {
+			server.get("/poll", 200);
+
+			assert.throws(
+				() => {
+					server.assertCalledTimes("/poll", 1);
+				},
+				{
+					name: "CallAssertionError",
+					message: `Expected GET ${BASE_URL}/poll to be called 1 time but it was called 0 times.
+
+No requests were received.`,
+				},
+			);
+		});
+
+		it("should match using a request pattern", async () => {
+			server.post("/users", 201, { persist: true });
+
+			await server.receive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					body: { name: "Alice" },
+				}),
+			);
+			await server.receive(
+				createRequest({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					body: { name: "Bob" },
+				}),
+			);
+
+			server.assertCalledTimes(
+				{ method: "POST", url: "/users", body: { name: "Bob" } },
+				1,
+			);
+		});
+	});
+
+	describe("assertNotCalled()", () => {
+		it("should not throw when the request was not called", async () => {
+			server.get("/test", 200);
+			server.get("/other", 200);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/other` }),
+			);
+
+			server.assertNotCalled("/test");
+		});
+
+		it("should throw when the request was called", async () => {
+			server.get("/test", 200);
+
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/test` }),
+			);
+
+			assert.throws(
+				() => {
+					server.assertNotCalled("/test");
+				},
+				{
+					name: "CallAssertionError",
+					message:
+						/^Expected GET https:\/\/example.com\/test not to be called but it was called 1 time\./u,
+				},
+			);
+		});
+	});
+
+	describe("assertCalledInOrder()", () => {
+		beforeEach(() => {
+			server.get("/a", 200);
+			server.post("/b", 201);
+			server.get("/c", 200);
+		});
+
+		it("should not throw when requests were called in order", async () => {
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/a` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/c` }),
+			);
+			await server.receive(
+				createRequest({ method: "POST", url: `${BASE_URL}/b` }),
+			);
+
+			server.assertCalledInOrder(["/a", { method: "POST", url: "/b" }]);
+			server.assertCalledInOrder(["/a", "/c"]);
+		});
+
+		it("should throw when requests were called out of order", async () => {
+			await server.receive(
+				createRequest({ method: "POST", url: `${BASE_URL}/b` }),
+			);
+			await server.receive(
+				createRequest({ method: "GET", url: `${BASE_URL}/a` }),
+			);
+
+			assert.throws(
+				() => {
+					server.assertCalledInOrder([
+						"/a",
+						{ method: "POST", url: "/b" },
+					]);
+				},
+				{
+					name: "CallAssertionError",
+					message: `Expected requests to be called in order:
+
+1. GET ${BASE_URL}/a
+2. POST ${BASE_URL}/b
+
+❌ POST ${BASE_URL}/b was not called after GET ${BASE_URL}/a.
+
+Received requests:
+
+1. POST ${BASE_URL}/b -> 201
+2. GET ${BASE_URL}/a -> 200`,
+				},
+			);
+		});
+
+		it("should throw when the first request was not called", () => {
+			assert.throws(
+				() => {
+					server.assertCalledInOrder(["/a", "/c"]);
+				},
+				{
+					name: "CallAssertionError",
+					message:
+						/❌ GET https:\/\/example.com\/a was not called\./u,
+				},
+			);
+		});
+	});
+
 	describe("Input validation", () => {
 		it("should throw an error if method is missing", () => {
 			assert.throws(() => {
@@ -1524,13 +4969,40 @@ describe("MockServer", () => {
 			}, /Request pattern headers must be an object/u);
 		});
 
-		it("should throw an error if body is not a string, object, or FormData", () => {
+		it("should throw an error if body is not a string, object, FormData, or function", () => {
 			assert.throws(() => {
 				server.route(
 					{ method: "GET", url: BASE_URL, body: 303 },
 					{ status: 200, body: "OK" },
 				);
-			}, /Request pattern body must be a string, object, or FormData/u);
+			}, /Request pattern body must be a string, object, FormData, or function/u);
+		});
+
+		it("should throw an error if bodyMatch is not partial or exact", () => {
+			assert.throws(() => {
+				server.route(
+					{ method: "GET", url: BASE_URL, bodyMatch: "strict" },
+					{ status: 200, body: "OK" },
+				);
+			}, /Request pattern bodyMatch must be one of: partial, exact/u);
+		});
+
+		it("should throw an error if queryMatch is not partial or exact", () => {
+			assert.throws(() => {
+				server.route(
+					{ method: "GET", url: BASE_URL, queryMatch: "all" },
+					{ status: 200, body: "OK" },
+				);
+			}, /Request pattern queryMatch must be one of: partial, exact/u);
+		});
+
+		it("should throw an error if where is not a function", () => {
+			assert.throws(() => {
+				server.route(
+					{ method: "GET", url: BASE_URL, where: true },
+					{ status: 200, body: "OK" },
+				);
+			}, /Request pattern where must be a function/u);
 		});
 
 		verbs.forEach(verb => {
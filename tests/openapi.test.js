@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Tests for the OpenAPI utilities.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "node:assert";
+import {
+	assertValidOpenAPIDocument,
+	createExampleResponse,
+	getOperations,
+	getServerUrl,
+	resolveReference,
+	toURLPattern,
+} from "../src/openapi.js";
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("openapi", () => {
+	describe("assertValidOpenAPIDocument()", () => {
+		it("should not throw for an OpenAPI 3.x document", () => {
+			assert.doesNotThrow(() => {
+				assertValidOpenAPIDocument({ openapi: "3.1.0", paths: {} });
+			});
+		});
+
+		it("should throw for a Swagger 2.0 document", () => {
+			assert.throws(() => {
+				assertValidOpenAPIDocument({ swagger: "2.0", paths: {} });
+			}, /OpenAPI document must be version 3.x/u);
+		});
+
+		it("should throw when there are no paths", () => {
+			assert.throws(() => {
+				assertValidOpenAPIDocument({ openapi: "3.0.3" });
+			}, /OpenAPI document must include a paths object/u);
+		});
+	});
+
+	describe("resolveReference()", () => {
+		const document = {
+			components: {
+				schemas: {
+					User: { type: "object" },
+					Alias: { $ref: "#/components/schemas/User" },
+					"a/b": { type: "string" },
+				},
+			},
+		};
+
+		it("should follow references until a value is found", () => {
+			assert.strictEqual(
+				resolveReference(document, {
+					$ref: "#/components/schemas/Alias",
+				}),
+				document.components.schemas.User,
+			);
+		});
+
+		it("should decode escaped reference tokens", () => {
+			assert.strictEqual(
+				resolveReference(document, {
+					$ref: "#/components/schemas/a~1b",
+				}),
+				document.components.schemas["a/b"],
+			);
+		});
+
+		it("should return values without a reference as-is", () => {
+			const value = { type: "number" };
+			assert.strictEqual(resolveReference(document, value), value);
+		});
+
+		it("should throw when the reference can't be found", () => {
+			assert.throws(() => {
+				resolveReference(document, {
+					$ref: "#/components/schemas/Missing",
+				});
+			}, /OpenAPI reference #\/components\/schemas\/Missing could not be found/u);
+		});
+
+		it("should throw for references to other documents", () => {
+			assert.throws(() => {
+				resolveReference(document, { $ref: "other.yaml#/User" });
+			}, /must be a local reference/u);
+		});
+	});
+
+	describe("toURLPattern()", () => {
+		it("should convert path templates into URL pattern parameters", () => {
+			assert.strictEqual(
+				toURLPattern("/users/{userId}/posts/{post-id}"),
+				"/users/:userId/posts/:post_id",
+			);
+		});
+	});
+
+	describe("getServerUrl()", () => {
+		it("should replace server variables with their defaults", () => {
+			assert.strictEqual(
+				getServerUrl({
+					servers: [
+						{
+							url: "https://{region}.example.com/v1",
+							variables: { region: { default: "eu" } },
+						},
+					],
+				}),
+				"https://eu.example.com/v1",
+			);
+		});
+
+		it("should return undefined for a relative server URL", () => {
+			assert.strictEqual(
+				getServerUrl({ servers: [{ url: "/v1" }] }),
+				undefined,
+			);
+		});
+	});
+
+	describe("getOperations()", () => {
+		it("should return each operation with its key and URL pattern", () => {
+			const operations = getOperations({
+				paths: {
+					"/users/{id}": {
+						get: { operationId: "getUser" },
+						delete: {},
+					},
+				},
+			});
+
+			assert.deepStrictEqual(
+				operations.map(({ key, method, url }) => ({
+					key,
+					method,
+					url,
+				})),
+				[
+					{ key: "getUser", method: "GET", url: "/users/:id" },
+					{
+						key: "DELETE /users/{id}",
+						method: "DELETE",
+						url: "/users/:id",
+					},
+				],
+			);
+		});
+	});
+
+	describe("createExampleResponse()", () => {
+		it("should use the example from the lowest 2xx response", () => {
+			const response = createExampleResponse(
+				{},
+				{
+					responses: {
+						404: { description: "Not found" },
+						201: {
+							content: {
+								"application/json": { example: { id: 1 } },
+							},
+						},
+						200: {
+							content: {
+								"application/json": { example: { id: 2 } },
+							},
+						},
+					},
+				},
+			);
+
+			assert.deepStrictEqual(response, {
+				status: 200,
+				headers: { "content-type": "application/json" },
+				body: { id: 2 },
+			});
+		});
+
+		it("should use the first named example and resolve references", () => {
+			const document = {
+				components: {
+					examples: {
+						Alice: { value: { name: "Alice" } },
+					},
+				},
+			};
+
+			const response = createExampleResponse(document, {
+				responses: {
+					200: {
+						content: {
+							"application/json": {
+								examples: {
+									alice: {
+										$ref: "#/components/examples/Alice",
+									},
+								},
+							},
+						},
+					},
+				},
+			});
+
+			assert.deepStrictEqual(response.body, { name: "Alice" });
+		});
+
+		it("should use the schema example when there's no media example", () => {
+			const response = createExampleResponse(
+				{},
+				{
+					responses: {
+						default: {
+							content: {
+								"text/plain": { schema: { example: "pong" } },
+							},
+						},
+					},
+				},
+			);
+
+			assert.deepStrictEqual(response, {
+				status: 200,
+				headers: { "content-type": "text/plain" },
+				body: "pong",
+			});
+		});
+
+		it("should include response headers that have examples", () => {
+			const response = createExampleResponse(
+				{},
+				{
+					responses: {
+						204: {
+							headers: {
+								"X-Rate-Limit": { schema: { example: 100 } },
+								"X-Other": { schema: { type: "string" } },
+							},
+						},
+					},
+				},
+			);
+
+			assert.deepStrictEqual(response, {
+				status: 204,
+				headers: { "x-rate-limit": "100" },
+			});
+		});
+	});
+});
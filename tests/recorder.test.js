@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Tests for the Recorder class.
+ * @author Nicholas C. Zakas
+ */
+
+//-----------------------------------------------------------------------------
+// Imports
+//-----------------------------------------------------------------------------
+
+import assert from "node:assert";
+import { MockServer } from "../src/mock-server.js";
+import { FetchMocker } from "../src/fetch-mocker.js";
+import { Recorder } from "../src/recorder.js";
+
+//-----------------------------------------------------------------------------
+// Data
+//-----------------------------------------------------------------------------
+
+const API_URL = "https://api.example.com";
+
+//-----------------------------------------------------------------------------
+// Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Creates a fetch function that stands in for a real upstream server.
+ * @returns {{server:MockServer,fetch:typeof fetch}} The upstream server and its fetch function.
+ */
+function createUpstream() {
+	const server = new MockServer(API_URL, { persist: true });
+	const fetchMocker = new FetchMocker({ servers: [server] });
+
+	server.get("/users", {
+		status: 200,
+		headers: { "set-cookie": "session=abc" },
+		body: [{ id: 1, name: "Alice" }],
+	});
+	server.post("/users", { status: 201, body: { id: 2, name: "Bob" } });
+
+	return { server, fetch: fetchMocker.fetch };
+}
+
+//-----------------------------------------------------------------------------
+// Tests
+//-----------------------------------------------------------------------------
+
+describe("Recorder", () => {
+	describe("constructor", () => {
+		it("should throw an error for an unknown mode", () => {
+			assert.throws(() => {
+				new Recorder({ mode: "live" });
+			}, /Recorder mode must be one of: record, replay/u);
+		});
+
+		it("should throw an error when ci isn't a boolean", () => {
+			assert.throws(() => {
+				new Recorder({ ci: "true" });
+			}, /Recorder ci must be a boolean/u);
+		});
+
+		it("should default to replay mode in CI and record mode otherwise", () => {
+			assert.strictEqual(new Recorder({ ci: true }).mode, "replay");
+			assert.strictEqual(new Recorder({ ci: false }).mode, "record");
+			assert.strictEqual(
+				new Recorder({ ci: true, mode: "record" }).mode,
+				"record",
+			);
+		});
+
+		it("should throw an error when the recording isn't a HAR document", () => {
+			assert.throws(() => {
+				new Recorder({ recording: { entries: [] } });
+			}, /HAR must include a log.entries array/u);
+		});
+	});
+
+	describe("Record mode", () => {
+		it("should send unmatched requests upstream and record them", async () => {
+			const upstream = createUpstream();
+			const server = new MockServer(API_URL);
+			const recorder = new Recorder({
+				mode: "record",
+				fetch: upstream.fetch,
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [server],
+				recorder,
+			});
+
+			server.get("/health", 200);
+
+			await fetchMocker.fetch(API_URL + "/health");
+			const response = await fetchMocker.fetch(API_URL + "/users", {
+				headers: { authorization: "Bearer secret" },
+			});
+
+			assert.deepStrictEqual(await response.json(), [
+				{ id: 1, name: "Alice" },
+			]);
+			assert.strictEqual(fetchMocker.requests.length, 2);
+			assert.strictEqual(
+				fetchMocker.requests[1].route,
+				"📼 [Recorded: GET https://api.example.com/users -> 200]",
+			);
+
+			const har = await recorder.toHAR();
+
+			assert.strictEqual(har.log.entries.length, 1);
+			assert.strictEqual(
+				har.log.entries[0].request.url,
+				API_URL + "/users",
+			);
+			assert.deepStrictEqual(
+				har.log.entries[0].response.content.text,
+				JSON.stringify([{ id: 1, name: "Alice" }]),
+			);
+		});
+
+		it("should redact credential headers in the recording", async () => {
+			const upstream = createUpstream();
+			const recorder = new Recorder({
+				mode: "record",
+				fetch: upstream.fetch,
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder,
+			});
+
+			await fetchMocker.fetch(API_URL + "/users", {
+				headers: { authorization: "Bearer secret", "x-trace": "1" },
+			});
+
+			const [entry] = (await recorder.toHAR()).log.entries;
+			const findHeader = (headers, name) =>
+				headers.find(header => header.name === name)?.value;
+
+			assert.strictEqual(
+				findHeader(entry.request.headers, "authorization"),
+				"[REDACTED]",
+			);
+			assert.strictEqual(
+				findHeader(entry.request.headers, "x-trace"),
+				"1",
+			);
+			assert.strictEqual(
+				findHeader(entry.response.headers, "set-cookie"),
+				"[REDACTED]",
+			);
+		});
+
+		it("should replay a response recorded earlier in the same run", async () => {
+			const upstream = createUpstream();
+			const recorder = new Recorder({
+				mode: "record",
+				fetch: upstream.fetch,
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder,
+			});
+
+			await fetchMocker.fetch(API_URL + "/users");
+			const response = await fetchMocker.fetch(API_URL + "/users");
+
+			assert.deepStrictEqual(await response.json(), [
+				{ id: 1, name: "Alice" },
+			]);
+			assert.strictEqual(upstream.server.calls.length, 1);
+			assert.strictEqual((await recorder.toHAR()).log.entries.length, 1);
+		});
+
+		it("should send requests to the original fetch() when the global fetch() is mocked", async () => {
+			const upstream = createUpstream();
+			const recorder = new Recorder({ mode: "record" });
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder,
+			});
+			const originalFetch = globalThis.fetch;
+
+			globalThis.fetch = upstream.fetch;
+			fetchMocker.mockGlobal();
+
+			try {
+				const response = await globalThis.fetch(API_URL + "/users");
+
+				assert.deepStrictEqual(await response.json(), [
+					{ id: 1, name: "Alice" },
+				]);
+				assert.strictEqual(upstream.server.calls.length, 1);
+			} finally {
+				fetchMocker.unmockGlobal();
+				globalThis.fetch = originalFetch;
+			}
+		});
+
+		it("should replay the recording before sending requests upstream", async () => {
+			const upstream = createUpstream();
+			const recording = {
+				log: {
+					entries: [
+						{
+							request: {
+								method: "GET",
+								url: API_URL + "/users",
+								headers: [],
+							},
+							response: {
+								status: 200,
+								headers: [],
+								content: {
+									mimeType: "application/json",
+									text: "[]",
+								},
+							},
+						},
+					],
+				},
+			};
+			const recorder = new Recorder({
+				mode: "record",
+				fetch: upstream.fetch,
+				recording,
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder,
+			});
+
+			let response = await fetchMocker.fetch(API_URL + "/users");
+			assert.deepStrictEqual(await response.json(), []);
+
+			// the recorded response was used, so this one is sent upstream
+			response = await fetchMocker.fetch(API_URL + "/users");
+			assert.deepStrictEqual(await response.json(), [
+				{ id: 1, name: "Alice" },
+			]);
+
+			assert.strictEqual((await recorder.toHAR()).log.entries.length, 2);
+		});
+	});
+
+	describe("Replay mode", () => {
+		it("should replay a recording without an upstream server", async () => {
+			const upstream = createUpstream();
+			const recorder = new Recorder({
+				mode: "record",
+				fetch: upstream.fetch,
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder,
+			});
+
+			await fetchMocker.fetch(API_URL + "/users?page=1&limit=10");
+			await fetchMocker.fetch(API_URL + "/users", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify({ name: "Bob" }),
+			});
+
+			const replayer = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder: new Recorder({
+					mode: "replay",
+					recording: await recorder.toHAR(),
+				}),
+			});
+
+			// query order doesn't matter when replaying
+			let response = await replayer.fetch(
+				API_URL + "/users?limit=10&page=1",
+			);
+			assert.deepStrictEqual(await response.json(), [
+				{ id: 1, name: "Alice" },
+			]);
+
+			response = await replayer.fetch(API_URL + "/users", {
+				method: "POST",
+				headers: { "content-type": "application/json" },
+				body: JSON.stringify({ name: "Bob" }),
+			});
+			assert.strictEqual(response.status, 201);
+			assert.deepStrictEqual(await response.json(), {
+				id: 2,
+				name: "Bob",
+			});
+
+			// only the requests made while recording reached the upstream server
+			assert.strictEqual(upstream.server.calls.length, 2);
+		});
+
+		it("should throw an error when a request isn't in the recording", async () => {
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder: new Recorder({
+					mode: "replay",
+					recording: { log: { entries: [] } },
+				}),
+			});
+
+			await assert.rejects(
+				fetchMocker.fetch(API_URL + "/users"),
+				error => {
+					assert.strictEqual(error.name, "MissingRecordingError");
+					assert.match(
+						error.message,
+						/^No recording found for GET https:\/\/api\.example\.com\/users\./u,
+					);
+					return true;
+				},
+			);
+		});
+
+		it("should replay each recorded response once until reset() is called", async () => {
+			const recorder = new Recorder({
+				mode: "replay",
+				recording: {
+					log: {
+						entries: [
+							{
+								request: {
+									method: "GET",
+									url: API_URL + "/users",
+									headers: [],
+								},
+								response: { status: 204, headers: [] },
+							},
+						],
+					},
+				},
+			});
+			const fetchMocker = new FetchMocker({
+				servers: [new MockServer(API_URL)],
+				recorder,
+			});
+
+			await fetchMocker.fetch(API_URL + "/users");
+			await assert.rejects(
+				fetchMocker.fetch(API_URL + "/users"),
+				/No recording found/u,
+			);
+
+			recorder.reset();
+
+			const response = await fetchMocker.fetch(API_URL + "/users");
+			assert.strictEqual(response.status, 204);
+		});
+	});
+});
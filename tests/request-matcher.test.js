@@ -11,6 +11,7 @@
 
 import assert from "node:assert";
 import { RequestMatcher } from "../src/request-matcher.js";
+import { match } from "../src/matchers.js";
 
 //-----------------------------------------------------------------------------
 // Data
@@ -295,6 +296,52 @@ describe("RequestMatcher", () => {
 			assert.strictEqual(matcher.matches(request), true);
 		});
 
+		it("should match requests using matchers", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users/:id`,
+				params: { id: match.regex(/^\d+$/u) },
+				query: { sort: match.oneOf("asc", "desc") },
+				headers: { "x-request-id": match.any(String) },
+				body: {
+					tags: match.arrayContaining(["admin"]),
+					createdAt: match.isoDate(),
+				},
+			});
+
+			const request = {
+				method: "POST",
+				url: `${BASE_URL}/users/123`,
+				query: { sort: "desc" },
+				headers: { "x-request-id": "abc" },
+				body: {
+					name: "Alice",
+					tags: ["user", "admin"],
+					createdAt: "2024-01-31T12:00:00Z",
+				},
+			};
+
+			assert.strictEqual(matcher.matches(request), true);
+		});
+
+		it("should match requests when the whole body is a matcher", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: match.stringContaining("Alice"),
+			});
+
+			assert.strictEqual(
+				matcher.matches({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					headers: {},
+					body: "name=Alice",
+				}),
+				true,
+			);
+		});
+
 		describe("Query Strings", () => {
 			it("should match requests with matching query string data", () => {
 				const matcher = new RequestMatcher({
@@ -423,6 +470,287 @@ describe("RequestMatcher", () => {
 		});
 	});
 
+	describe("Body Matching Modes", () => {
+		it("should not match a JSON body with fewer array items", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: { ids: [1] },
+			});
+
+			const result = matcher.traceMatches({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				headers: {},
+				body: { ids: [1, 2, 3] },
+			});
+
+			assert.strictEqual(result.matches, false);
+			assert.strictEqual(
+				result.messages.at(-1),
+				"❌ Body does not match at $.ids. Expected 1 item but received 3.",
+			);
+		});
+
+		it("should match a JSON body with extra properties by default", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: { name: "John" },
+			});
+
+			assert.strictEqual(
+				matcher.matches({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					headers: {},
+					body: { name: "John", age: 30 },
+				}),
+				true,
+			);
+		});
+
+		it("should not match a JSON body with extra properties when bodyMatch is exact", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: { name: "John", tags: [{ id: 1 }] },
+				bodyMatch: "exact",
+			});
+
+			const result = matcher.traceMatches({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				headers: {},
+				body: { name: "Jane", age: 30, tags: [{ id: 1, extra: true }] },
+			});
+
+			assert.strictEqual(result.matches, false);
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: POST.",
+				"✅ Headers match.",
+				'❌ Body does not match at $.name. Expected "John" but received "Jane".',
+				"❌ Body does not match at $.tags[0].extra. Expected no value but received true.",
+				"❌ Body does not match at $.age. Expected no value but received 30.",
+			]);
+		});
+
+		it("should not match a FormData body with extra fields when bodyMatch is exact", () => {
+			const expected = new FormData();
+			expected.append("name", "John");
+
+			const actual = new FormData();
+			actual.append("name", "John");
+			actual.append("age", "30");
+
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: expected,
+				bodyMatch: "exact",
+			});
+
+			const result = matcher.traceMatches({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				headers: {},
+				body: actual,
+			});
+
+			assert.strictEqual(result.matches, false);
+			assert.strictEqual(
+				result.messages.at(-1),
+				"❌ Body does not match. Expected no age but received age=30.",
+			);
+		});
+
+		it("should match arrays in any order with match.arrayInAnyOrder()", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: { ids: match.arrayInAnyOrder([1, 2, 3]) },
+				bodyMatch: "exact",
+			});
+
+			assert.strictEqual(
+				matcher.matches({
+					method: "POST",
+					url: `${BASE_URL}/users`,
+					headers: {},
+					body: { ids: [3, 1, 2] },
+				}),
+				true,
+			);
+		});
+	});
+
+	describe("Predicates", () => {
+		it("should match requests when the where predicate returns true", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				where: request => request.body.items.length === 3,
+			});
+
+			const request = {
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				headers: {},
+				body: { items: [1, 2, 3] },
+			};
+
+			assert.strictEqual(matcher.matches(request), true);
+			assert.strictEqual(
+				matcher.matches({ ...request, body: { items: [1] } }),
+				false,
+			);
+		});
+
+		it("should pass URL parameters and query string to the where predicate", () => {
+			let info;
+			const matcher = new RequestMatcher({
+				method: "GET",
+				url: `${BASE_URL}/users/:id`,
+				where(request, predicateInfo) {
+					info = predicateInfo;
+					return true;
+				},
+			});
+
+			matcher.matches({
+				method: "GET",
+				url: `${BASE_URL}/users/123?sort=asc`,
+				headers: {},
+			});
+
+			assert.deepStrictEqual(info.params, { id: "123" });
+			assert.strictEqual(info.query.get("sort"), "asc");
+		});
+
+		it("should not call the where predicate when another check fails", () => {
+			let called = false;
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				where() {
+					called = true;
+					return true;
+				},
+			});
+
+			matcher.matches({
+				method: "GET",
+				url: `${BASE_URL}/orders`,
+			});
+
+			assert.strictEqual(called, false);
+		});
+
+		it("should use the string returned from the where predicate as the trace message", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				where: () => "Expected 3 items.",
+			});
+
+			const result = matcher.traceMatches({
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				headers: {},
+				body: { items: [] },
+			});
+
+			assert.strictEqual(result.matches, false);
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: POST.",
+				"✅ Headers match.",
+				"❌ Expected 3 items.",
+			]);
+		});
+
+		it("should return a default trace message when the where predicate returns false", () => {
+			const matcher = new RequestMatcher({
+				method: "GET",
+				url: `${BASE_URL}/orders`,
+				where: () => false,
+			});
+
+			const result = matcher.traceMatches({
+				method: "GET",
+				url: `${BASE_URL}/orders`,
+			});
+
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: GET.",
+				"❌ Request does not match predicate.",
+			]);
+		});
+
+		it("should match requests using field predicates", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				headers: headers => headers["x-tenant"]?.startsWith("acme-"),
+				query: query => Number(query.page) > 1,
+				body: body => body.items.every(item => item.quantity > 0),
+			});
+
+			const request = {
+				method: "POST",
+				url: `${BASE_URL}/orders`,
+				headers: { "x-tenant": "acme-1" },
+				query: { page: "2" },
+				body: { items: [{ quantity: 1 }] },
+			};
+
+			assert.strictEqual(matcher.matches(request), true);
+			assert.deepStrictEqual(
+				matcher.traceMatches({ ...request, query: { page: "1" } })
+					.messages,
+				[
+					"✅ URL matches.",
+					"✅ Method matches: POST.",
+					"❌ Query string does not match predicate.",
+				],
+			);
+			assert.deepStrictEqual(
+				matcher.traceMatches({
+					...request,
+					body: { items: [{ quantity: 0 }] },
+				}).messages,
+				[
+					"✅ URL matches.",
+					"✅ Method matches: POST.",
+					"✅ Headers match.",
+					"❌ Body does not match predicate.",
+				],
+			);
+		});
+
+		it("should use the string returned from a field predicate as the trace message", () => {
+			const matcher = new RequestMatcher({
+				method: "GET",
+				url: `${BASE_URL}/orders`,
+				headers: () => "Expected an x-tenant header.",
+			});
+
+			const result = matcher.traceMatches({
+				method: "GET",
+				url: `${BASE_URL}/orders`,
+				headers: {},
+			});
+
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: GET.",
+				"❌ Expected an x-tenant header.",
+			]);
+		});
+	});
+
 	describe("traceMatches()", () => {
 		it("should return success messages when everything matches", () => {
 			const matcher = new RequestMatcher({
@@ -528,7 +856,7 @@ describe("RequestMatcher", () => {
 				"✅ URL matches.",
 				"✅ Method matches: POST.",
 				"✅ Headers match.",
-				'❌ Body does not match. Expected {"name":"John"} but received {"name":"Jane"}.',
+				'❌ Body does not match at $.name. Expected "John" but received "Jane".',
 			]);
 		});
 
@@ -554,6 +882,85 @@ describe("RequestMatcher", () => {
 			]);
 		});
 
+		it("should return a failure message for every header that doesn't match", () => {
+			const matcher = new RequestMatcher({
+				method: "GET",
+				url: `${BASE_URL}/users`,
+				headers: {
+					"content-type": "application/json",
+					accept: ["application/json", "text/plain"],
+					authorization: match.absent(),
+					"x-request-id": /^req-/u,
+				},
+			});
+
+			const request = {
+				method: "GET",
+				url: `${BASE_URL}/users`,
+				headers: {
+					"content-type": "application/json",
+					accept: "text/html",
+					authorization: "Bearer abc",
+				},
+			};
+
+			const result = matcher.traceMatches(request);
+			assert.strictEqual(result.matches, false);
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: GET.",
+				"❌ Headers do not match. Expected accept=application/json, text/plain but received accept=text/html.",
+				"❌ Headers do not match. Expected authorization=match.absent() but received authorization=Bearer abc.",
+				"❌ Headers do not match. Expected x-request-id=/^req-/u but received x-request-id=none.",
+			]);
+		});
+
+		it("should return failure message with matcher description when headers don't match", () => {
+			const matcher = new RequestMatcher({
+				method: "GET",
+				url: `${BASE_URL}/users`,
+				headers: { authorization: match.regex(/^Bearer /u) },
+			});
+
+			const request = {
+				method: "GET",
+				url: `${BASE_URL}/users`,
+				headers: { authorization: "Basic abc" },
+			};
+
+			const result = matcher.traceMatches(request);
+			assert.strictEqual(result.matches, false);
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: GET.",
+				"❌ Headers do not match. Expected authorization=match.regex(/^Bearer /u) but received authorization=Basic abc.",
+			]);
+		});
+
+		it("should return failure message with matcher description when body doesn't match", () => {
+			const matcher = new RequestMatcher({
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				body: { id: match.any(Number) },
+			});
+
+			const request = {
+				method: "POST",
+				url: `${BASE_URL}/users`,
+				headers: {},
+				body: { id: "1" },
+			};
+
+			const result = matcher.traceMatches(request);
+			assert.strictEqual(result.matches, false);
+			assert.deepStrictEqual(result.messages, [
+				"✅ URL matches.",
+				"✅ Method matches: POST.",
+				"✅ Headers match.",
+				'❌ Body does not match at $.id. Expected match.any(Number) but received "1".',
+			]);
+		});
+
 		it("should return correct URL params when URL matches", () => {
 			const matcher = new RequestMatcher({
 				method: "GET",
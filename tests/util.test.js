@@ -3,14 +3,20 @@
  * @author Nicholas C. Zakas
  */
 
-/* global Request, FormData */
+/* global Request, FormData, URLSearchParams */
 
 //-----------------------------------------------------------------------------
 // Imports
 //-----------------------------------------------------------------------------
 
 import assert from "node:assert";
-import { stringifyRequest, getBody, NoRouteMatchedError } from "../src/util.js";
+import {
+	stringifyRequest,
+	getBody,
+	NoRouteMatchedError,
+	searchParamsToObject,
+	isPlainObject,
+} from "../src/util.js";
 
 //-----------------------------------------------------------------------------
 // Tests
@@ -157,6 +163,64 @@ Content-Type: application/octet-stream
 			assert.deepStrictEqual(await getBody(request), { name: "value" });
 		});
 
+		it("should parse a body with a +json media type as JSON", async () => {
+			const request = new Request("https://example.com", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/problem+json",
+				},
+				body: JSON.stringify({ title: "Not Found" }),
+			});
+
+			assert.deepStrictEqual(await getBody(request), {
+				title: "Not Found",
+			});
+		});
+
+		it("should parse a URL-encoded body into URLSearchParams", async () => {
+			const request = new Request("https://example.com", {
+				method: "POST",
+				headers: {
+					"Content-Type":
+						"application/x-www-form-urlencoded;charset=UTF-8",
+				},
+				body: "name=Alice&tag=a&tag=b",
+			});
+
+			const body = await getBody(request);
+
+			assert.ok(body instanceof URLSearchParams);
+			assert.strictEqual(body.get("name"), "Alice");
+			assert.deepStrictEqual(body.getAll("tag"), ["a", "b"]);
+		});
+
+		it("should parse an NDJSON body into an array", async () => {
+			const request = new Request("https://example.com", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/x-ndjson; charset=utf-8",
+				},
+				body: '{"id":1}\n\n{"id":2}\r\n',
+			});
+
+			assert.deepStrictEqual(await getBody(request), [
+				{ id: 1 },
+				{ id: 2 },
+			]);
+		});
+
+		it("should parse a JSON text sequence body into an array", async () => {
+			const request = new Request("https://example.com", {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json-seq",
+				},
+				body: '\u001e{"id":1}\n\u001e[2]\n',
+			});
+
+			assert.deepStrictEqual(await getBody(request), [{ id: 1 }, [2]]);
+		});
+
 		it("should return the body for a request with a form data body", async () => {
 			const formData = new FormData();
 			formData.append("name", "value");
@@ -186,6 +250,24 @@ Content-Type: application/octet-stream
 		});
 	});
 
+	describe("searchParamsToObject()", () => {
+		it("should convert repeated parameters into arrays", () => {
+			assert.deepStrictEqual(
+				searchParamsToObject(new URLSearchParams("a=1&b=2&a=3")),
+				{ a: ["1", "3"], b: "2" },
+			);
+		});
+	});
+
+	describe("isPlainObject()", () => {
+		it("should return true only for plain objects", () => {
+			assert.strictEqual(isPlainObject({ a: 1 }), true);
+			assert.strictEqual(isPlainObject(null), false);
+			assert.strictEqual(isPlainObject([]), false);
+			assert.strictEqual(isPlainObject(new URLSearchParams()), false);
+		});
+	});
+
 	describe("NoRouteMatchedError", () => {
 		it("should create an error with the correct message for no partial matches", () => {
 			const request = new Request("https://example.com", {